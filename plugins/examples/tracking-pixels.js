@@ -0,0 +1,35 @@
+// Analytics beacons and spacer images turn up on almost every page but are never wanted.
+// Known tracker URLs are dropped before validation, and 1×1 images that slip through
+// are taken out of the results.
+const MediaCollection = require('../../src/media-collection');
+
+const TRACKER_PATTERNS = [
+  /^https?:\/\/(www\.)?facebook\.com\/tr\b/i,
+  /^https?:\/\/[^/]*google-analytics\.com\//i,
+  /^https?:\/\/[^/]*doubleclick\.net\//i,
+  /^https?:\/\/[^/]*scorecardresearch\.com\//i,
+  /^https?:\/\/[^/]*quantserve\.com\//i,
+  /^https?:\/\/bat\.bing\.com\//i,
+  /\/__utm\.gif(\?|$)/i,
+  /\/(spacer|blank|pixel|transparent)\.gif(\?|$)/i
+];
+
+module.exports = {
+  name: 'tracking-pixels',
+  hosts: ['*'],
+
+  rewriteUrl(url) {
+    return TRACKER_PATTERNS.some(pattern => pattern.test(url)) ? null : url;
+  },
+
+  processResults(results) {
+    results.media = results.media.filter(media => {
+      const isPixel = media.type === 'image' && media.width <= 1 && media.height <= 1;
+      if (isPixel) {
+        results.stats.images--;
+        MediaCollection.countSources(results.stats.sources, media.sources, -1);
+      }
+      return !isPixel;
+    });
+  }
+};
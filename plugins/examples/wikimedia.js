@@ -0,0 +1,59 @@
+// Wikipedia and Wikimedia Commons pages show scaled thumbnails from upload.wikimedia.org.
+// Thumbnails are rewritten to the original upload, and the files a page links to
+// (its File: pages) are looked up through the MediaWiki API.
+
+// .../wikipedia/commons/thumb/a/ab/Name.jpg/220px-Name.jpg -> .../wikipedia/commons/a/ab/Name.jpg
+const THUMBNAIL_PATTERN = /^(https:\/\/upload\.wikimedia\.org\/[^/]+\/[^/]+)\/thumb\/([0-9a-f]\/[0-9a-f]{2}\/[^/]+)\/[^/]+$/;
+const MAX_TITLES_PER_REQUEST = 50;
+
+module.exports = {
+  name: 'wikimedia',
+  hosts: ['*.wikipedia.org', '*.wikimedia.org'],
+
+  rewriteUrl(url) {
+    const match = url.match(THUMBNAIL_PATTERN);
+    return match ? `${match[1]}/${match[2]}` : url;
+  },
+
+  async discover({ pageUrl, $, request }) {
+    const titles = new Set();
+    $('a[href*="/wiki/File:"]').each((_, element) => {
+      const match = ($(element).attr('href') || '').match(/\/wiki\/(File:[^?#]+)/);
+      if (!match) {
+        return;
+      }
+      // One malformed link shouldn't cost the page its other files
+      try {
+        titles.add(decodeURIComponent(match[1]).replace(/_/g, ' '));
+      } catch {
+        // Not valid percent-encoding
+      }
+    });
+
+    const urls = [];
+    const allTitles = Array.from(titles);
+
+    for (let i = 0; i < allTitles.length; i += MAX_TITLES_PER_REQUEST) {
+      const apiUrl = new URL('/w/api.php', pageUrl);
+      apiUrl.search = new URLSearchParams({
+        action: 'query',
+        prop: 'imageinfo',
+        iiprop: 'url',
+        format: 'json',
+        formatversion: '2',
+        titles: allTitles.slice(i, i + MAX_TITLES_PER_REQUEST).join('|')
+      }).toString();
+
+      const response = await request(apiUrl.toString());
+      const pages = (response.data && response.data.query && response.data.query.pages) || [];
+      pages.forEach(page => {
+        const info = page.imageinfo && page.imageinfo[0];
+        if (info && info.url) {
+          urls.push(info.url);
+        }
+      });
+    }
+
+    return urls;
+  }
+};
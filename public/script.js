@@ -3,6 +3,7 @@ class SiteAssetDownloader {
         this.currentJobId = null;
         this.currentResults = null;
         this.selectedMedia = new Set();
+        this.selectedRenditions = new Map();
         this.currentFilter = 'all';
         this.currentSort = 'size-desc';
         this.currentPage = 1;
@@ -109,10 +110,14 @@ class SiteAssetDownloader {
         const url = document.getElementById('urlInput')?.value?.trim();
         const includeImages = document.getElementById('includeImages')?.checked ?? true;
         const includeVideos = document.getElementById('includeVideos')?.checked ?? true;
+        const includeAudio = document.getElementById('includeAudio')?.checked ?? true;
+        const includeIcons = document.getElementById('includeIcons')?.checked ?? true;
+        const includeFonts = document.getElementById('includeFonts')?.checked ?? false;
+        const includeEmbeds = document.getElementById('includeEmbeds')?.checked ?? true;
         const minSize = (document.getElementById('minSize')?.value || 0) * 1024;
         const maxSize = (document.getElementById('maxSize')?.value || 100) * 1024 * 1024;
         
-        if (!includeImages && !includeVideos) {
+        if (!includeImages && !includeVideos && !includeAudio && !includeIcons && !includeFonts && !includeEmbeds) {
             this.showToast('Please select at least one media type', 'warning');
             return;
         }
@@ -120,8 +125,38 @@ class SiteAssetDownloader {
         const filters = {
             includeImages,
             includeVideos,
+            includeAudio,
+            includeIcons,
+            includeFonts,
+            includeEmbeds,
+            variantSelection: document.getElementById('variantSelection')?.value || 'largest',
             minSizeBytes: minSize,
-            maxSizeBytes: maxSize
+            maxSizeBytes: maxSize,
+            minWidth: document.getElementById('minWidth')?.value || '',
+            maxWidth: document.getElementById('maxWidth')?.value || '',
+            minHeight: document.getElementById('minHeight')?.value || '',
+            maxHeight: document.getElementById('maxHeight')?.value || '',
+            minAspectRatio: document.getElementById('minAspectRatio')?.value?.trim() || '',
+            maxAspectRatio: document.getElementById('maxAspectRatio')?.value?.trim() || '',
+            includeSelectors: document.getElementById('includeSelectors')?.value?.trim() || '',
+            excludeSelectors: document.getElementById('excludeSelectors')?.value?.trim() || '',
+            includeUrlPatterns: document.getElementById('includeUrlPatterns')?.value || '',
+            excludeUrlPatterns: document.getElementById('excludeUrlPatterns')?.value || '',
+            allowedExtensions: document.getElementById('allowedExtensions')?.value || '',
+            deniedExtensions: document.getElementById('deniedExtensions')?.value || '',
+            allowedContentTypes: document.getElementById('allowedContentTypes')?.value || ''
+        };
+        
+        const respectRobots = document.getElementById('respectRobots')?.checked ?? false;
+        const dedupe = {
+            stripResizeParams: document.getElementById('stripResizeParams')?.checked ?? false,
+            similarImages: document.getElementById('removeSimilarImages')?.checked ?? false
+        };
+        const crawl = {
+            enabled: document.getElementById('crawlEnabled')?.checked ?? false,
+            useSitemap: document.getElementById('crawlSitemap')?.checked ?? false,
+            maxDepth: parseInt(document.getElementById('crawlDepth')?.value || 1),
+            maxPages: parseInt(document.getElementById('crawlPages')?.value || 20)
         };
         
         try {
@@ -132,7 +167,7 @@ class SiteAssetDownloader {
             const response = await fetch('/api/extract', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ url, filters })
+                body: JSON.stringify({ url, filters, crawl, respectRobots, dedupe, requestProfile: this.getRequestProfile(), proxy: this.getProxy() })
             });
             
             const data = await response.json();
@@ -180,6 +215,33 @@ class SiteAssetDownloader {
         }
     }
 
+    // Left out of the request entirely when nothing is filled in
+    getRequestProfile() {
+        const headers = {};
+        (document.getElementById('profileHeaders')?.value || '').split('\n').forEach(line => {
+            const separator = line.indexOf(':');
+            if (separator > 0) {
+                headers[line.substring(0, separator).trim()] = line.substring(separator + 1).trim();
+            }
+        });
+        const cookies = document.getElementById('profileCookies')?.value?.trim() || '';
+        const authType = document.getElementById('profileAuthType')?.value || '';
+        const secret = document.getElementById('profileSecret')?.value || '';
+        const auth = authType === 'basic'
+            ? { type: 'basic', username: document.getElementById('profileUsername')?.value || '', password: secret }
+            : authType === 'bearer' ? { type: 'bearer', token: secret } : undefined;
+
+        if (Object.keys(headers).length === 0 && !cookies && !auth) {
+            return undefined;
+        }
+        return { headers, cookies: cookies || undefined, auth };
+    }
+
+    getProxy() {
+        const urls = (document.getElementById('proxyUrls')?.value || '').split('\n').map(line => line.trim()).filter(Boolean);
+        return urls.length > 0 ? { urls } : undefined;
+    }
+
     updateStatus(data) {
         const statusTitle = document.getElementById('statusTitle');
         const progressText = document.getElementById('progressText');
@@ -192,6 +254,7 @@ class SiteAssetDownloader {
 
     displayResults(data) {
         this.showSection('resultsSection');
+        data.media = this.groupVariants(data.media || []);
         
         const resultsTitle = document.getElementById('resultsTitle');
         const resultsStats = document.getElementById('resultsStats');
@@ -205,11 +268,16 @@ class SiteAssetDownloader {
             resultsStats.innerHTML = `
                 <span class="bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200 px-3 py-1 rounded-full">Images: ${stats.images || 0}</span>
                 <span class="bg-purple-100 dark:bg-purple-900 text-purple-800 dark:text-purple-200 px-3 py-1 rounded-full">Videos: ${stats.videos || 0}</span>
+                <span class="bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200 px-3 py-1 rounded-full">Audio: ${stats.audios || 0}</span>
+                <span class="bg-pink-100 dark:bg-pink-900 text-pink-800 dark:text-pink-200 px-3 py-1 rounded-full">Icons: ${stats.icons || 0}</span>
+                <span class="bg-indigo-100 dark:bg-indigo-900 text-indigo-800 dark:text-indigo-200 px-3 py-1 rounded-full">Fonts: ${stats.fonts || 0}</span>
+                <span class="bg-orange-100 dark:bg-orange-900 text-orange-800 dark:text-orange-200 px-3 py-1 rounded-full">Embeds: ${stats.embeds || 0}</span>
                 <span class="bg-red-100 dark:bg-red-900 text-red-800 dark:text-red-200 px-3 py-1 rounded-full">Errors: ${data.errors?.length || 0}</span>
             `;
         }
         
         this.selectedMedia.clear();
+        this.selectedRenditions.clear();
         this.currentPage = 1;
         this.renderMediaGrid();
         this.updateSelectedCount();
@@ -240,6 +308,10 @@ class SiteAssetDownloader {
         return media.filter(item => {
             if (this.currentFilter === 'images') return item.type === 'image';
             if (this.currentFilter === 'videos') return item.type === 'video';
+            if (this.currentFilter === 'audio') return item.type === 'audio';
+            if (this.currentFilter === 'icons') return item.type === 'icon';
+            if (this.currentFilter === 'fonts') return item.type === 'font';
+            if (this.currentFilter === 'embeds') return item.type === 'embed';
             return true;
         });
     }
@@ -264,19 +336,18 @@ class SiteAssetDownloader {
     createMediaItemHTML(media, index) {
         const filename = this.getFilename(media.url);
         const isSelected = this.selectedMedia.has(index);
-        const fileSize = media.size ? this.formatBytes(media.size) : 'Unknown';
-        const typeColor = media.type === 'image' ? 'bg-blue-500' : 'bg-purple-500';
+        const fileSize = (media.size ? this.formatBytes(media.size) : 'Unknown') + (media.width && media.height ? ` · ${media.width}×${media.height}` : '');
+        const typeColors = { image: 'bg-blue-500', video: 'bg-purple-500', audio: 'bg-green-500', icon: 'bg-pink-500', font: 'bg-indigo-500', embed: 'bg-orange-500' };
+        const typeColor = typeColors[media.type] || 'bg-gray-500';
         
         return `
             <div class="media-item bg-white dark:bg-gray-700 rounded-xl shadow-md hover:shadow-lg transition-all duration-200 overflow-hidden cursor-pointer border-2 ${isSelected ? 'border-blue-500' : 'border-transparent'} hover:border-gray-300 dark:hover:border-gray-600" data-index="${index}">
                 <div class="relative aspect-video bg-gray-100 dark:bg-gray-600 overflow-hidden">
-                    ${media.type === 'image' 
-                        ? `<img src="${media.url}" alt="${filename}" class="w-full h-full object-cover" loading="lazy" onerror="this.style.display='none'">`
-                        : `<video class="w-full h-full object-cover" preload="none">
-                             <source src="${media.url}" type="${media.contentType || 'video/mp4'}">
-                           </video>`
-                    }
+                    ${this.createMediaThumbnailHTML(media, filename)}
                     <div class="absolute top-2 left-2 ${typeColor} text-white text-xs px-2 py-1 rounded-md font-medium">${media.type.toUpperCase()}</div>
+                    ${media.groupItems?.length > 1 ? `<div class="absolute bottom-2 right-2 bg-black bg-opacity-60 text-white text-xs px-2 py-1 rounded-md font-medium">${media.groupItems.length} variants</div>` : ''}
+                    ${media.inline ? `<div class="absolute bottom-2 left-2 bg-teal-500 text-white text-xs px-2 py-1 rounded-md font-medium" title="Decoded from ${media.inline.source === 'svg' ? 'an inline <svg> element' : 'a data: URI'}">INLINE</div>` : ''}
+                    ${media.tags?.includes('social/structured') ? '<div class="absolute bottom-2 left-2 bg-amber-500 text-white text-xs px-2 py-1 rounded-md font-medium" title="Declared in Open Graph, Twitter Card or JSON-LD metadata">SOCIAL</div>' : ''}
                     <div class="absolute top-2 right-2 w-6 h-6 rounded-full border-2 border-white ${isSelected ? 'bg-blue-500' : 'bg-black bg-opacity-30'} flex items-center justify-center media-select" data-index="${index}">
                         ${isSelected ? '<span class="text-white text-sm">✓</span>' : ''}
                     </div>
@@ -289,13 +360,38 @@ class SiteAssetDownloader {
                     </div>
                     <div class="flex gap-2">
                         <button class="preview-btn flex-1 px-3 py-2 bg-gray-100 dark:bg-gray-600 text-gray-700 dark:text-gray-300 rounded-md hover:bg-gray-200 dark:hover:bg-gray-500 transition-colors text-sm font-medium" data-index="${index}">Preview</button>
-                        <button class="download-btn px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-md transition-colors text-sm font-medium" data-index="${index}">Download</button>
+                        ${media.type === 'embed'
+                            ? `<a href="${media.url}" target="_blank" rel="noopener" class="px-4 py-2 bg-orange-500 hover:bg-orange-600 text-white rounded-md transition-colors text-sm font-medium">Open</a>`
+                            : `<button class="download-btn px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-md transition-colors text-sm font-medium" data-index="${index}">Download</button>`}
                     </div>
                 </div>
             </div>
         `;
     }
 
+    createMediaThumbnailHTML(media, filename) {
+        if (media.type === 'image') {
+            return `<img src="${this.getPreviewUrl(media)}" alt="${filename}" class="w-full h-full object-cover" loading="lazy" onerror="this.style.display='none'">`;
+        }
+        if (media.type === 'icon') {
+            return `<img src="${this.getPreviewUrl(media)}" alt="${filename}" class="w-full h-full object-contain p-6" loading="lazy" onerror="this.style.display='none'">`;
+        }
+        if (media.type === 'audio') {
+            return `<div class="w-full h-full flex items-center justify-center text-5xl">🎵</div>`;
+        }
+        if (media.type === 'embed') {
+            return media.embed?.thumbnailUrl
+                ? `<img src="${media.embed.thumbnailUrl}" alt="${filename}" class="w-full h-full object-cover" loading="lazy" onerror="this.style.display='none'">`
+                : `<div class="w-full h-full flex flex-col items-center justify-center text-gray-700 dark:text-gray-200"><i class="fas fa-play-circle text-5xl"></i><span class="text-sm mt-2 capitalize">${media.embed?.provider || 'embed'}</span></div>`;
+        }
+        if (media.type === 'font') {
+            return `<div class="w-full h-full flex flex-col items-center justify-center text-gray-700 dark:text-gray-200"><span class="text-5xl font-serif">Aa</span><span class="text-sm mt-2 truncate max-w-full px-2">${this.escapeHtml(media.font?.family || '')}</span></div>`;
+        }
+        return `<video class="w-full h-full object-cover" preload="none">
+                    <source src="${this.getPreviewUrl(media)}" type="${media.contentType || 'video/mp4'}">
+                </video>`;
+    }
+
     bindMediaEvents() {
         // Media selection
         document.querySelectorAll('.media-select').forEach(select => {
@@ -372,10 +468,15 @@ class SiteAssetDownloader {
             return;
         }
         
-        const selectedMediaUrls = Array.from(this.selectedMedia).map(index => 
-            ({ url: this.currentResults.media[index].url })
+        const selectedMediaUrls = Array.from(this.selectedMedia).flatMap(index => 
+            this.getDownloadItems(index)
         );
         
+        if (selectedMediaUrls.length === 0) {
+            this.showToast('Embedded videos can only be watched on their provider site', 'warning');
+            return;
+        }
+        
         try {
             this.showSection('downloadSection');
             
@@ -384,7 +485,7 @@ class SiteAssetDownloader {
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
                     jobId: this.currentJobId,
-                    mediaUrls: selectedMediaUrls.map(m => m.url)
+                    mediaUrls: selectedMediaUrls
                 })
             });
             
@@ -465,9 +566,10 @@ class SiteAssetDownloader {
             const response = await fetch('/api/download-bulk', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
+                // The extraction's job id lets the server reuse its robots.txt, request profile and proxy settings
                 body: JSON.stringify({
-                    jobId: `single_${Date.now()}`,
-                    mediaUrls: [media.url]
+                    jobId: this.currentJobId,
+                    mediaUrls: this.getDownloadItems(index)
                 })
             });
             
@@ -495,6 +597,58 @@ class SiteAssetDownloader {
         }
     }
 
+    getDownloadItems(index) {
+        const media = this.currentResults.media[index];
+        
+        // Streams are downloaded at the rendition picked in the preview (best quality by default)
+        if (media.stream && this.selectedRenditions.has(index)) {
+            return [{ url: media.url, rendition: this.selectedRenditions.get(index) }];
+        }
+        
+        // Embedded players have no file to download
+        if (media.type === 'embed') {
+            return [];
+        }
+        
+        // A card for a responsive image downloads every variant the extraction kept
+        return (media.groupItems || [media]).map(item => item.url);
+    }
+
+    groupVariants(media) {
+        const groups = new Map();
+        const grouped = [];
+        
+        media.forEach(item => {
+            if (!item.variantGroup) {
+                grouped.push(item);
+                return;
+            }
+            
+            let card = groups.get(item.variantGroup);
+            if (!card) {
+                card = { ...item, groupItems: [] };
+                groups.set(item.variantGroup, card);
+                grouped.push(card);
+            }
+            card.groupItems.push(item);
+            
+            // The card shows the largest variant that was kept
+            const best = card.variants.find(variant => card.groupItems.some(groupItem => groupItem.url === variant.url));
+            if (best && best.url === item.url) {
+                Object.assign(card, { ...item, groupItems: card.groupItems });
+            }
+        });
+        
+        return grouped;
+    }
+
+    formatRendition(rendition) {
+        const parts = [];
+        if (rendition.width && rendition.height) parts.push(`${rendition.width}x${rendition.height}`);
+        if (rendition.bandwidth) parts.push(`${Math.round(rendition.bandwidth / 1000)} kbps`);
+        return parts.join(' @ ') || 'Unknown quality';
+    }
+
     previewMedia(index) {
         const media = this.currentResults.media[index];
         if (!media) return;
@@ -509,17 +663,53 @@ class SiteAssetDownloader {
         if (modalTitle) modalTitle.textContent = filename;
         
         if (modalBody) {
-            if (media.type === 'image') {
+            if (media.type === 'image' || media.type === 'icon') {
+                modalBody.innerHTML = `
+                    <div class="text-center">
+                        <img src="${this.getPreviewUrl(media)}" alt="${filename}" class="max-w-full max-h-[60vh] object-contain mx-auto rounded-lg">
+                    </div>
+                `;
+            } else if (media.type === 'audio') {
+                modalBody.innerHTML = `
+                    <div class="text-center">
+                        <audio controls class="w-full">
+                            <source src="${this.getPreviewUrl(media)}" type="${media.contentType || 'audio/mpeg'}">
+                            Your browser does not support the audio tag.
+                        </audio>
+                    </div>
+                `;
+            } else if (media.type === 'embed') {
+                // Hosted players can't be downloaded, so link out to the provider instead
+                modalBody.innerHTML = `
+                    <div class="text-center">
+                        ${media.embed?.thumbnailUrl ? `<img src="${media.embed.thumbnailUrl}" alt="${filename}" class="max-w-full max-h-[50vh] object-contain mx-auto rounded-lg mb-4">` : '<i class="fas fa-play-circle text-6xl text-gray-400 mb-4"></i>'}
+                        <p class="text-gray-700 dark:text-gray-300"><a href="${media.url}" target="_blank" rel="noopener" class="text-blue-600 dark:text-blue-400 hover:underline">Watch on <span class="capitalize">${media.embed?.provider || 'the provider site'}</span></a></p>
+                    </div>
+                `;
+            } else if (media.type === 'font') {
+                modalBody.innerHTML = `
+                    <div class="text-center">
+                        <div class="text-6xl font-serif text-gray-700 dark:text-gray-200 mb-2">Aa</div>
+                        <p class="text-gray-700 dark:text-gray-300">${this.escapeHtml(media.font?.family || filename)}</p>
+                    </div>
+                `;
+            } else if (media.stream) {
+                // Browsers can't play HLS/DASH manifests natively, so offer quality selection instead
+                const selected = this.selectedRenditions.get(index) || 0;
                 modalBody.innerHTML = `
                     <div class="text-center">
-                        <img src="${media.url}" alt="${filename}" class="max-w-full max-h-[60vh] object-contain mx-auto rounded-lg">
+                        <i class="fas fa-film text-6xl text-gray-400 mb-4"></i>
+                        <p class="text-gray-700 dark:text-gray-300 mb-4">${media.stream.protocol.toUpperCase()} stream with ${media.stream.renditions.length} rendition(s)</p>
+                        <select id="renditionSelect" class="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white">
+                            ${media.stream.renditions.map((rendition, i) => `<option value="${i}" ${i === selected ? 'selected' : ''}>${this.formatRendition(rendition)}</option>`).join('')}
+                        </select>
                     </div>
                 `;
             } else {
                 modalBody.innerHTML = `
                     <div class="text-center">
                         <video controls class="max-w-full max-h-[60vh] mx-auto rounded-lg">
-                            <source src="${media.url}" type="${media.contentType || 'video/mp4'}">
+                            <source src="${this.getPreviewUrl(media)}" type="${media.contentType || 'video/mp4'}">
                             Your browser does not support the video tag.
                         </video>
                     </div>
@@ -528,15 +718,37 @@ class SiteAssetDownloader {
             
             modalBody.innerHTML += `
                 <div class="mt-6 bg-gray-50 dark:bg-gray-700 rounded-lg p-4 space-y-2">
-                    <p><strong class="text-gray-900 dark:text-white">URL:</strong> <a href="${media.url}" target="_blank" class="text-blue-600 dark:text-blue-400 hover:underline break-all">${media.url}</a></p>
+                    <p><strong class="text-gray-900 dark:text-white">URL:</strong> <a href="${this.getPreviewUrl(media)}" target="_blank" class="text-blue-600 dark:text-blue-400 hover:underline break-all">${media.url}</a></p>
                     <p><strong class="text-gray-900 dark:text-white">Type:</strong> <span class="text-gray-700 dark:text-gray-300">${media.type}</span></p>
                     <p><strong class="text-gray-900 dark:text-white">Size:</strong> <span class="text-gray-700 dark:text-gray-300">${media.size ? this.formatBytes(media.size) : 'Unknown'}</span></p>
                     <p><strong class="text-gray-900 dark:text-white">Content Type:</strong> <span class="text-gray-700 dark:text-gray-300">${media.contentType || 'Unknown'}</span></p>
+                    ${media.width && media.height ? `<p><strong class="text-gray-900 dark:text-white">Dimensions:</strong> <span class="text-gray-700 dark:text-gray-300">${media.width} × ${media.height}</span></p>` : ''}
+                    ${media.variants?.length > 1 ? `<p><strong class="text-gray-900 dark:text-white">Variants:</strong> <span class="text-gray-700 dark:text-gray-300 break-all">${media.variants.map(variant => `${this.getFilename(variant.url)}${variant.width ? ` (${variant.width}w)` : variant.density ? ` (${variant.density}x)` : ''}${media.groupItems?.some(item => item.url === variant.url) ? ' ✓' : ''}`).join(', ')}</span></p>` : ''}
+                    ${media.rel ? `<p><strong class="text-gray-900 dark:text-white">Icon Source:</strong> <span class="text-gray-700 dark:text-gray-300">${media.rel}${media.sizes?.length ? ` (${media.sizes.join(', ')})` : ''}</span></p>` : ''}
+                    ${media.embed ? `<p><strong class="text-gray-900 dark:text-white">Embed:</strong> <span class="text-gray-700 dark:text-gray-300 break-all">${media.embed.provider} video ${media.embed.videoId} (${media.embed.embedUrl})</span></p>` : ''}
+                    ${media.font ? `<p><strong class="text-gray-900 dark:text-white">Font:</strong> <span class="text-gray-700 dark:text-gray-300">${this.escapeHtml(media.font.family)}, weight ${this.escapeHtml(media.font.weight)}, ${this.escapeHtml(media.font.style)}${media.font.format ? ` (${this.escapeHtml(media.font.format)})` : ''}</span></p>` : ''}
+                    ${media.context?.alt ? `<p><strong class="text-gray-900 dark:text-white">Alt Text:</strong> <span class="text-gray-700 dark:text-gray-300">${this.escapeHtml(media.context.alt)}</span></p>` : ''}
+                    ${media.context?.title ? `<p><strong class="text-gray-900 dark:text-white">Title:</strong> <span class="text-gray-700 dark:text-gray-300">${this.escapeHtml(media.context.title)}</span></p>` : ''}
+                    ${media.context?.caption ? `<p><strong class="text-gray-900 dark:text-white">Caption:</strong> <span class="text-gray-700 dark:text-gray-300">${this.escapeHtml(media.context.caption)}</span></p>` : ''}
+                    ${media.context?.linkHref ? `<p><strong class="text-gray-900 dark:text-white">Links To:</strong> <a href="${this.escapeHtml(media.context.linkHref)}" target="_blank" rel="noopener" class="text-blue-600 dark:text-blue-400 hover:underline break-all">${this.escapeHtml(media.context.linkHref)}</a></p>` : ''}
+                    ${media.context?.selector ? `<p><strong class="text-gray-900 dark:text-white">Element:</strong> <code class="text-gray-700 dark:text-gray-300 break-all">${this.escapeHtml(media.context.selector)}</code></p>` : ''}
+                    ${media.sources?.length ? `<p><strong class="text-gray-900 dark:text-white">Found Via:</strong> <span class="text-gray-700 dark:text-gray-300 break-all">${media.sources.map(source => this.escapeHtml(source)).join(', ')}</span></p>` : ''}
+                    ${media.aliases?.length ? `<p><strong class="text-gray-900 dark:text-white">Also Found As:</strong> <span class="text-gray-700 dark:text-gray-300 break-all">${media.aliases.map(alias => this.escapeHtml(alias)).join('<br>')}</span></p>` : ''}
+                    ${media.tags?.length ? `<p><strong class="text-gray-900 dark:text-white">Tags:</strong> <span class="text-gray-700 dark:text-gray-300">${media.tags.join(', ')}</span></p>` : ''}
+                    ${media.foundOn?.length ? `<p><strong class="text-gray-900 dark:text-white">Found On:</strong> <span class="text-gray-700 dark:text-gray-300 break-all">${media.foundOn.join(', ')}</span></p>` : ''}
                 </div>
             `;
         }
         
+        const renditionSelect = document.getElementById('renditionSelect');
+        if (renditionSelect) {
+            renditionSelect.addEventListener('change', (e) => {
+                this.selectedRenditions.set(index, parseInt(e.target.value));
+            });
+        }
+        
         if (modalDownload) {
+            modalDownload.classList.toggle('hidden', media.type === 'embed');
             modalDownload.onclick = () => {
                 this.downloadSingleMedia(index);
                 this.closeModal();
@@ -658,6 +870,11 @@ class SiteAssetDownloader {
         }, 5000);
     }
 
+    // Inline assets only exist on this server, so they are previewed from there
+    getPreviewUrl(media) {
+        return media.inline ? `/api/inline/${media.inline.filename}` : media.url;
+    }
+
     getFilename(url) {
         try {
             const urlObj = new URL(url);
@@ -668,6 +885,11 @@ class SiteAssetDownloader {
         }
     }
 
+    // Alt text and captions come from the scraped page, so they're escaped before going into HTML
+    escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+    }
+
     formatBytes(bytes) {
         if (bytes === 0) return '0 B';
         const k = 1024;
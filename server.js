@@ -6,6 +6,7 @@ const path = require('path');
 const fs = require('fs');
 const dotenv = require('dotenv');
 const winston = require('winston');
+const { redactSecrets } = require('./src/request-profile');
 
 dotenv.config();
 
@@ -19,6 +20,11 @@ const optionalEnvVars = {
   LOG_LEVEL: 'info',
   RATE_LIMIT_WINDOW: '900000',
   RATE_LIMIT_MAX: '100',
+  RESPECT_ROBOTS_TXT: 'false',
+  ROBOTS_USER_AGENT: 'site-asset-downloader',
+  CSS_CONCURRENCY: '4',
+  VALIDATION_CONCURRENCY: '8',
+  VALIDATION_PER_HOST: '4',
   NODE_ENV: 'development'
 };
 
@@ -55,7 +61,7 @@ if (process.env.NODE_ENV === 'production' || process.env.RAILWAY_ENVIRONMENT) {
 }
 
 // Ensure required directories exist
-const requiredDirs = ['logs', 'downloads', 'downloads/images', 'downloads/videos'];
+const requiredDirs = ['logs', 'downloads', 'downloads/images', 'downloads/videos', 'downloads/audio', 'downloads/icons', 'downloads/fonts', 'downloads/inline'];
 requiredDirs.forEach(dir => {
   const dirPath = path.join(__dirname, dir);
   if (!fs.existsSync(dirPath)) {
@@ -64,11 +70,15 @@ requiredDirs.forEach(dir => {
   }
 });
 
+// Request profiles carry cookies and credentials; keep them out of the log files
+const redactLogSecrets = winston.format(info => Object.assign(info, redactSecrets({ ...info })));
+
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
   format: winston.format.combine(
     winston.format.timestamp(),
     winston.format.errors({ stack: true }),
+    redactLogSecrets(),
     winston.format.json()
   ),
   defaultMeta: { service: 'site-asset-downloader' },
@@ -132,6 +142,16 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Plugins are loaded up front so a broken one stops the server instead of failing every job
+const { plugins } = require('./src/plugins').getPluginRegistry();
+logger.info(`Loaded ${plugins.length} plugin(s)${plugins.length > 0 ? `: ${plugins.map(plugin => plugin.name).join(', ')}` : ''}`);
+
+// Same for the proxy settings, which every outbound request depends on
+const proxyConfig = require('./src/proxy').getProxyConfig();
+if (proxyConfig.enabled) {
+  logger.info(`Routing outbound requests through ${proxyConfig.toJSON().urls.join(', ')} (${proxyConfig.rotation})`);
+}
+
 const server = app.listen(PORT, () => {
   logger.info(`Server running on port ${PORT}`);
   console.log(`🚀 Site Asset Downloader running on http://localhost:${PORT}`);
@@ -152,7 +172,7 @@ const cleanupInterval = setInterval(() => {
   const downloadsDir = path.join(__dirname, 'downloads');
   const cutoffTime = Date.now() - (parseInt(process.env.CLEANUP_INTERVAL) || 3600000);
   
-  ['images', 'videos'].forEach(subdir => {
+  ['images', 'videos', 'audio', 'icons', 'fonts', 'inline'].forEach(subdir => {
     const dirPath = path.join(downloadsDir, subdir);
     if (fs.existsSync(dirPath)) {
       fs.readdir(dirPath, (err, files) => {
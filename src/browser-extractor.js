@@ -1,18 +1,60 @@
-const { getBrowserPool } = require('./browser-pool');
+const cheerio = require('cheerio');
+const { getBrowserPool, PAGE_HEADERS } = require('./browser-pool');
+const { getRobotsPolicy, shouldRespectRobots } = require('./robots');
+const { StreamManifestResolver, getStreamProtocol, summarizeRendition } = require('./streams');
+const { STRUCTURED_MEDIA_TAG, extractStructuredMedia } = require('./structured-data');
+const { extractIconLinks, fetchWebManifest, getLargestIconSize } = require('./site-icons');
+const { parseFontFaces } = require('./font-faces');
+const { extractVariantGroups } = require('./responsive-images');
+const { identifyMedia } = require('./media-probe');
+const { extractMediaContexts } = require('./media-context');
+const { getSelectorScope } = require('./selector-scope');
+const { validateDedupeOptions, canonicalizeUrl } = require('./canonical-url');
+const { detectEmbed, extractEmbeds, describeEmbed } = require('./embeds');
+const { extractJsonStateUrls } = require('./json-state');
+const { extractInlineAssets, extractDataUrisFromCss, describeInlineAsset, saveInlineAsset } = require('./inline-media');
+const MediaCollection = require('./media-collection');
+const { getPluginRegistry, createPluginRequest } = require('./plugins');
+const { getHostScheduler } = require('./host-scheduler');
 const {
   isValidUrl,
   normalizeUrl,
   isSupportedMediaType,
   isImageType,
   isVideoType,
+  isAudioType,
+  isFontType,
+  getMediaType,
   getDomainFromUrl,
-  validateMediaFilters
+  getFileExtension,
+  extractUrlsFromCss,
+  validateMediaFilters,
+  isMediaTypeIncluded,
+  matchesDimensionFilters,
+  matchesUrlRules,
+  matchesMediaRules
 } = require('./utils');
 
+// Individual HLS/DASH segments are fetched by the player; the manifest is what we keep
+const STREAM_SEGMENT_EXTENSIONS = ['.ts', '.m4s'];
+const STREAM_SEGMENT_CONTENT_TYPES = ['video/mp2t', 'video/iso.segment', 'audio/iso.segment'];
+
 class BrowserMediaExtractor {
   constructor(options = {}) {
     this.timeout = options.timeout || parseInt(process.env.DOWNLOAD_TIMEOUT) || 30000;
     this.browserPool = getBrowserPool(options.poolOptions);
+    this.respectRobots = shouldRespectRobots(options.respectRobots);
+    this.dedupe = validateDedupeOptions(options.dedupe);
+    this.requestProfile = options.requestProfile || null;
+    this.proxy = options.proxy || null;
+    this.streamResolver = new StreamManifestResolver({ timeout: this.timeout, requestProfile: this.requestProfile, proxy: this.proxy });
+    this.plugins = options.plugins || getPluginRegistry();
+    this.pluginRequest = createPluginRequest({
+      timeout: this.timeout,
+      respectRobots: this.respectRobots,
+      requestProfile: this.requestProfile,
+      proxy: this.proxy
+    });
   }
 
   async extractMedia(targetUrl, filters = {}, progressCallback = null) {
@@ -27,52 +69,84 @@ class BrowserMediaExtractor {
         totalFound: 0,
         images: 0,
         videos: 0,
-        duplicatesRemoved: 0
+        audios: 0,
+        icons: 0,
+        fonts: 0,
+        embeds: 0,
+        duplicatesRemoved: 0,
+        sources: {}
       }
     };
 
     let page = null;
+    let removeRequestProfile = null;
+    let removeScheduling = null;
+    let onResponse = null;
 
     try {
       if (!isValidUrl(targetUrl)) {
         throw new Error('Invalid URL provided');
       }
 
+      if (this.respectRobots) {
+        if (progressCallback) progressCallback('Checking robots.txt...');
+        await getRobotsPolicy().enforce(targetUrl, { proxy: this.proxy });
+      }
+
       if (progressCallback) progressCallback('Acquiring browser page from pool...');
 
-      page = await this.browserPool.acquirePage();
+      page = await this.browserPool.acquirePage({
+        proxy: this.proxy,
+        isolated: Boolean(this.requestProfile && this.requestProfile.hasCredentials())
+      });
+      removeRequestProfile = await this.applyRequestProfile(page);
+      removeScheduling = await this.scheduleRequests(page);
 
       // Collect network requests to catch dynamically loaded media
       const mediaUrls = new Set();
+      const declaredMedia = new MediaCollection();
       const networkUrls = new Set();
+      const networkContentTypes = new Map();
 
-      page.on('response', async (response) => {
+      const stylesheets = [];
+
+      // Every URL is also recorded with the step that found it, for the sources in the results
+      const addMediaUrl = (url, source) => {
+        mediaUrls.add(url);
+        declaredMedia.add(url, { source });
+      };
+
+      // Kept so it can be taken off before the page goes back to the pool
+      onResponse = async (response) => {
         const url = response.url();
-        const contentType = response.headers()['content-type'] || '';
+        const contentType = (response.headers()['content-type'] || '').toLowerCase();
+
+        // Every stylesheet the page loads (including @imports and injected ones) is parsed later
+        if (contentType.startsWith('text/css')) {
+          stylesheets.push(response.text().then(cssText => ({ url, cssText, source: `stylesheet:${url}` })).catch(() => null));
+          return;
+        }
+
+        if (STREAM_SEGMENT_EXTENSIONS.includes(getFileExtension(url)) ||
+            STREAM_SEGMENT_CONTENT_TYPES.some(type => contentType.startsWith(type))) {
+          return;
+        }
         
         // Check if it's a media file by URL or content type
         if (isSupportedMediaType(url) || 
             contentType.startsWith('image/') || 
-            contentType.startsWith('video/')) {
+            contentType.startsWith('video/') ||
+            contentType.startsWith('audio/') ||
+            getStreamProtocol(url, contentType)) {
           networkUrls.add(url);
+          networkContentTypes.set(url, contentType);
         }
-      });
+      };
+      page.on('response', onResponse);
 
       if (progressCallback) progressCallback('Loading page...');
       
-      // Navigate to the page with better error handling
-      try {
-        await page.goto(targetUrl, { 
-          waitUntil: ['networkidle0', 'domcontentloaded'],
-          timeout: this.timeout 
-        });
-      } catch (navigationError) {
-        // Try alternative navigation strategy
-        await page.goto(targetUrl, { 
-          waitUntil: 'domcontentloaded',
-          timeout: this.timeout 
-        });
-      }
+      await this.loadPage(page, targetUrl);
 
       if (progressCallback) progressCallback('Waiting for content to load...');
       
@@ -93,18 +167,182 @@ class BrowserMediaExtractor {
       
       // Extract media URLs from the DOM
       const domMediaUrls = await this.extractFromDOM(page);
-      domMediaUrls.forEach(url => mediaUrls.add(url));
+      domMediaUrls.forEach(({ url, source }) => {
+        const normalizedUrl = normalizeUrl(url, page.url());
+        if (normalizedUrl && !detectEmbed(normalizedUrl)) {
+          addMediaUrl(normalizedUrl, source);
+        }
+      });
+
+      if (progressCallback) progressCallback('Reading Open Graph, Twitter Card and JSON-LD metadata...');
+
+      // Metadata is read from the rendered DOM so tags injected by client-side frameworks are included
+      const html = await page.content();
+      const $ = cheerio.load(html);
+      extractStructuredMedia($, page.url()).forEach(item => {
+        if (isMediaTypeIncluded(item.type, validatedFilters)) {
+          declaredMedia.add(item.url, {
+            type: item.type,
+            tag: STRUCTURED_MEDIA_TAG,
+            width: item.width,
+            height: item.height,
+            source: 'structured-data'
+          });
+        }
+      });
+
+      if (validatedFilters.includeEmbeds) {
+        if (progressCallback) progressCallback('Detecting embedded video players...');
+
+        // Frames catch players injected by script after the markup was parsed
+        const frameEmbeds = page.frames().map(frame => detectEmbed(frame.url())).filter(Boolean);
+        [...extractEmbeds($, page.url()), ...frameEmbeds].forEach(embed => {
+          declaredMedia.add(embed.url, { type: 'embed', embed, source: 'embed' });
+        });
+      }
+
+      if (validatedFilters.includeIcons) {
+        if (progressCallback) progressCallback('Collecting site icons...');
+
+        await this.extractSiteIcons($, page.url(), declaredMedia);
+      }
+
+      if (progressCallback) progressCallback('Parsing stylesheets...');
+
+      // CSS can reference media the browser never requested (hover states, other breakpoints)
+      $('style').each((_, element) => {
+        stylesheets.push({ url: page.url(), cssText: $(element).html(), source: 'style-tag' });
+      });
+      $('[style]').each((_, element) => {
+        stylesheets.push({ url: page.url(), cssText: $(element).attr('style'), source: 'inline-style' });
+      });
+
+      const inlineAssets = extractInlineAssets($);
+
+      (await Promise.all(stylesheets)).filter(Boolean).forEach(({ url, cssText, source }) => {
+        extractUrlsFromCss(cssText, url).forEach(mediaUrl => {
+          if (this.shouldIncludeByType(mediaUrl, validatedFilters)) {
+            addMediaUrl(mediaUrl, source);
+          }
+        });
+        inlineAssets.push(...extractDataUrisFromCss(cssText).map(asset => ({ ...asset, source })));
+
+        if (validatedFilters.includeFonts) {
+          parseFontFaces(cssText, url).forEach(font => {
+            declaredMedia.add(font.url, {
+              type: 'font',
+              font: {
+                family: font.family,
+                weight: font.weight,
+                style: font.style,
+                format: font.format
+              },
+              source
+            });
+          });
+        }
+      });
+
+      // Framework state (__NEXT_DATA__ etc.) lists media that may not be rendered yet
+      extractJsonStateUrls($, page.url()).forEach(url => {
+        if (this.shouldIncludeByType(url, validatedFilters) && !detectEmbed(url)) {
+          addMediaUrl(url, 'json-state');
+        }
+      });
+
+      // Site-specific plugins get the live page as well as the rendered markup
+      const pluginContext = { pageUrl: page.url(), $, html, page, filters: validatedFilters, request: this.pluginRequest };
+      (await this.plugins.discover(pluginContext, results.errors)).forEach(item => {
+        const url = normalizeUrl(item.url, page.url());
+        if (url && this.shouldIncludeByType(url, validatedFilters) && (!item.type || isMediaTypeIncluded(item.type, validatedFilters))) {
+          mediaUrls.add(url);
+          declaredMedia.add(url, { type: item.type, source: item.source });
+        }
+      });
+
+      // data: URIs and inline <svg>s are decoded here; they never show up as requests
+      inlineAssets.forEach(asset => {
+        if (isMediaTypeIncluded(asset.type, validatedFilters)) {
+          declaredMedia.add(asset.url, { type: asset.type, tag: asset.tag, inline: asset, source: asset.source || 'inline-asset' });
+        }
+      });
+
+      // srcset candidates and <picture> sources are variants of one logical image
+      extractVariantGroups($, page.url()).forEach(candidates => {
+        const variants = candidates.filter(candidate => this.shouldIncludeByType(candidate.url, validatedFilters));
+        if (variants.length > 0) {
+          declaredMedia.addVariants(variants, { source: 'responsive-image' });
+        }
+      });
+
+      Array.from(declaredMedia).forEach(url => mediaUrls.add(url));
 
       if (progressCallback) progressCallback('Processing network requests...');
       
       // Add network-captured URLs
       networkUrls.forEach(url => {
         if (this.shouldIncludeByType(url, validatedFilters)) {
-          mediaUrls.add(url);
+          addMediaUrl(url, 'network');
         }
       });
 
+      // alt text, captions and links come from the rendered markup of the main frame
+      extractMediaContexts($, page.url()).forEach((context, url) => {
+        if (mediaUrls.has(url)) {
+          declaredMedia.add(url, { context });
+        }
+      });
+
+      // Selector scopes apply to what the page itself references; plugins decide for themselves
+      const isInScope = getSelectorScope($, page.url(), validatedFilters);
+      if (isInScope) {
+        Array.from(mediaUrls).forEach(url => {
+          const entry = declaredMedia.get(url);
+          const fromPlugin = entry && Array.from(entry.sources).some(source => source.startsWith('plugin:'));
+          if (!fromPlugin && !isInScope(url, entry && entry.embed && entry.embed.embedUrl)) {
+            mediaUrls.delete(url);
+            declaredMedia.delete(url);
+          }
+        });
+      }
+
       if (progressCallback) progressCallback('Validating media URLs...');
+
+      declaredMedia.selectVariants(validatedFilters.variantSelection).forEach(url => mediaUrls.delete(url));
+
+      // Plugins can swap URLs (e.g. a thumbnail for its original) or drop them before anything is fetched
+      Array.from(mediaUrls).forEach(url => {
+        const rewritten = this.plugins.rewriteUrl(url, page.url(), results.errors);
+        if (rewritten === url) {
+          return;
+        }
+
+        mediaUrls.delete(url);
+        if (rewritten) {
+          mediaUrls.add(rewritten);
+          declaredMedia.rename(url, rewritten);
+        } else {
+          declaredMedia.delete(url);
+        }
+      });
+
+      // Copies of a URL that differ only by tracking/resize parameters or scheme become one entry
+      if (this.dedupe.canonicalize) {
+        const sizeBefore = mediaUrls.size;
+        // A copy the page actually loaded keeps its captured Content-Type
+        declaredMedia.canonicalize(url => canonicalizeUrl(url, this.dedupe), url => networkContentTypes.has(url)).forEach((keptUrl, url) => {
+          mediaUrls.delete(url);
+          mediaUrls.add(keptUrl);
+        });
+        results.stats.duplicatesRemoved += sizeBefore - mediaUrls.size;
+      }
+
+      Array.from(mediaUrls).forEach(url => {
+        if (!matchesUrlRules(url, validatedFilters)) {
+          mediaUrls.delete(url);
+          declaredMedia.delete(url);
+        }
+      });
       
       const mediaArray = Array.from(mediaUrls);
       results.stats.totalFound = mediaArray.length;
@@ -117,15 +355,37 @@ class BrowserMediaExtractor {
         }
         
         try {
-          const mediaInfo = await this.validateMediaUrl(mediaUrl);
+          const entry = declaredMedia.get(mediaUrl);
+          let mediaInfo;
+          if (entry && entry.embed) {
+            mediaInfo = describeEmbed(entry.embed);
+          } else if (entry && entry.inline) {
+            mediaInfo = describeInlineAsset(entry.inline);
+          } else {
+            mediaInfo = await this.validateMediaUrl(mediaUrl, networkContentTypes.get(mediaUrl));
+          }
+          declaredMedia.annotate(mediaUrl, mediaInfo);
           if (this.shouldIncludeMedia(mediaInfo, validatedFilters)) {
+            if (entry && entry.inline) {
+              saveInlineAsset(entry.inline);
+            }
+            mediaInfo.foundOn = [targetUrl];
             results.media.push(mediaInfo);
             
-            if (isImageType(mediaUrl)) {
+            if (mediaInfo.type === 'image') {
               results.stats.images++;
-            } else if (isVideoType(mediaUrl)) {
+            } else if (mediaInfo.type === 'video') {
               results.stats.videos++;
+            } else if (mediaInfo.type === 'audio') {
+              results.stats.audios++;
+            } else if (mediaInfo.type === 'icon') {
+              results.stats.icons++;
+            } else if (mediaInfo.type === 'font') {
+              results.stats.fonts++;
+            } else if (mediaInfo.type === 'embed') {
+              results.stats.embeds++;
             }
+            MediaCollection.countSources(results.stats.sources, mediaInfo.sources);
           }
         } catch (error) {
           results.errors.push({
@@ -137,12 +397,23 @@ class BrowserMediaExtractor {
 
       results.media.sort((a, b) => (b.size || 0) - (a.size || 0));
 
+      await this.plugins.processResults(results, { pageUrl: page.url(), filters: validatedFilters });
+
     } catch (error) {
       results.errors.push({
         url: targetUrl,
         error: error.message
       });
     } finally {
+      if (page && onResponse) {
+        page.off('response', onResponse);
+      }
+      if (removeScheduling) {
+        await removeScheduling().catch(() => {});
+      }
+      if (removeRequestProfile) {
+        await removeRequestProfile().catch(() => {});
+      }
       if (page) {
         await this.browserPool.releasePage(page);
       }
@@ -151,6 +422,91 @@ class BrowserMediaExtractor {
     return results;
   }
 
+  // Pooled pages are shared between jobs, so the profile is applied for this job and the
+  // returned function takes it off again. Headers go with every request the page makes.
+  // Cookies are set on the credential domain, in the private context a job with credentials
+  // runs in; Authorization is added in scheduleRequests.
+  async applyRequestProfile(page) {
+    const profile = this.requestProfile;
+    if (!profile) {
+      return null;
+    }
+
+    await page.setExtraHTTPHeaders({ ...PAGE_HEADERS, ...profile.headers });
+
+    const cookies = profile.domain
+      ? profile.cookies.map(cookie => ({ ...cookie, domain: `.${profile.domain}`, path: '/' }))
+      : [];
+    if (cookies.length > 0) {
+      await page.setCookie(...cookies);
+    }
+
+    return async () => {
+      await page.setExtraHTTPHeaders(PAGE_HEADERS);
+    };
+  }
+
+  // Each navigation waits for its host's turn in the shared scheduler, so a paused host
+  // isn't loaded again until its backoff ends.
+  async loadPage(page, targetUrl) {
+    const scheduler = getHostScheduler();
+
+    try {
+      await scheduler.wait(targetUrl);
+      await page.goto(targetUrl, { 
+        waitUntil: ['networkidle0', 'domcontentloaded'],
+        timeout: this.timeout 
+      });
+    } catch (navigationError) {
+      // Try alternative navigation strategy
+      await scheduler.wait(targetUrl);
+      await page.goto(targetUrl, { 
+        waitUntil: 'domcontentloaded',
+        timeout: this.timeout 
+      });
+    }
+  }
+
+  // 429 responses to anything the page loads pause that host in the shared scheduler, for
+  // the static requests and the next navigation. The page's subresources aren't paced:
+  // Chromium caps its own connections per host and can't retry them. Requests are only
+  // intercepted, which turns off Chromium's cache, to add Authorization per request so it
+  // only reaches the profile's credential domain.
+  async scheduleRequests(page) {
+    const scheduler = getHostScheduler();
+    const profile = this.requestProfile;
+    const intercept = Boolean(profile && profile.auth);
+
+    const onRequest = (request) => {
+      if (request.isInterceptResolutionHandled()) {
+        return;
+      }
+
+      if (profile.isCredentialUrl(request.url())) {
+        request.continue({ headers: { ...request.headers(), authorization: profile.getAuthorization() } }).catch(() => {});
+      } else {
+        request.continue().catch(() => {});
+      }
+    };
+    const onResponse = (response) => {
+      scheduler.backOff(response.url(), response.status(), response.headers());
+    };
+
+    page.on('response', onResponse);
+    if (intercept) {
+      await page.setRequestInterception(true);
+      page.on('request', onRequest);
+    }
+
+    return async () => {
+      page.off('response', onResponse);
+      if (intercept) {
+        page.off('request', onRequest);
+        await page.setRequestInterception(false);
+      }
+    };
+  }
+
   async triggerLazyLoading(page) {
     // Scroll through the page to trigger lazy loading
     await page.evaluate(async () => {
@@ -221,60 +577,108 @@ class BrowserMediaExtractor {
     }
   }
 
+  // Returns { url, source } pairs; a URL appears once for every element attribute that held it
   async extractFromDOM(page) {
-    return await page.evaluate(() => {
-      const mediaUrls = new Set();
-      
-      // Enhanced selectors for dynamic content
-      const selectors = [
-        'img[src]', 'img[data-src]', 'img[data-lazy-src]', 'img[data-original]',
-        'img[data-lazy]', 'img[data-srcset]', 'img[data-background]',
-        'video[src]', 'video[poster]', 'source[src]', 'source[srcset]',
-        '[style*="background-image"]', '[data-bg]', '[data-background-image]',
-        '.lazy-loaded[src]', '.loaded[src]'
-      ];
+    const mediaUrls = [];
 
-      selectors.forEach(selector => {
-        document.querySelectorAll(selector).forEach(element => {
-          // Check multiple attributes
-          const attributes = [
-            'src', 'data-src', 'data-lazy-src', 'data-original', 
-            'data-lazy', 'data-srcset', 'data-background', 'poster',
-            'data-bg', 'data-background-image'
+    // Child frames are read too, whether same- or cross-origin; hosted players are reported as embeds instead
+    for (const frame of page.frames()) {
+      const isMainFrame = frame === page.mainFrame();
+      if (!isMainFrame && detectEmbed(frame.url())) {
+        continue;
+      }
+
+      try {
+        const frameUrls = await frame.evaluate(() => {
+          const found = [];
+      
+          // Enhanced selectors for dynamic content
+          const selectors = [
+            'img[src]', 'img[data-src]', 'img[data-lazy-src]', 'img[data-original]',
+            'img[data-lazy]', 'img[data-srcset]', 'img[data-background]',
+            'video[src]', 'video[poster]', 'source[src]', 'source[srcset]',
+            'audio[src]', 'audio source[src]',
+            '[style*="background-image"]', '[data-bg]', '[data-background-image]',
+            '.lazy-loaded[src]', '.loaded[src]'
           ];
+
+          selectors.forEach(selector => {
+            document.querySelectorAll(selector).forEach(element => {
+              // Check multiple attributes
+              const attributes = [
+                'src', 'data-src', 'data-lazy-src', 'data-original', 
+                'data-lazy', 'data-background', 'poster',
+                'data-bg', 'data-background-image'
+              ];
           
-          attributes.forEach(attr => {
-            const value = element.getAttribute(attr);
-            if (value && value.trim()) {
-              mediaUrls.add(value.trim());
-            }
+              attributes.forEach(attr => {
+                const value = element.getAttribute(attr);
+                if (value && value.trim()) {
+                  found.push({ url: value.trim(), source: `element:${element.tagName.toLowerCase()}[${attr}]` });
+                }
+              });
+            });
           });
 
-          // Check inline styles
-          const style = element.getAttribute('style');
-          if (style) {
-            const bgMatch = style.match(/background-image:\s*url\(['"]?([^'"]+)['"]?\)/);
-            if (bgMatch) {
-              mediaUrls.add(bgMatch[1]);
-            }
-          }
+          // Look for URLs in data attributes of all elements
+          document.querySelectorAll('*').forEach(element => {
+            Array.from(element.attributes).forEach(attr => {
+              if (attr.name.startsWith('data-') && attr.value) {
+                // Check if the value looks like a media URL
+                if (/\.(jpg|jpeg|png|gif|webp|svg|bmp|ico|tiff|mp4|webm|avi|mov|mkv|wmv|flv|m4v|3gp|mp3|ogg|oga|wav|flac|m4a|aac|opus)/i.test(attr.value) ||
+                    /(image|img|photo|picture|video|media|thumb|thumbnail)/i.test(attr.value)) {
+                  found.push({ url: attr.value, source: `data-attribute:${element.tagName.toLowerCase()}[${attr.name}]` });
+                }
+              }
+            });
+          });
+
+          return found;
         });
-      });
 
-      // Look for URLs in data attributes of all elements
-      document.querySelectorAll('*').forEach(element => {
-        Array.from(element.attributes).forEach(attr => {
-          if (attr.name.startsWith('data-') && attr.value) {
-            // Check if the value looks like a media URL
-            if (/\.(jpg|jpeg|png|gif|webp|svg|bmp|ico|tiff|mp4|webm|avi|mov|mkv|wmv|flv|m4v|3gp)/i.test(attr.value) ||
-                /(image|img|photo|picture|video|media|thumb|thumbnail)/i.test(attr.value)) {
-              mediaUrls.add(attr.value);
+        frameUrls.forEach(({ url, source }) => {
+          const normalizedUrl = normalizeUrl(url, frame.url());
+          if (normalizedUrl) {
+            mediaUrls.push({ url: normalizedUrl, source });
+            if (!isMainFrame) {
+              mediaUrls.push({ url: normalizedUrl, source: `frame:${frame.url()}` });
             }
           }
         });
-      });
+      } catch (error) {
+        // Child frames can detach or navigate away while they are being read
+        if (isMainFrame) {
+          throw error;
+        }
+      }
+    }
+
+    return mediaUrls;
+  }
+
+  async extractSiteIcons($, baseUrl, declaredMedia) {
+    const { icons, manifestUrl } = extractIconLinks($, baseUrl);
 
-      return Array.from(mediaUrls);
+    if (manifestUrl) {
+      try {
+        if (this.respectRobots) {
+          await getRobotsPolicy().enforce(manifestUrl, { proxy: this.proxy });
+        }
+        icons.push(...await fetchWebManifest(manifestUrl, { timeout: this.timeout / 2, requestProfile: this.requestProfile, proxy: this.proxy }));
+      } catch (error) {
+        // A missing or invalid manifest shouldn't fail the page
+      }
+    }
+
+    icons.forEach(icon => {
+      const largest = getLargestIconSize(icon.sizes);
+      declaredMedia.add(icon.url, {
+        type: 'icon',
+        width: largest && largest.width,
+        height: largest && largest.height,
+        icon: { rel: icon.rel, sizes: icon.sizes, purpose: icon.purpose },
+        source: `site-icon:${icon.rel}`
+      });
     });
   }
 
@@ -285,25 +689,64 @@ class BrowserMediaExtractor {
     if (isVideoType(url) && !filters.includeVideos) {
       return false;
     }
+    if (isAudioType(url) && !filters.includeAudio) {
+      return false;
+    }
+    if (isFontType(url) && !filters.includeFonts) {
+      return false;
+    }
     return true;
   }
 
-  async validateMediaUrl(url) {
-    // For browser-extracted URLs, we'll do a simpler validation
+  async validateMediaUrl(url, contentType = null) {
+    // HLS/DASH manifests are resolved so the renditions can be offered for download
+    const protocol = getStreamProtocol(url, contentType || '');
+    if (protocol) {
+      const { renditions } = await this.streamResolver.resolve(url);
+      return {
+        url,
+        type: 'video',
+        size: null,
+        contentType,
+        lastModified: null,
+        status: 200,
+        stream: {
+          protocol,
+          renditions: renditions.map(summarizeRendition)
+        }
+      };
+    }
+
+    // The network response's Content-Type says what the file is; URLs only seen in the DOM
+    // are sniffed when their extension doesn't tell. Images are read for their dimensions.
+    const urlType = getMediaType(url);
+    const identified = contentType || !urlType || urlType === 'image'
+      ? await identifyMedia(url, contentType, {
+        timeout: this.timeout / 4,
+        requestProfile: this.requestProfile,
+        proxy: this.proxy,
+        beforeRequest: async (target) => {
+          if (this.respectRobots) await getRobotsPolicy().enforce(target, { proxy: this.proxy });
+        }
+      })
+      : null;
+
     return {
       url,
-      type: isImageType(url) ? 'image' : 'video',
-      size: null,
-      contentType: null,
+      type: identified ? identified.type : urlType || 'video',
+      size: (identified && identified.size) || null,
+      contentType: identified ? identified.contentType : contentType,
+      ...(identified ? { extension: identified.extension } : {}),
+      ...(identified && identified.width ? { width: identified.width, height: identified.height } : {}),
       lastModified: null,
       status: 200
     };
   }
 
   shouldIncludeMedia(mediaInfo, filters) {
-    // Since we don't have size info from browser extraction, 
-    // we'll include all found media
-    return true;
+    // Size info is rarely available from browser extraction, so the byte-size filters are skipped
+    return isMediaTypeIncluded(mediaInfo.type, filters) && matchesDimensionFilters(mediaInfo, filters) &&
+      matchesMediaRules(mediaInfo, filters);
   }
 }
 
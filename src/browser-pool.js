@@ -1,4 +1,15 @@
 const puppeteer = require('puppeteer-core');
+const { getProxyConfig } = require('./proxy');
+
+const PAGE_HEADERS = {
+  'Accept-Language': 'en-US,en;q=0.9',
+  'Accept-Encoding': 'gzip, deflate, br',
+  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
+  'Sec-Fetch-Site': 'none',
+  'Sec-Fetch-Mode': 'navigate',
+  'Sec-Fetch-User': '?1',
+  'Sec-Fetch-Dest': 'document'
+};
 
 class BrowserPool {
   constructor(options = {}) {
@@ -8,6 +19,9 @@ class BrowserPool {
     this.browsers = [];
     this.availablePages = [];
     this.busyPages = new Set();
+    // Proxy each browser was launched with, and the private context of each isolated job page
+    this.browserProxies = new Map();
+    this.jobContexts = new Map();
     this.initPromise = null;
   }
 
@@ -46,7 +60,13 @@ class BrowserPool {
       // Windows and other platforms: puppeteer-core will try to find Chrome automatically
     }
 
-    return await puppeteer.launch({
+    // Each browser takes the next server-wide proxy, so a proxy list rotates across browsers
+    const browserProxy = getProxyConfig().getBrowserProxy();
+    const proxyArgs = browserProxy
+      ? [`--proxy-server=${browserProxy.server}`, ...(browserProxy.bypassList ? [`--proxy-bypass-list=${browserProxy.bypassList}`] : [])]
+      : [];
+
+    const browser = await puppeteer.launch({
       executablePath,
       headless: "new",
       args: [
@@ -58,19 +78,27 @@ class BrowserPool {
         '--no-zygote',
         '--disable-extensions',
         '--disable-blink-features=AutomationControlled',
-        '--disable-features=VizDisplayCompositor'
+        '--disable-features=VizDisplayCompositor',
+        ...proxyArgs
       ],
       timeout: this.timeout
     });
+
+    this.browserProxies.set(browser, browserProxy);
+    return browser;
   }
 
-  async acquirePage() {
+  async acquirePage(options = {}) {
     if (!this.initPromise) {
       await this.initialize();
     } else {
       await this.initPromise;
     }
 
+    if (options.proxy || options.isolated) {
+      return this.acquireIsolatedPage(options.proxy || null);
+    }
+
     // Check if there's an available page
     if (this.availablePages.length > 0) {
       const page = this.availablePages.pop();
@@ -84,7 +112,7 @@ class BrowserPool {
         const pages = await browser.pages();
         if (pages.length < this.maxPagesPerBrowser) {
           const page = await browser.newPage();
-          await this.configurePage(page);
+          await this.configurePage(page, this.browserProxies.get(browser));
           this.busyPages.add(page);
           return page;
         }
@@ -96,7 +124,7 @@ class BrowserPool {
       const browser = await this.createBrowser();
       this.browsers.push(browser);
       const page = await browser.newPage();
-      await this.configurePage(page);
+      await this.configurePage(page, this.browserProxies.get(browser));
       this.busyPages.add(page);
       console.log(`Created new browser. Total browsers: ${this.browsers.length}`);
       return page;
@@ -121,7 +149,76 @@ class BrowserPool {
     });
   }
 
-  async configurePage(page) {
+  // A job with its own proxy or with credentials gets a fresh private context: Chromium applies
+  // a proxy per browser or per context, and cookies set by or for a logged-in job would
+  // otherwise stay in the shared context. It is closed on release rather than pooled.
+  async acquireIsolatedPage(proxyConfig = null) {
+    const browser = await this.waitForCapacity();
+    const browserProxy = proxyConfig ? proxyConfig.getBrowserProxy() : this.browserProxies.get(browser);
+    const context = await browser.createIncognitoBrowserContext(browserProxy ? {
+      proxyServer: browserProxy.server,
+      proxyBypassList: browserProxy.bypassList ? browserProxy.bypassList.split(';') : undefined
+    } : {});
+
+    try {
+      const page = await context.newPage();
+      await this.configurePage(page, browserProxy);
+      this.jobContexts.set(page, context);
+      this.busyPages.add(page);
+      return page;
+    } catch (error) {
+      await context.close().catch(() => {});
+      throw error;
+    }
+  }
+
+  // Isolated pages count against maxBrowsers and maxPagesPerBrowser like pooled ones.
+  // browser.pages() lists the pages of every context, so a browser with room is used first,
+  // then a new browser, then the slot of an idle pooled page.
+  async findBrowserWithCapacity() {
+    for (const browser of this.browsers) {
+      if (browser.isConnected() && (await browser.pages()).length < this.maxPagesPerBrowser) {
+        return browser;
+      }
+    }
+
+    if (this.browsers.length < this.maxBrowsers) {
+      const browser = await this.createBrowser();
+      this.browsers.push(browser);
+      console.log(`Created new browser. Total browsers: ${this.browsers.length}`);
+      return browser;
+    }
+
+    const idlePage = this.availablePages.pop();
+    if (idlePage) {
+      const browser = idlePage.browser();
+      await idlePage.close().catch(() => {});
+      return browser;
+    }
+
+    return null;
+  }
+
+  async waitForCapacity() {
+    const deadline = Date.now() + 30000;
+    for (;;) {
+      const browser = await this.findBrowserWithCapacity();
+      if (browser) {
+        return browser;
+      }
+      if (Date.now() >= deadline) {
+        throw new Error('Timeout waiting for available page');
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  async configurePage(page, browserProxy = null) {
+    // Chromium doesn't take credentials in --proxy-server; it asks for them per page
+    if (browserProxy && browserProxy.username) {
+      await page.authenticate({ username: browserProxy.username, password: browserProxy.password });
+    }
+
     // Enhanced bot detection avoidance
     await page.evaluateOnNewDocument(() => {
       Object.defineProperty(navigator, 'webdriver', {
@@ -152,15 +249,7 @@ class BrowserPool {
     await page.setViewport({ width: 1366, height: 768 });
 
     // Set additional headers to look more like a real browser
-    await page.setExtraHTTPHeaders({
-      'Accept-Language': 'en-US,en;q=0.9',
-      'Accept-Encoding': 'gzip, deflate, br',
-      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
-      'Sec-Fetch-Site': 'none',
-      'Sec-Fetch-Mode': 'navigate',
-      'Sec-Fetch-User': '?1',
-      'Sec-Fetch-Dest': 'document'
-    });
+    await page.setExtraHTTPHeaders(PAGE_HEADERS);
   }
 
   async releasePage(page) {
@@ -168,6 +257,13 @@ class BrowserPool {
 
     this.busyPages.delete(page);
 
+    const context = this.jobContexts.get(page);
+    if (context) {
+      this.jobContexts.delete(page);
+      await context.close().catch(() => {});
+      return;
+    }
+
     try {
       // Clear page state
       await page.goto('about:blank');
@@ -225,6 +321,8 @@ class BrowserPool {
     }
 
     this.browsers = [];
+    this.browserProxies.clear();
+    this.jobContexts.clear();
     this.initPromise = null;
     console.log('Browser pool shut down');
   }
@@ -240,4 +338,4 @@ function getBrowserPool(options) {
   return browserPoolInstance;
 }
 
-module.exports = { BrowserPool, getBrowserPool };
+module.exports = { BrowserPool, getBrowserPool, PAGE_HEADERS };
@@ -0,0 +1,92 @@
+const { validateSimilarityThreshold } = require('./perceptual-hash');
+
+// Query parameters that don't change which file a URL points at. A trailing * matches a prefix.
+const TRACKING_PARAMS = [
+  'utm_*', 'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'twclid',
+  'mc_cid', 'mc_eid', '_ga', '_gl', 'igshid', 'ref_src', 'spm'
+];
+// Image CDN resize/format parameters. Only stripped on request: on other servers w or q can
+// mean something else, and copies that differ in them can be different sizes.
+const RESIZE_PARAMS = ['w', 'h', 'width', 'height', 'resize', 'fit', 'crop', 'dpr', 'q', 'quality', 'scale'];
+const MAX_CUSTOM_PARAMS = 50;
+
+function parseParamList(value) {
+  return (Array.isArray(value) ? value : [])
+    .filter(name => typeof name === 'string' && name.trim())
+    .map(name => name.trim().toLowerCase())
+    .slice(0, MAX_CUSTOM_PARAMS);
+}
+
+function validateDedupeOptions(options) {
+  // A default parameter wouldn't cover an explicit null from a JSON body
+  if (options === undefined || options === null) {
+    options = {};
+  }
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('dedupe must be an object');
+  }
+
+  return {
+    canonicalize: options.canonicalize !== false,
+    stripTrackingParams: options.stripTrackingParams !== false,
+    stripResizeParams: options.stripResizeParams === true,
+    stripParams: parseParamList(options.stripParams),
+    keepParams: parseParamList(options.keepParams),
+    contentHash: options.contentHash !== false,
+    similarImages: options.similarImages === true,
+    similarityThreshold: validateSimilarityThreshold(options.similarityThreshold)
+  };
+}
+
+function matchesParam(patterns, name) {
+  return patterns.some(pattern => (pattern.endsWith('*') ? name.startsWith(pattern.slice(0, -1)) : name === pattern));
+}
+
+// Drops the fragment and the configured query parameters. Remaining parameters keep their
+// order and encoding. The result is a dedupe key; requests still go to a URL as found.
+function canonicalizeUrl(urlString, options = {}) {
+  let urlObj;
+  try {
+    urlObj = new URL(urlString);
+  } catch {
+    return urlString;
+  }
+  if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') {
+    return urlString;
+  }
+
+  const stripped = [
+    ...(options.stripTrackingParams !== false ? TRACKING_PARAMS : []),
+    ...(options.stripResizeParams === true ? RESIZE_PARAMS : []),
+    ...(options.stripParams || [])
+  ];
+  const kept = options.keepParams || [];
+
+  const params = urlObj.search.substring(1).split('&').filter(Boolean).filter(param => {
+    let name;
+    try {
+      name = decodeURIComponent(param.split('=')[0].replace(/\+/g, ' ')).toLowerCase();
+    } catch {
+      return true;
+    }
+    return matchesParam(kept, name) || !matchesParam(stripped, name);
+  });
+
+  // The WHATWG parser has already lowercased the host and dropped default ports
+  urlObj.hash = '';
+  urlObj.search = '';
+  return `${urlObj.toString()}${params.length > 0 ? `?${params.join('&')}` : ''}`;
+}
+
+// http: and https: copies of a URL are the same file
+function getCanonicalKey(urlString) {
+  return urlString.replace(/^https?:/, '');
+}
+
+module.exports = {
+  TRACKING_PARAMS,
+  RESIZE_PARAMS,
+  validateDedupeOptions,
+  canonicalizeUrl,
+  getCanonicalKey
+};
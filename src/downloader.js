@@ -1,14 +1,33 @@
 const axios = require('axios');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const archiver = require('archiver');
 const { 
   generateUniqueFilename, 
   formatBytes, 
-  isImageType, 
-  isVideoType,
+  getMediaType,
+  getMediaFolder,
+  isStreamManifest,
+  retryAsync,
   delay 
 } = require('./utils');
+const { getRobotsPolicy, shouldRespectRobots } = require('./robots');
+const { StreamManifestResolver } = require('./streams');
+const { isInlineUrl, getInlineFilePath } = require('./inline-media');
+const { detectEmbed } = require('./embeds');
+const { classifyContentType } = require('./media-probe');
+const { validateDedupeOptions } = require('./canonical-url');
+const { getProfileHeaders } = require('./request-profile');
+const { getProxyAgents } = require('./proxy');
+const { getHostScheduler } = require('./host-scheduler');
+const { hashImageFiles, clusterByHash } = require('./perceptual-hash');
+
+const STREAM_CONTENT_TYPES = {
+  '.ts': 'video/mp2t',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm'
+};
 
 class DownloadManager {
   constructor(options = {}) {
@@ -16,6 +35,8 @@ class DownloadManager {
     this.timeout = options.timeout || parseInt(process.env.DOWNLOAD_TIMEOUT) || 30000;
     this.userAgent = options.userAgent || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
     this.maxFileSize = options.maxFileSize || parseInt(process.env.MAX_FILE_SIZE) || 104857600; // 100MB
+    this.respectRobots = shouldRespectRobots(options.respectRobots);
+    this.streamResolver = new StreamManifestResolver({ timeout: this.timeout, userAgent: this.userAgent });
     this.downloadQueue = [];
     this.activeDownloads = new Map();
     this.completedDownloads = new Map();
@@ -23,51 +44,101 @@ class DownloadManager {
     this.downloadStats = new Map();
   }
 
-  async downloadFile(url, jobId, progressCallback = null) {
+  async downloadFile(url, jobId, progressCallback = null, options = {}) {
     const downloadId = `${jobId}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
     try {
+      // Hosted players serve an HTML page, not the video file
+      const embed = options.media && options.media.type === 'embed' ? options.media.embed : detectEmbed(url);
+      if (embed) {
+        throw new Error(`Embedded ${embed.provider || 'player'} videos can't be downloaded directly`);
+      }
+
+      if (isInlineUrl(url)) {
+        return this.completeInlineDownload(downloadId, url, jobId, options.media || {});
+      }
+
+      // Wait out any Crawl-delay before taking a download slot
+      if (this.respectRobots || options.respectRobots === true) {
+        await getRobotsPolicy().enforce(url, { proxy: options.proxy });
+      }
+
       if (this.activeDownloads.size >= this.concurrent) {
         await this.waitForSlot();
       }
 
       this.activeDownloads.set(downloadId, { url, jobId, startTime: Date.now() });
 
-      const response = await axios({
-        method: 'get',
-        url: url,
-        responseType: 'stream',
-        timeout: this.timeout,
-        headers: {
-          'User-Agent': this.userAgent,
-          'Accept': '*/*',
-          'Accept-Encoding': 'gzip, deflate',
-          'Connection': 'keep-alive'
-        },
-        maxRedirects: 5,
-        validateStatus: (status) => status >= 200 && status < 400
-      });
+      const media = options.media || {};
+      if (media.stream || isStreamManifest(url)) {
+        const streamFile = await this.downloadStream(url, downloadId, progressCallback, media.rendition, options);
+        return this.completeDownload(downloadId, url, streamFile);
+      }
 
-      const contentLength = parseInt(response.headers['content-length']) || 0;
-      const contentType = response.headers['content-type'] || '';
+      const file = await getHostScheduler().run(url, () => this.fetchFile(url, downloadId, progressCallback, options));
+      return this.completeDownload(downloadId, url, file);
 
-      if (contentLength > this.maxFileSize) {
-        throw new Error(`File too large: ${formatBytes(contentLength)} exceeds ${formatBytes(this.maxFileSize)}`);
-      }
+    } catch (error) {
+      this.activeDownloads.delete(downloadId);
+      this.downloadStats.delete(downloadId);
+      this.failedDownloads.set(downloadId, { url, error: error.message, timestamp: Date.now() });
+      throw error;
+    }
+  }
 
-      const isImage = isImageType(url);
-      const downloadDir = path.join(__dirname, '..', 'downloads', isImage ? 'images' : 'videos');
-      
-      if (!fs.existsSync(downloadDir)) {
-        fs.mkdirSync(downloadDir, { recursive: true });
-      }
+  // Streams one response to disk; the host slot is held until the file is written
+  async fetchFile(url, downloadId, progressCallback, options = {}) {
+    const media = options.media || {};
+    const response = await axios({
+      method: 'get',
+      url: url,
+      responseType: 'stream',
+      timeout: this.timeout,
+      ...getProxyAgents(options.proxy, url),
+      headers: {
+        'User-Agent': this.userAgent,
+        'Accept': '*/*',
+        'Accept-Encoding': 'gzip, deflate',
+        'Connection': 'keep-alive',
+        ...getProfileHeaders(options.requestProfile, url)
+      },
+      maxRedirects: 5,
+      validateStatus: (status) => status >= 200 && status < 400
+    });
+
+    const contentLength = parseInt(response.headers['content-length']) || 0;
+    const contentType = response.headers['content-type'] || '';
+
+    if (contentLength > this.maxFileSize) {
+      throw new Error(`File too large: ${formatBytes(contentLength)} exceeds ${formatBytes(this.maxFileSize)}`);
+    }
+
+    // Extraction already identified the content; otherwise the response's Content-Type decides
+    const identified = classifyContentType(contentType);
+    const type = media.type || (identified && identified.type) || getMediaType(url) || 'video';
+    const extension = media.extension || (identified && identified.extension);
+    const downloadDir = path.join(__dirname, '..', 'downloads', getMediaFolder(type));
+    
+    if (!fs.existsSync(downloadDir)) {
+      fs.mkdirSync(downloadDir, { recursive: true });
+    }
 
-      const existingFiles = fs.readdirSync(downloadDir);
-      const filename = generateUniqueFilename(url, existingFiles);
-      const filePath = path.join(downloadDir, filename);
+    const existingFiles = fs.readdirSync(downloadDir);
+    const filename = generateUniqueFilename(url, existingFiles, extension);
+    const filePath = path.join(downloadDir, filename);
 
-      let downloadedBytes = 0;
-      const writeStream = fs.createWriteStream(filePath);
+    let downloadedBytes = 0;
+    const writeStream = fs.createWriteStream(filePath);
+
+    // Errors settle this promise rather than being thrown from a listener, where they would be
+    // lost and leave the download (and its host's scheduler slot) waiting forever
+    await new Promise((resolve, reject) => {
+      const fail = (error) => {
+        response.data.destroy();
+        writeStream.destroy();
+        fs.unlink(filePath, () => {});
+        reject(error);
+      };
 
       response.data.on('data', (chunk) => {
         downloadedBytes += chunk.length;
@@ -85,66 +156,173 @@ class DownloadManager {
         }
 
         if (downloadedBytes > this.maxFileSize) {
-          writeStream.destroy();
-          fs.unlink(filePath, () => {});
-          throw new Error(`File too large: Download exceeds ${formatBytes(this.maxFileSize)}`);
+          fail(new Error(`File too large: Download exceeds ${formatBytes(this.maxFileSize)}`));
         }
       });
 
-      response.data.on('error', (error) => {
-        writeStream.destroy();
-        fs.unlink(filePath, () => {});
-        throw error;
-      });
+      response.data.on('error', fail);
+      writeStream.on('error', fail);
+      writeStream.on('finish', resolve);
 
       response.data.pipe(writeStream);
+    });
+
+    return { filename, filePath, contentType, type };
+  }
+
+  completeDownload(downloadId, url, file) {
+    const stats = fs.statSync(file.filePath);
+    const downloadInfo = {
+      downloadId,
+      url,
+      ...file,
+      size: stats.size,
+      downloadTime: Date.now() - this.activeDownloads.get(downloadId).startTime
+    };
+
+    this.completedDownloads.set(downloadId, downloadInfo);
+    this.activeDownloads.delete(downloadId);
+    this.downloadStats.delete(downloadId);
+
+    return downloadInfo;
+  }
+
+  // Inline assets were decoded and saved during extraction, so there is nothing to fetch
+  completeInlineDownload(downloadId, url, jobId, media) {
+    const filePath = getInlineFilePath(url);
+    if (!filePath || !fs.existsSync(filePath)) {
+      throw new Error('Inline asset is no longer available; extract the page again');
+    }
+
+    this.activeDownloads.set(downloadId, { url, jobId, startTime: Date.now() });
+
+    return this.completeDownload(downloadId, url, {
+      filename: path.basename(filePath),
+      filePath,
+      contentType: media.contentType,
+      type: media.type || getMediaType(url) || 'image',
+      inline: true
+    });
+  }
+
+  // Fetches every segment of one HLS/DASH rendition and concatenates them into a single file
+  async downloadStream(url, downloadId, progressCallback, renditionIndex = 0, options = {}) {
+    const { requestProfile = null, proxy = null } = options;
+    // The shared resolver carries no job's credentials or proxy
+    const streamResolver = requestProfile || proxy
+      ? new StreamManifestResolver({ timeout: this.timeout, userAgent: this.userAgent, requestProfile, proxy })
+      : this.streamResolver;
+    const stream = await streamResolver.getSegments(url, renditionIndex);
+    const parts = stream.initSegment ? [stream.initSegment, ...stream.segments] : stream.segments;
+
+    const downloadDir = path.join(__dirname, '..', 'downloads', getMediaFolder('video'));
+    if (!fs.existsSync(downloadDir)) {
+      fs.mkdirSync(downloadDir, { recursive: true });
+    }
 
-      await new Promise((resolve, reject) => {
-        writeStream.on('finish', resolve);
-        writeStream.on('error', reject);
-        response.data.on('error', reject);
+    // Name the output after the manifest, with the extension of the joined segments
+    const outputUrl = new URL(url);
+    outputUrl.pathname = outputUrl.pathname.replace(/\.(m3u8|mpd)$/i, '') + stream.extension;
+
+    const existingFiles = fs.readdirSync(downloadDir);
+    const filename = generateUniqueFilename(outputUrl.href, existingFiles);
+    const filePath = path.join(downloadDir, filename);
+    const writeStream = fs.createWriteStream(filePath);
+    // A failed write (disk full, permissions) has to reject here rather than go unhandled
+    let writeError = null;
+    const writeFailed = new Promise((resolve, reject) => {
+      writeStream.on('error', (error) => {
+        writeError = error;
+        reject(error);
       });
+    });
+    writeFailed.catch(() => {});
+    let downloadedBytes = 0;
 
-      const stats = fs.statSync(filePath);
-      const downloadInfo = {
-        downloadId,
-        url,
-        filename,
-        filePath,
-        size: stats.size,
-        contentType,
-        downloadTime: Date.now() - this.activeDownloads.get(downloadId).startTime,
-        type: isImage ? 'image' : 'video'
-      };
+    try {
+      for (let i = 0; i < parts.length; i++) {
+        if (writeError) {
+          throw writeError;
+        }
+        if (this.respectRobots || options.respectRobots === true) {
+          await getRobotsPolicy().enforce(parts[i], { proxy });
+        }
 
-      this.completedDownloads.set(downloadId, downloadInfo);
-      this.activeDownloads.delete(downloadId);
-      this.downloadStats.delete(downloadId);
+        const response = await retryAsync(
+          () => getHostScheduler().run(parts[i], () => axios.get(parts[i], {
+            responseType: 'arraybuffer',
+            timeout: this.timeout,
+            ...getProxyAgents(proxy, parts[i]),
+            headers: { 'User-Agent': this.userAgent, 'Accept': '*/*', ...getProfileHeaders(requestProfile, parts[i]) },
+            maxRedirects: 5
+          })),
+          { maxRetries: 2, retryDelay: 500 }
+        );
+
+        const chunk = Buffer.from(response.data);
+        downloadedBytes += chunk.length;
 
-      return downloadInfo;
+        if (downloadedBytes > this.maxFileSize) {
+          throw new Error(`File too large: Stream exceeds ${formatBytes(this.maxFileSize)}`);
+        }
 
+        if (!writeStream.write(chunk)) {
+          await Promise.race([new Promise(resolve => writeStream.once('drain', resolve)), writeFailed]);
+        }
+
+        if (progressCallback) {
+          progressCallback({
+            downloadId,
+            url,
+            progress: Math.round(((i + 1) / parts.length) * 100),
+            downloadedBytes,
+            totalBytes: 0,
+            segment: i + 1,
+            totalSegments: parts.length,
+            speed: this.calculateSpeed(downloadId, downloadedBytes)
+          });
+        }
+      }
+
+      await Promise.race([new Promise(resolve => writeStream.end(resolve)), writeFailed]);
     } catch (error) {
-      this.activeDownloads.delete(downloadId);
-      this.downloadStats.delete(downloadId);
-      this.failedDownloads.set(downloadId, { url, error: error.message, timestamp: Date.now() });
+      writeStream.destroy();
+      fs.unlink(filePath, () => {});
       throw error;
     }
+
+    return {
+      filename,
+      filePath,
+      contentType: STREAM_CONTENT_TYPES[stream.extension],
+      type: 'video',
+      stream: {
+        protocol: stream.protocol,
+        rendition: stream.rendition,
+        segments: parts.length
+      }
+    };
   }
 
-  async downloadBulk(mediaList, jobId, progressCallback = null) {
+  async downloadBulk(mediaList, jobId, progressCallback = null, options = {}) {
     const results = {
       jobId,
       total: mediaList.length,
       completed: [],
       failed: [],
+      duplicates: [],
+      duplicatesRemoved: 0,
+      similarClusters: [],
+      similarRemoved: 0,
       startTime: Date.now(),
       endTime: null
     };
 
+    const listIndex = new Map();
+
     const downloadPromises = mediaList.map(async (media, index) => {
       try {
-        await delay(index * 100); // Stagger requests slightly
-        
+        // Pacing per host is up to the shared scheduler
         const downloadInfo = await this.downloadFile(media.url, jobId, (progress) => {
           if (progressCallback) {
             progressCallback({
@@ -155,8 +333,14 @@ class DownloadManager {
               failedCount: results.failed.length
             });
           }
-        });
+        }, { ...options, media });
 
+        // Page context (alt text, caption...) travels into the ZIP manifest
+        if (media.context) {
+          downloadInfo.context = media.context;
+        }
+        downloadInfo.aliases = Array.isArray(media.aliases) ? [...media.aliases] : [];
+        listIndex.set(downloadInfo, index);
         results.completed.push(downloadInfo);
         
         if (progressCallback) {
@@ -188,6 +372,16 @@ class DownloadManager {
     });
 
     await Promise.allSettled(downloadPromises);
+
+    // Downloads finish in any order; sorting keeps the first requested copy of each file
+    results.completed.sort((a, b) => listIndex.get(a) - listIndex.get(b));
+    const dedupe = validateDedupeOptions(options.dedupe);
+    if (dedupe.contentHash) {
+      await this.removeDuplicateFiles(results);
+    }
+    if (dedupe.similarImages) {
+      await this.removeSimilarImages(results, dedupe.similarityThreshold);
+    }
     
     results.endTime = Date.now();
     results.duration = results.endTime - results.startTime;
@@ -195,6 +389,93 @@ class DownloadManager {
     return results;
   }
 
+  // Different URLs can serve byte-identical files. Later copies are deleted and their URLs
+  // are listed as aliases of the first one.
+  async removeDuplicateFiles(results) {
+    const byHash = new Map();
+    const unique = [];
+
+    for (const download of results.completed) {
+      try {
+        download.sha256 = await hashFile(download.filePath);
+      } catch {
+        unique.push(download);
+        continue;
+      }
+
+      const original = byHash.get(download.sha256);
+      if (!original) {
+        byHash.set(download.sha256, download);
+        unique.push(download);
+        continue;
+      }
+
+      [download.url, ...download.aliases].forEach(url => {
+        if (url !== original.url && !original.aliases.includes(url)) {
+          original.aliases.push(url);
+        }
+      });
+      // Inline assets live in the shared extraction cache, not in this job's downloads
+      if (!download.inline && download.filePath !== original.filePath) {
+        fs.rmSync(download.filePath, { force: true });
+      }
+      this.completedDownloads.delete(download.downloadId);
+      results.duplicates.push({ url: download.url, duplicateOf: original.url, filename: original.filename });
+    }
+
+    results.completed = unique;
+    results.duplicatesRemoved = results.duplicates.length;
+    return results;
+  }
+
+  // The same picture is often served as a thumbnail, a WebP resize and a full-size original.
+  // Images are clustered by dHash and only the one with the most pixels (then bytes) is kept.
+  async removeSimilarImages(results, threshold) {
+    // Corrupt or unsupported files are kept without a hash
+    const candidates = results.completed.filter(download => download.type === 'image' && !download.stream);
+    const hashes = await hashImageFiles(candidates.map(download => download.filePath)).catch(() => []);
+    const images = [];
+    candidates.forEach((download, index) => {
+      if (hashes[index]) {
+        Object.assign(download, hashes[index]);
+        images.push(download);
+      }
+    });
+
+    const removed = new Set();
+    clusterByHash(images, threshold).forEach(indexes => {
+      const members = indexes.map(index => images[index]);
+      const kept = members.reduce((best, member) => {
+        const pixels = member.width * member.height;
+        const bestPixels = best.width * best.height;
+        return pixels > bestPixels || (pixels === bestPixels && member.size > best.size) ? member : best;
+      });
+
+      members.filter(member => member !== kept).forEach(member => {
+        if (!member.inline && member.filePath !== kept.filePath) {
+          fs.rmSync(member.filePath, { force: true });
+        }
+        this.completedDownloads.delete(member.downloadId);
+        removed.add(member);
+      });
+      results.similarClusters.push({
+        kept: kept.url,
+        filename: kept.filename,
+        members: members.map(member => ({
+          url: member.url,
+          width: member.width,
+          height: member.height,
+          size: member.size,
+          dHash: member.dHash
+        }))
+      });
+    });
+
+    results.completed = results.completed.filter(download => !removed.has(download));
+    results.similarRemoved = removed.size;
+    return results;
+  }
+
   async createZipArchive(downloadResults, jobId) {
     const zipPath = path.join(__dirname, '..', 'downloads', `${jobId}_archive.zip`);
     const output = fs.createWriteStream(zipPath);
@@ -217,7 +498,7 @@ class DownloadManager {
       downloadResults.completed.forEach((download) => {
         if (fs.existsSync(download.filePath)) {
           archive.file(download.filePath, { 
-            name: `${download.type}s/${download.filename}` 
+            name: `${getMediaFolder(download.type)}/${download.filename}` 
           });
         }
       });
@@ -227,12 +508,21 @@ class DownloadManager {
         createdAt: new Date().toISOString(),
         totalFiles: downloadResults.completed.length,
         totalSize: downloadResults.completed.reduce((sum, d) => sum + d.size, 0),
+        duplicatesRemoved: downloadResults.duplicatesRemoved || 0,
+        similarRemoved: downloadResults.similarRemoved || 0,
+        similarClusters: downloadResults.similarClusters || [],
         files: downloadResults.completed.map(d => ({
           filename: d.filename,
           originalUrl: d.url,
+          aliases: d.aliases && d.aliases.length > 0 ? d.aliases : undefined,
           size: d.size,
+          sha256: d.sha256,
+          dHash: d.dHash || undefined,
           type: d.type,
-          contentType: d.contentType
+          contentType: d.contentType,
+          stream: d.stream,
+          inline: d.inline,
+          context: d.context
         }))
       }, null, 2);
 
@@ -295,8 +585,8 @@ class DownloadManager {
     // Remove completed downloads for this job
     for (const [key, value] of this.completedDownloads.entries()) {
       if (value.url.includes(jobId)) {
-        // Optionally delete the file
-        if (fs.existsSync(value.filePath)) {
+        // Inline files are shared by content hash across jobs; the cleanup interval removes them
+        if (!value.inline && fs.existsSync(value.filePath)) {
           fs.unlink(value.filePath, () => {});
         }
         this.completedDownloads.delete(key);
@@ -324,4 +614,14 @@ class DownloadManager {
   }
 }
 
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
 module.exports = DownloadManager;
\ No newline at end of file
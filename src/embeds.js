@@ -0,0 +1,143 @@
+const { normalizeUrl, isSafeUrl } = require('./utils');
+
+// Hosted players whose iframes stand in for a video file. Each pattern captures
+// the video ID; watchUrl gives one canonical URL per video so embeds dedupe.
+const EMBED_PROVIDERS = [
+  {
+    name: 'youtube',
+    patterns: [
+      /^https?:\/\/(?:www\.|m\.)?youtube(?:-nocookie)?\.com\/(?:embed|v|shorts)\/([\w-]{11})/i,
+      /^https?:\/\/(?:www\.|m\.)?youtube\.com\/watch\?(?:.*&)?v=([\w-]{11})/i,
+      /^https?:\/\/youtu\.be\/([\w-]{11})/i
+    ],
+    watchUrl: id => `https://www.youtube.com/watch?v=${id}`,
+    thumbnailUrl: id => `https://i.ytimg.com/vi/${id}/hqdefault.jpg`
+  },
+  {
+    name: 'vimeo',
+    patterns: [
+      /^https?:\/\/player\.vimeo\.com\/video\/(\d+)/i,
+      /^https?:\/\/(?:www\.)?vimeo\.com\/(?:video\/)?(\d+)/i
+    ],
+    watchUrl: id => `https://vimeo.com/${id}`
+  },
+  {
+    name: 'wistia',
+    patterns: [
+      /^https?:\/\/(?:fast\.)?wistia\.(?:net|com)\/embed\/(?:iframe|medias)\/(\w+)/i,
+      /^https?:\/\/[\w-]+\.wistia\.com\/medias\/(\w+)/i
+    ],
+    watchUrl: id => `https://fast.wistia.net/embed/iframe/${id}`
+  },
+  {
+    name: 'dailymotion',
+    patterns: [
+      /^https?:\/\/(?:www\.)?dailymotion\.com\/(?:embed\/)?video\/([a-z0-9]+)/i,
+      /^https?:\/\/dai\.ly\/([a-z0-9]+)/i
+    ],
+    watchUrl: id => `https://www.dailymotion.com/video/${id}`
+  },
+  {
+    name: 'loom',
+    patterns: [
+      /^https?:\/\/(?:www\.)?loom\.com\/(?:embed|share)\/([a-f0-9]{32})/i
+    ],
+    watchUrl: id => `https://www.loom.com/share/${id}`
+  }
+];
+
+const EMBED_ELEMENTS = [
+  { selector: 'iframe', attributes: ['src', 'data-src', 'data-lazy-src'] },
+  { selector: 'embed', attributes: ['src'] },
+  { selector: 'object', attributes: ['data'] }
+];
+
+// og:video and twitter:player usually point at the provider's player page
+const EMBED_META_KEYS = ['og:video', 'og:video:url', 'og:video:secure_url', 'twitter:player'];
+
+function detectEmbed(url) {
+  if (!url) {
+    return null;
+  }
+
+  for (const provider of EMBED_PROVIDERS) {
+    for (const pattern of provider.patterns) {
+      const match = url.match(pattern);
+      if (match) {
+        return {
+          url: provider.watchUrl(match[1]),
+          provider: provider.name,
+          videoId: match[1],
+          embedUrl: url,
+          thumbnailUrl: provider.thumbnailUrl ? provider.thumbnailUrl(match[1]) : null
+        };
+      }
+    }
+  }
+
+  return null;
+}
+
+function getFrameUrls($, baseUrl) {
+  const urls = [];
+
+  EMBED_ELEMENTS.forEach(({ selector, attributes }) => {
+    $(selector).each((_, element) => {
+      attributes.forEach(attr => {
+        const value = ($(element).attr(attr) || '').trim();
+        const url = value && !/^(about|javascript|data):/i.test(value) ? normalizeUrl(value, baseUrl) : null;
+        if (url && isSafeUrl(url) && !urls.includes(url)) {
+          urls.push(url);
+        }
+      });
+    });
+  });
+
+  return urls;
+}
+
+function extractEmbeds($, baseUrl) {
+  const embeds = new Map();
+  const addEmbed = (url) => {
+    const embed = detectEmbed(url);
+    if (embed && !embeds.has(embed.url)) {
+      embeds.set(embed.url, embed);
+    }
+  };
+
+  getFrameUrls($, baseUrl).forEach(addEmbed);
+
+  $('meta').each((_, element) => {
+    const key = ($(element).attr('property') || $(element).attr('name') || '').trim().toLowerCase();
+    if (EMBED_META_KEYS.includes(key)) {
+      addEmbed(normalizeUrl(($(element).attr('content') || '').trim(), baseUrl));
+    }
+  });
+
+  return Array.from(embeds.values());
+}
+
+function describeEmbed(embed) {
+  return {
+    url: embed.url,
+    type: 'embed',
+    size: null,
+    contentType: 'text/html',
+    lastModified: null,
+    status: 200,
+    embed: {
+      provider: embed.provider,
+      videoId: embed.videoId,
+      embedUrl: embed.embedUrl,
+      thumbnailUrl: embed.thumbnailUrl
+    }
+  };
+}
+
+module.exports = {
+  EMBED_PROVIDERS,
+  detectEmbed,
+  getFrameUrls,
+  extractEmbeds,
+  describeEmbed
+};
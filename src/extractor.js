@@ -6,117 +6,422 @@ const {
   isSupportedMediaType,
   isImageType,
   isVideoType,
+  isAudioType,
+  isFontType,
+  getMediaType,
   extractUrlsFromCss,
+  extractImportUrlsFromCss,
+  mapWithConcurrency,
   getDomainFromUrl,
   validateMediaFilters,
+  validateCrawlOptions,
+  isSameOrigin,
+  isSameSite,
+  isCrawlablePageUrl,
+  isMediaTypeIncluded,
+  matchesDimensionFilters,
+  matchesUrlRules,
+  matchesMediaRules,
   retryAsync
 } = require('./utils');
+const MediaCollection = require('./media-collection');
+const SitemapDiscovery = require('./sitemap');
+const { getRobotsPolicy, shouldRespectRobots } = require('./robots');
+const { StreamManifestResolver, getStreamProtocol, summarizeRendition } = require('./streams');
+const { STRUCTURED_MEDIA_TAG, extractStructuredMedia } = require('./structured-data');
+const { extractIconLinks, fetchWebManifest, getLargestIconSize } = require('./site-icons');
+const { parseFontFaces } = require('./font-faces');
+const { parseSrcset, extractVariantGroups } = require('./responsive-images');
+const { identifyMedia } = require('./media-probe');
+const { extractMediaContexts } = require('./media-context');
+const { getSelectorScope } = require('./selector-scope');
+const { validateDedupeOptions, canonicalizeUrl } = require('./canonical-url');
+const { getProfileHeaders } = require('./request-profile');
+const { getProxyAgents } = require('./proxy');
+const { getHostScheduler } = require('./host-scheduler');
+const { extractJsonStateUrls } = require('./json-state');
+const { detectEmbed, getFrameUrls, extractEmbeds, describeEmbed } = require('./embeds');
+const { extractInlineAssets, extractDataUrisFromCss, describeInlineAsset, saveInlineAsset } = require('./inline-media');
+const { getPluginRegistry, createPluginRequest } = require('./plugins');
 
 class MediaExtractor {
   constructor(options = {}) {
     this.timeout = options.timeout || parseInt(process.env.DOWNLOAD_TIMEOUT) || 30000;
     this.userAgent = options.userAgent || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
     this.maxRedirects = options.maxRedirects || 5;
+    this.cssConcurrency = options.cssConcurrency || parseInt(process.env.CSS_CONCURRENCY) || 4;
+    this.maxStylesheets = options.maxStylesheets || 50;
+    this.maxCachedStylesheets = options.maxCachedStylesheets || 200;
+    this.maxCssImportDepth = options.maxCssImportDepth || 5;
+    this.maxFrames = options.maxFrames || 10;
+    this.validationConcurrency = options.validationConcurrency || parseInt(process.env.VALIDATION_CONCURRENCY) || 8;
+    this.validationPerHost = options.validationPerHost || parseInt(process.env.VALIDATION_PER_HOST) || 4;
+    this.stylesheetCache = new Map();
+    this.respectRobots = shouldRespectRobots(options.respectRobots);
+    this.dedupe = validateDedupeOptions(options.dedupe);
+    this.requestProfile = options.requestProfile || null;
+    this.proxy = options.proxy || null;
+    this.sitemapDiscovery = new SitemapDiscovery({
+      timeout: this.timeout,
+      userAgent: this.userAgent,
+      respectRobots: this.respectRobots,
+      requestProfile: this.requestProfile,
+      proxy: this.proxy
+    });
+    this.streamResolver = new StreamManifestResolver({
+      timeout: this.timeout,
+      userAgent: this.userAgent,
+      requestProfile: this.requestProfile,
+      proxy: this.proxy
+    });
+    this.plugins = options.plugins || getPluginRegistry();
+    this.pluginRequest = createPluginRequest({
+      timeout: this.timeout,
+      userAgent: this.userAgent,
+      maxRedirects: this.maxRedirects,
+      respectRobots: this.respectRobots,
+      requestProfile: this.requestProfile,
+      proxy: this.proxy
+    });
   }
 
   async extractMedia(targetUrl, filters = {}, progressCallback = null) {
     const validatedFilters = validateMediaFilters(filters);
-    const results = {
-      url: targetUrl,
-      domain: getDomainFromUrl(targetUrl),
-      timestamp: new Date().toISOString(),
-      media: [],
-      errors: [],
-      stats: {
-        totalFound: 0,
-        images: 0,
-        videos: 0,
-        duplicatesRemoved: 0
+    const results = this.createResults(targetUrl);
+
+    try {
+      if (!isValidUrl(targetUrl)) {
+        throw new Error('Invalid URL provided');
       }
-    };
+
+      const page = await this.extractPageMedia(targetUrl, validatedFilters, progressCallback);
+      const mediaUrls = new MediaCollection().merge(page.mediaUrls, { foundOn: page.baseUrl });
+      results.errors.push(...page.errors);
+
+      await this.validateMediaUrls(mediaUrls, validatedFilters, results, progressCallback);
+      await this.plugins.processResults(results, { pageUrl: page.baseUrl, filters: validatedFilters });
+
+    } catch (error) {
+      results.errors.push({
+        url: targetUrl,
+        error: error.message
+      });
+    } finally {
+      this.stylesheetCache.clear();
+    }
+
+    return results;
+  }
+
+  async crawlMedia(targetUrl, filters = {}, crawlOptions = {}, progressCallback = null) {
+    const validatedFilters = validateMediaFilters(filters);
+    const { maxDepth, maxPages, useSitemap } = validateCrawlOptions(crawlOptions);
+    const results = this.createResults(targetUrl);
+    results.pages = [];
+    results.stats.pagesCrawled = 0;
 
     try {
       if (!isValidUrl(targetUrl)) {
         throw new Error('Invalid URL provided');
       }
 
-      if (progressCallback) progressCallback('Fetching HTML content...');
-      
-      const response = await this.fetchHtml(targetUrl);
-      const html = response.data;
-      const baseUrl = response.request.res.responseUrl || targetUrl;
-
-      if (progressCallback) progressCallback('Parsing HTML content...');
-      
-      const $ = cheerio.load(html);
-      const mediaUrls = new Set();
-
-      if (progressCallback) progressCallback('Finding media elements...');
-      
-      this.extractFromHtmlElements($, baseUrl, mediaUrls, validatedFilters);
-      
-      if (progressCallback) progressCallback('Extracting CSS background images...');
-      
-      this.extractFromCssStyles($, baseUrl, mediaUrls, validatedFilters);
-      
-      if (progressCallback) progressCallback('Processing inline styles...');
-      
-      this.extractFromInlineStyles($, baseUrl, mediaUrls, validatedFilters);
-
-      if (progressCallback) progressCallback('Scanning HTML for URL patterns...');
-      
-      this.extractFromHtmlContent(html, baseUrl, mediaUrls, validatedFilters);
-
-      if (progressCallback) progressCallback('Validating media URLs...');
-      
-      const mediaArray = Array.from(mediaUrls);
-      results.stats.totalFound = mediaArray.length;
-      
-      for (let i = 0; i < mediaArray.length; i++) {
-        const mediaUrl = mediaArray[i];
-        
+      const mediaUrls = new MediaCollection();
+      const startUrl = targetUrl.split('#')[0];
+      const queue = [{ url: startUrl, depth: 0 }];
+      const seen = new Set([startUrl]);
+      let originUrl = null;
+
+      if (useSitemap) {
+        const discovery = await this.sitemapDiscovery.discover(startUrl, progressCallback);
+
+        results.sitemaps = discovery.sitemaps;
+        results.stats.sitemapPages = discovery.pages.length;
+        results.errors.push(...discovery.errors);
+
+        discovery.pages.forEach(pageUrl => {
+          if (!seen.has(pageUrl)) {
+            seen.add(pageUrl);
+            queue.push({ url: pageUrl, depth: 0 });
+          }
+        });
+
+        // <image:image> and <video:video> entries are media sources in their own right,
+        // but they aren't on any element a selector scope could match
+        discovery.media.forEach(item => {
+          if (this.shouldIncludeByType(item.url, validatedFilters) && validatedFilters.includeSelectors.length === 0) {
+            mediaUrls.add(item.url, { foundOn: item.foundOn, type: item.type, source: 'sitemap' });
+          }
+        });
+      }
+
+      while (queue.length > 0 && results.pages.length < maxPages) {
+        const { url: pageUrl, depth } = queue.shift();
+
         if (progressCallback) {
-          progressCallback(`Validating media ${i + 1}/${mediaArray.length}...`);
+          progressCallback(`Crawling page ${results.pages.length + 1}/${maxPages}: ${pageUrl}`);
         }
-        
+
         try {
-          const mediaInfo = await this.validateAndGetMediaInfo(mediaUrl);
-          if (this.shouldIncludeMedia(mediaInfo, validatedFilters)) {
-            results.media.push(mediaInfo);
-            
-            if (isImageType(mediaUrl)) {
-              results.stats.images++;
-            } else if (isVideoType(mediaUrl)) {
-              results.stats.videos++;
-            }
+          const page = await this.extractPageMedia(pageUrl, validatedFilters);
+
+          // The start page decides the site; sitemap pages and links use the same www-insensitive rule
+          if (!originUrl) {
+            originUrl = page.baseUrl;
+          } else if (!isSameSite(page.baseUrl, originUrl)) {
+            continue;
+          }
+
+          if (page.baseUrl !== pageUrl && results.pages.includes(page.baseUrl)) {
+            continue;
+          }
+
+          results.pages.push(page.baseUrl);
+          mediaUrls.merge(page.mediaUrls, { foundOn: page.baseUrl });
+          results.errors.push(...page.errors);
+
+          if (depth < maxDepth) {
+            this.extractPageLinks(page.$, page.baseUrl, originUrl).forEach(link => {
+              if (!seen.has(link)) {
+                seen.add(link);
+                queue.push({ url: link, depth: depth + 1 });
+              }
+            });
           }
         } catch (error) {
           results.errors.push({
-            url: mediaUrl,
+            url: pageUrl,
             error: error.message
           });
         }
       }
 
-      results.media.sort((a, b) => (b.size || 0) - (a.size || 0));
+      results.stats.pagesCrawled = results.pages.length;
+
+      await this.validateMediaUrls(mediaUrls, validatedFilters, results, progressCallback);
+      await this.plugins.processResults(results, { pageUrl: originUrl || startUrl, filters: validatedFilters });
 
     } catch (error) {
       results.errors.push({
         url: targetUrl,
         error: error.message
       });
+    } finally {
+      this.stylesheetCache.clear();
     }
 
     return results;
   }
 
+  createResults(targetUrl) {
+    return {
+      url: targetUrl,
+      domain: getDomainFromUrl(targetUrl),
+      timestamp: new Date().toISOString(),
+      media: [],
+      errors: [],
+      stats: {
+        totalFound: 0,
+        images: 0,
+        videos: 0,
+        audios: 0,
+        icons: 0,
+        fonts: 0,
+        embeds: 0,
+        duplicatesRemoved: 0,
+        sources: {}
+      }
+    };
+  }
+
+  async extractPageMedia(pageUrl, filters, progressCallback = null, options = {}) {
+    if (progressCallback) progressCallback('Fetching HTML content...');
+
+    const response = await this.fetchHtml(pageUrl);
+    const html = response.data;
+    const baseUrl = response.request.res.responseUrl || pageUrl;
+
+    if (progressCallback) progressCallback('Parsing HTML content...');
+
+    const $ = cheerio.load(html);
+    const mediaUrls = new MediaCollection();
+
+    if (progressCallback) progressCallback('Finding media elements...');
+
+    this.extractFromHtmlElements($, baseUrl, mediaUrls, filters);
+
+    if (progressCallback) progressCallback('Decoding data: URIs and inline SVGs...');
+
+    this.addInlineAssets(extractInlineAssets($), mediaUrls, filters, 'inline-asset');
+
+    if (progressCallback) progressCallback('Reading Open Graph, Twitter Card and JSON-LD metadata...');
+
+    this.extractFromStructuredData($, baseUrl, mediaUrls, filters);
+
+    if (progressCallback) progressCallback('Detecting embedded video players...');
+
+    this.extractEmbeddedPlayers($, baseUrl, mediaUrls, filters);
+
+    if (options.frames !== false) {
+      await this.extractFromFrames($, baseUrl, mediaUrls, filters);
+    }
+
+    if (filters.includeIcons) {
+      if (progressCallback) progressCallback('Collecting site icons...');
+
+      await this.extractSiteIcons($, baseUrl, mediaUrls);
+    }
+
+    if (progressCallback) progressCallback('Extracting CSS background images...');
+
+    await this.extractFromCssStyles($, baseUrl, mediaUrls, filters);
+
+    if (progressCallback) progressCallback('Processing inline styles...');
+
+    this.extractFromInlineStyles($, baseUrl, mediaUrls, filters);
+
+    if (progressCallback) progressCallback('Reading embedded JSON state...');
+
+    this.extractFromJsonState($, baseUrl, mediaUrls, filters);
+
+    if (progressCallback) progressCallback('Scanning HTML for URL patterns...');
+
+    this.extractFromHtmlContent(html, baseUrl, mediaUrls, filters);
+
+    this.applySelectorScope($, baseUrl, mediaUrls, filters);
+
+    const errors = [];
+    await this.extractFromPlugins($, html, baseUrl, mediaUrls, filters, errors);
+
+    return { baseUrl, html, $, mediaUrls, errors };
+  }
+
+  extractPageLinks($, baseUrl, originUrl) {
+    const links = new Set();
+
+    $('a[href]').each((_, element) => {
+      const href = ($(element).attr('href') || '').trim();
+      if (!href || /^(#|mailto:|tel:|javascript:|data:)/i.test(href)) {
+        return;
+      }
+
+      const linkUrl = normalizeUrl(href, baseUrl);
+      if (!linkUrl) {
+        return;
+      }
+
+      const pageUrl = linkUrl.split('#')[0];
+      if (isSameSite(pageUrl, originUrl) && isCrawlablePageUrl(pageUrl)) {
+        links.add(pageUrl);
+      }
+    });
+
+    return Array.from(links);
+  }
+
+  async validateMediaUrls(mediaUrls, filters, results, progressCallback = null) {
+    if (progressCallback) progressCallback('Validating media URLs...');
+
+    mediaUrls.selectVariants(filters.variantSelection);
+    this.applyPluginRewrites(mediaUrls, results);
+    if (this.dedupe.canonicalize) {
+      const sizeBefore = mediaUrls.size;
+      mediaUrls.canonicalize(url => canonicalizeUrl(url, this.dedupe));
+      results.stats.duplicatesRemoved += sizeBefore - mediaUrls.size;
+    }
+    Array.from(mediaUrls).forEach(url => {
+      if (!matchesUrlRules(url, filters)) {
+        mediaUrls.delete(url);
+      }
+    });
+
+    const mediaArray = Array.from(mediaUrls);
+    results.stats.totalFound = mediaArray.length;
+    let validatedCount = 0;
+
+    // HEAD requests run in parallel, but no single host gets more than validationPerHost at once
+    const validations = await mapWithConcurrency(mediaArray, this.validationConcurrency, async (mediaUrl) => {
+      try {
+        return { mediaInfo: await this.validateEntry(mediaUrl, mediaUrls.get(mediaUrl)) };
+      } catch (error) {
+        return { error };
+      } finally {
+        validatedCount++;
+        if (progressCallback) {
+          progressCallback(`Validating media ${validatedCount}/${mediaArray.length}...`);
+        }
+      }
+    }, {
+      keyOf: mediaUrl => getDomainFromUrl(mediaUrl),
+      perKeyLimit: this.validationPerHost
+    });
+
+    mediaArray.forEach((mediaUrl, index) => {
+      const { mediaInfo, error } = validations[index];
+      if (error) {
+        results.errors.push({
+          url: mediaUrl,
+          error: error.message
+        });
+        return;
+      }
+
+      const entry = mediaUrls.get(mediaUrl);
+      mediaUrls.annotate(mediaUrl, mediaInfo);
+
+      if (this.shouldIncludeMedia(mediaInfo, filters)) {
+        if (entry.inline) {
+          saveInlineAsset(entry.inline);
+        }
+        mediaInfo.foundOn = Array.from(entry.foundOn);
+        results.media.push(mediaInfo);
+
+        if (mediaInfo.type === 'image') {
+          results.stats.images++;
+        } else if (mediaInfo.type === 'video') {
+          results.stats.videos++;
+        } else if (mediaInfo.type === 'audio') {
+          results.stats.audios++;
+        } else if (mediaInfo.type === 'icon') {
+          results.stats.icons++;
+        } else if (mediaInfo.type === 'font') {
+          results.stats.fonts++;
+        } else if (mediaInfo.type === 'embed') {
+          results.stats.embeds++;
+        }
+        MediaCollection.countSources(results.stats.sources, mediaInfo.sources);
+      }
+    });
+
+    results.media.sort((a, b) => (b.size || 0) - (a.size || 0));
+  }
+
+  async validateEntry(mediaUrl, entry) {
+    if (entry.embed) {
+      return describeEmbed(entry.embed);
+    }
+    if (entry.inline) {
+      return describeInlineAsset(entry.inline);
+    }
+
+    const mediaInfo = await this.validateAndGetMediaInfo(mediaUrl);
+    if (getStreamProtocol(mediaUrl, mediaInfo.contentType || '')) {
+      return this.describeStream(mediaInfo);
+    }
+    return mediaInfo;
+  }
+
   async fetchHtml(url) {
+    await this.checkRobots(url);
+
     return retryAsync(
       async () => {
+        await this.throttleRobots(url);
+
         try {
-          const response = await axios.get(url, {
+          const response = await getHostScheduler().run(url, () => axios.get(url, {
             timeout: this.timeout,
             maxRedirects: this.maxRedirects,
+            ...getProxyAgents(this.proxy, url),
             headers: {
               'User-Agent': this.userAgent,
               'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
@@ -124,10 +429,11 @@ class MediaExtractor {
               'Accept-Encoding': 'gzip, deflate',
               'DNT': '1',
               'Connection': 'keep-alive',
-              'Upgrade-Insecure-Requests': '1'
+              'Upgrade-Insecure-Requests': '1',
+              ...getProfileHeaders(this.requestProfile, url)
             },
             validateStatus: (status) => status >= 200 && status < 400
-          });
+          }));
 
           return response;
         } catch (error) {
@@ -186,7 +492,7 @@ class MediaExtractor {
         srcAttributes.forEach(attr => {
           const src = $el.attr(attr);
           if (src) {
-            this.addMediaUrl(src, baseUrl, mediaUrls, filters);
+            this.addMediaUrl(src, baseUrl, mediaUrls, filters, `element:${element.tagName}[${attr}]`);
           }
         });
 
@@ -195,33 +501,26 @@ class MediaExtractor {
         srcsetAttributes.forEach(attr => {
           const srcset = $el.attr(attr);
           if (srcset) {
-            this.processSrcset(srcset, baseUrl, mediaUrls, filters);
+            this.processSrcset(srcset, baseUrl, mediaUrls, filters, `element:${element.tagName}[${attr}]`);
           }
         });
 
         // Extract from inline styles
         const style = $el.attr('style');
         if (style) {
-          this.extractFromStyleAttribute(style, baseUrl, mediaUrls, filters);
+          this.extractFromStyleAttribute(style, baseUrl, mediaUrls, filters, 'inline-style');
         }
       });
     });
 
-    // Handle picture elements
-    $('picture').each((_, element) => {
-      const $picture = $(element);
-      $picture.find('source[srcset], img[src], img[srcset]').each((_, child) => {
-        const $child = $(child);
-        const src = $child.attr('src');
-        const srcset = $child.attr('srcset');
-        
-        if (src) {
-          this.addMediaUrl(src, baseUrl, mediaUrls, filters);
-        }
-        if (srcset) {
-          this.processSrcset(srcset, baseUrl, mediaUrls, filters);
-        }
-      });
+    // srcset candidates and <picture> sources are variants of one logical image
+    extractVariantGroups($, baseUrl).forEach(candidates => {
+      const variants = candidates.filter(candidate =>
+        isSupportedMediaType(candidate.url) && this.shouldIncludeByType(candidate.url, filters)
+      );
+      if (variants.length > 0) {
+        mediaUrls.addVariants(variants, { source: 'responsive-image' });
+      }
     });
 
     // Look for any elements with data attributes that might contain URLs
@@ -236,7 +535,7 @@ class MediaExtractor {
               const value = attributes[attr];
               // Check if the value looks like a URL and is an image/video
               if (this.looksLikeMediaUrl(value)) {
-                this.addMediaUrl(value, baseUrl, mediaUrls, filters);
+                this.addMediaUrl(value, baseUrl, mediaUrls, filters, `data-attribute:${element.tagName}[${attr}]`);
               }
             }
           });
@@ -247,87 +546,285 @@ class MediaExtractor {
     } catch (selectorError) {
       // Continue if data attribute scanning fails
     }
+
+    // alt text, captions and links of the elements the URLs came from
+    extractMediaContexts($, baseUrl).forEach((context, url) => {
+      if (mediaUrls.has(url)) {
+        mediaUrls.add(url, { context });
+      }
+    });
+  }
+
+  extractFromStructuredData($, baseUrl, mediaUrls, filters) {
+    // These URLs often have no file extension, so the declared type decides the filter
+    extractStructuredMedia($, baseUrl).forEach(item => {
+      if (isMediaTypeIncluded(item.type, filters)) {
+        mediaUrls.add(item.url, {
+          type: item.type,
+          tag: STRUCTURED_MEDIA_TAG,
+          width: item.width,
+          height: item.height,
+          source: 'structured-data'
+        });
+      }
+    });
+  }
+
+  extractEmbeddedPlayers($, baseUrl, mediaUrls, filters) {
+    if (!filters.includeEmbeds) {
+      return;
+    }
+
+    extractEmbeds($, baseUrl).forEach(embed => {
+      mediaUrls.add(embed.url, { type: 'embed', embed, source: 'embed' });
+    });
+  }
+
+  // Same-origin iframes are fetched one level deep; players and third-party frames are not
+  async extractFromFrames($, baseUrl, mediaUrls, filters) {
+    const frameUrls = getFrameUrls($, baseUrl)
+      .filter(frameUrl => !detectEmbed(frameUrl) && isSameOrigin(frameUrl, baseUrl))
+      .map(frameUrl => frameUrl.split('#')[0])
+      .filter(frameUrl => frameUrl !== baseUrl)
+      .slice(0, this.maxFrames);
+
+    for (const frameUrl of new Set(frameUrls)) {
+      try {
+        const frame = await this.extractPageMedia(frameUrl, filters, null, { frames: false });
+        mediaUrls.merge(frame.mediaUrls, { source: `frame:${frameUrl}` });
+      } catch (error) {
+        // A frame that fails to load shouldn't fail the page
+      }
+    }
+  }
+
+  async extractFromPlugins($, html, baseUrl, mediaUrls, filters, errors) {
+    const context = { pageUrl: baseUrl, $, html, filters, request: this.pluginRequest };
+
+    (await this.plugins.discover(context, errors)).forEach(item => {
+      const url = normalizeUrl(item.url, baseUrl);
+      // Plugins know what they found, so extensionless URLs are kept and sniffed during validation
+      if (url && this.shouldIncludeByType(url, filters) && (!item.type || isMediaTypeIncluded(item.type, filters))) {
+        mediaUrls.add(url, { type: item.type, source: item.source });
+      }
+    });
+  }
+
+  // Runs before plugin discovery: plugins decide for themselves what belongs to the page
+  applySelectorScope($, baseUrl, mediaUrls, filters) {
+    const isInScope = getSelectorScope($, baseUrl, filters);
+    if (!isInScope) {
+      return;
+    }
+
+    Array.from(mediaUrls).forEach(url => {
+      const entry = mediaUrls.get(url);
+      if (!isInScope(url, entry.embed && entry.embed.embedUrl)) {
+        mediaUrls.delete(url);
+      }
+    });
+  }
+
+  // Plugins can swap URLs (e.g. a thumbnail for its original) or drop them before anything is fetched
+  applyPluginRewrites(mediaUrls, results) {
+    Array.from(mediaUrls).forEach(url => {
+      const entry = mediaUrls.get(url);
+      const pageUrl = entry.foundOn.values().next().value || results.url;
+      const rewritten = this.plugins.rewriteUrl(url, pageUrl, results.errors);
+
+      if (!rewritten) {
+        mediaUrls.delete(url);
+      } else if (rewritten !== url) {
+        mediaUrls.rename(url, rewritten);
+      }
+    });
+  }
+
+  async extractSiteIcons($, baseUrl, mediaUrls) {
+    const { icons, manifestUrl } = extractIconLinks($, baseUrl);
+
+    if (manifestUrl) {
+      try {
+        await this.checkRobots(manifestUrl);
+        await this.throttleRobots(manifestUrl);
+        icons.push(...await fetchWebManifest(manifestUrl, {
+          timeout: this.timeout / 2,
+          userAgent: this.userAgent,
+          requestProfile: this.requestProfile,
+          proxy: this.proxy
+        }));
+      } catch (error) {
+        // A missing or invalid manifest shouldn't fail the page
+      }
+    }
+
+    icons.forEach(icon => {
+      const largest = getLargestIconSize(icon.sizes);
+      mediaUrls.add(icon.url, {
+        type: 'icon',
+        width: largest && largest.width,
+        height: largest && largest.height,
+        icon: { rel: icon.rel, sizes: icon.sizes, purpose: icon.purpose },
+        source: `site-icon:${icon.rel}`
+      });
+    });
   }
 
-  extractFromCssStyles($, baseUrl, mediaUrls, filters) {
+  async extractFromCssStyles($, baseUrl, mediaUrls, filters) {
+    const stylesheetUrls = [];
+
     $('style').each((_, element) => {
       const cssText = $(element).html();
       if (cssText) {
-        const urls = extractUrlsFromCss(cssText, baseUrl);
-        urls.forEach(url => {
-          if (this.shouldIncludeByType(url, filters)) {
-            mediaUrls.add(url);
-          }
-        });
+        stylesheetUrls.push(...this.parseCss(cssText, baseUrl, mediaUrls, filters, 'style-tag'));
       }
     });
 
-    $('link[rel="stylesheet"]').each((_, element) => {
+    $('link[rel~="stylesheet"]').each((_, element) => {
       const href = $(element).attr('href');
       if (href) {
         const cssUrl = normalizeUrl(href, baseUrl);
         if (cssUrl) {
-          this.fetchAndParseCss(cssUrl, baseUrl, mediaUrls, filters).catch(() => {});
+          stylesheetUrls.push(cssUrl);
         }
       }
     });
+
+    // Linked stylesheets have to finish before validation runs, or their media is lost
+    await this.fetchStylesheets(stylesheetUrls, mediaUrls, filters);
+  }
+
+  async fetchStylesheets(cssUrls, mediaUrls, filters) {
+    // @import chains are followed one level at a time; visited stops import cycles
+    const visited = new Set();
+    let level = cssUrls;
+
+    for (let depth = 0; depth <= this.maxCssImportDepth && level.length > 0; depth++) {
+      const batch = [...new Set(level)]
+        .filter(cssUrl => !visited.has(cssUrl))
+        .slice(0, Math.max(this.maxStylesheets - visited.size, 0));
+      batch.forEach(cssUrl => visited.add(cssUrl));
+
+      const imports = await mapWithConcurrency(batch, this.cssConcurrency, cssUrl =>
+        this.fetchAndParseCss(cssUrl, mediaUrls, filters)
+      );
+      level = imports.flat();
+    }
+  }
+
+  parseCss(cssText, cssUrl, mediaUrls, filters, source = `stylesheet:${cssUrl}`) {
+    extractUrlsFromCss(cssText, cssUrl).forEach(url => {
+      if (this.shouldIncludeByType(url, filters)) {
+        mediaUrls.add(url, { source });
+      }
+    });
+    this.addInlineAssets(extractDataUrisFromCss(cssText), mediaUrls, filters, source);
+    this.extractFontFaces(cssText, cssUrl, mediaUrls, filters, source);
+
+    return extractImportUrlsFromCss(cssText, cssUrl);
+  }
+
+  extractFontFaces(cssText, cssUrl, mediaUrls, filters, source) {
+    if (!filters.includeFonts) {
+      return;
+    }
+
+    parseFontFaces(cssText, cssUrl).forEach(font => {
+      mediaUrls.add(font.url, {
+        type: 'font',
+        font: {
+          family: font.family,
+          weight: font.weight,
+          style: font.style,
+          format: font.format
+        },
+        source
+      });
+    });
   }
 
   extractFromInlineStyles($, baseUrl, mediaUrls, filters) {
     $('[style]').each((_, element) => {
       const style = $(element).attr('style');
       if (style) {
-        const urls = extractUrlsFromCss(style, baseUrl);
-        urls.forEach(url => {
-          if (this.shouldIncludeByType(url, filters)) {
-            mediaUrls.add(url);
-          }
-        });
+        this.extractFromStyleAttribute(style, baseUrl, mediaUrls, filters, 'inline-style');
+        this.addInlineAssets(extractDataUrisFromCss(style), mediaUrls, filters, 'inline-style');
       }
     });
   }
 
-  async fetchAndParseCss(cssUrl, baseUrl, mediaUrls, filters) {
-    try {
-      await retryAsync(
-        async () => {
-          const response = await axios.get(cssUrl, {
-            timeout: this.timeout / 2,
-            headers: { 'User-Agent': this.userAgent }
-          });
+  extractFromJsonState($, baseUrl, mediaUrls, filters) {
+    extractJsonStateUrls($, baseUrl).forEach(url => {
+      this.addMediaUrl(url, baseUrl, mediaUrls, filters, 'json-state');
+    });
+  }
 
-          const urls = extractUrlsFromCss(response.data, cssUrl);
-          urls.forEach(url => {
-            if (this.shouldIncludeByType(url, filters)) {
-              mediaUrls.add(url);
-            }
-          });
-        },
-        {
-          maxRetries: 2,
-          retryDelay: 500
-        }
-      );
+  addInlineAssets(assets, mediaUrls, filters, source) {
+    assets.forEach(asset => {
+      if (isMediaTypeIncluded(asset.type, filters)) {
+        mediaUrls.add(asset.url, { type: asset.type, tag: asset.tag, inline: asset, source });
+      }
+    });
+  }
+
+  async fetchAndParseCss(cssUrl, mediaUrls, filters) {
+    try {
+      const cssText = await this.fetchCss(cssUrl);
+      return this.parseCss(cssText, cssUrl, mediaUrls, filters);
     } catch (error) {
       // Silently fail CSS fetching as it's not critical
+      return [];
     }
   }
 
-  processSrcset(srcset, baseUrl, mediaUrls, filters) {
-    const srcsetEntries = srcset.split(',').map(entry => entry.trim());
-    
-    srcsetEntries.forEach(entry => {
-      const urlMatch = entry.match(/^([^\s]+)/);
-      if (urlMatch) {
-        this.addMediaUrl(urlMatch[1], baseUrl, mediaUrls, filters);
+  fetchCss(cssUrl) {
+    // Crawled pages usually share stylesheets, so each one is only fetched once per job.
+    // The cache is emptied when the job ends, and the oldest entry makes way past the cap.
+    if (!this.stylesheetCache.has(cssUrl)) {
+      if (this.stylesheetCache.size >= this.maxCachedStylesheets) {
+        this.stylesheetCache.delete(this.stylesheetCache.keys().next().value);
+      }
+      this.stylesheetCache.set(cssUrl, this.requestCss(cssUrl));
+    }
+    return this.stylesheetCache.get(cssUrl);
+  }
+
+  async requestCss(cssUrl) {
+    await this.checkRobots(cssUrl);
+
+    return retryAsync(
+      async () => {
+        await this.throttleRobots(cssUrl);
+
+        const response = await getHostScheduler().run(cssUrl, () => axios.get(cssUrl, {
+          timeout: this.timeout / 2,
+          responseType: 'text',
+          ...getProxyAgents(this.proxy, cssUrl),
+          headers: { 'User-Agent': this.userAgent, ...getProfileHeaders(this.requestProfile, cssUrl) }
+        }));
+
+        return typeof response.data === 'string' ? response.data : '';
+      },
+      {
+        maxRetries: 2,
+        retryDelay: 500
       }
+    );
+  }
+
+  processSrcset(srcset, baseUrl, mediaUrls, filters, source) {
+    parseSrcset(srcset).forEach(candidate => {
+      this.addMediaUrl(candidate.url, baseUrl, mediaUrls, filters, source);
     });
   }
 
-  addMediaUrl(src, baseUrl, mediaUrls, filters) {
+  // source records where the URL came from (e.g. "element:img[data-src]"), for debugging odd results
+  addMediaUrl(src, baseUrl, mediaUrls, filters, source) {
     const normalizedUrl = normalizeUrl(src, baseUrl);
-    if (normalizedUrl && isSupportedMediaType(normalizedUrl) && this.shouldIncludeByType(normalizedUrl, filters)) {
-      mediaUrls.add(normalizedUrl);
+    // Player URLs are reported once as embeds, not fetched as video files
+    if (normalizedUrl && isSupportedMediaType(normalizedUrl) && this.shouldIncludeByType(normalizedUrl, filters) &&
+        !detectEmbed(normalizedUrl)) {
+      mediaUrls.add(normalizedUrl, { source });
     }
   }
 
@@ -338,18 +835,29 @@ class MediaExtractor {
     if (isVideoType(url) && !filters.includeVideos) {
       return false;
     }
+    if (isAudioType(url) && !filters.includeAudio) {
+      return false;
+    }
+    if (isFontType(url) && !filters.includeFonts) {
+      return false;
+    }
     return true;
   }
 
   async validateAndGetMediaInfo(url) {
-    return retryAsync(
+    await this.checkRobots(url);
+
+    const mediaInfo = await retryAsync(
       async () => {
+        await this.throttleRobots(url);
+
         try {
-          const response = await axios.head(url, {
+          const response = await getHostScheduler().run(url, () => axios.head(url, {
             timeout: this.timeout / 4,
-            headers: { 'User-Agent': this.userAgent },
+            ...getProxyAgents(this.proxy, url),
+            headers: { 'User-Agent': this.userAgent, ...getProfileHeaders(this.requestProfile, url) },
             maxRedirects: this.maxRedirects
-          });
+          }));
 
           const contentLength = response.headers['content-length'];
           const contentType = response.headers['content-type'];
@@ -357,7 +865,7 @@ class MediaExtractor {
 
           return {
             url,
-            type: isImageType(url) ? 'image' : 'video',
+            type: getMediaType(url) || 'video',
             size: contentLength ? parseInt(contentLength) : null,
             contentType,
             lastModified: lastModified ? new Date(lastModified) : null,
@@ -367,7 +875,7 @@ class MediaExtractor {
           if (error.response && error.response.status === 405) {
             return {
               url,
-              type: isImageType(url) ? 'image' : 'video',
+              type: getMediaType(url) || 'video',
               size: null,
               contentType: null,
               lastModified: null,
@@ -382,9 +890,72 @@ class MediaExtractor {
         retryDelay: 500
       }
     );
+
+    return this.identifyContent(mediaInfo);
+  }
+
+  // CDNs often serve /media/12345?w=800, or a .jpg path that is really WebP, so the
+  // type and extension come from the response rather than the URL
+  async identifyContent(mediaInfo) {
+    if (getStreamProtocol(mediaInfo.url, mediaInfo.contentType || '')) {
+      return mediaInfo;
+    }
+
+    const identified = await identifyMedia(mediaInfo.url, mediaInfo.contentType, {
+      timeout: this.timeout / 4,
+      userAgent: this.userAgent,
+      maxRedirects: this.maxRedirects,
+      requestProfile: this.requestProfile,
+      proxy: this.proxy,
+      beforeRequest: url => this.throttleRobots(url)
+    });
+    if (!identified) {
+      return mediaInfo;
+    }
+
+    return {
+      ...mediaInfo,
+      type: identified.type,
+      contentType: identified.contentType,
+      extension: identified.extension,
+      size: mediaInfo.size || identified.size || null,
+      ...(identified.width ? { width: identified.width, height: identified.height } : {})
+    };
+  }
+
+  async describeStream(mediaInfo) {
+    const { protocol, renditions } = await this.streamResolver.resolve(mediaInfo.url);
+
+    // The manifest's own size says nothing about the video, so size filters don't apply
+    return {
+      ...mediaInfo,
+      type: 'video',
+      size: null,
+      stream: {
+        protocol,
+        renditions: renditions.map(summarizeRendition)
+      }
+    };
+  }
+
+  async checkRobots(url) {
+    if (this.respectRobots) {
+      await getRobotsPolicy().check(url, { proxy: this.proxy });
+    }
+  }
+
+  async throttleRobots(url) {
+    if (this.respectRobots) {
+      await getRobotsPolicy().throttle(url, { proxy: this.proxy });
+    }
   }
 
   shouldIncludeMedia(mediaInfo, filters) {
+    // The URL may not have revealed the type, so the type filters apply again here
+    if (!isMediaTypeIncluded(mediaInfo.type, filters) || !matchesDimensionFilters(mediaInfo, filters) ||
+        !matchesMediaRules(mediaInfo, filters)) {
+      return false;
+    }
     if (mediaInfo.size) {
       if (mediaInfo.size < filters.minSizeBytes || mediaInfo.size > filters.maxSizeBytes) {
         return false;
@@ -393,11 +964,11 @@ class MediaExtractor {
     return true;
   }
 
-  extractFromStyleAttribute(style, baseUrl, mediaUrls, filters) {
+  extractFromStyleAttribute(style, baseUrl, mediaUrls, filters, source) {
     const urls = extractUrlsFromCss(style, baseUrl);
     urls.forEach(url => {
       if (this.shouldIncludeByType(url, filters)) {
-        mediaUrls.add(url);
+        mediaUrls.add(url, { source });
       }
     });
   }
@@ -410,7 +981,7 @@ class MediaExtractor {
     if (!urlPattern.test(value)) return false;
     
     // Check if it has a media extension or contains media-related keywords
-    const mediaExtensions = /\.(jpg|jpeg|png|gif|webp|svg|bmp|ico|tiff|mp4|webm|avi|mov|mkv|wmv|flv|m4v|3gp)(\?|#|$)/i;
+    const mediaExtensions = /\.(jpg|jpeg|png|gif|webp|svg|bmp|ico|tiff|mp4|webm|avi|mov|mkv|wmv|flv|m4v|3gp|m3u8|mpd|mp3|ogg|oga|wav|flac|m4a|aac|opus)(\?|#|$)/i;
     const mediaKeywords = /(image|img|photo|picture|video|media|thumb|thumbnail|gallery)/i;
     
     return mediaExtensions.test(value) || mediaKeywords.test(value);
@@ -423,20 +994,25 @@ class MediaExtractor {
         // Standard image extensions with quotes
         /['"]([^'"]*\.(?:jpg|jpeg|png|gif|webp|svg|bmp|ico|tiff)(?:\?[^'"]*)?)['"]/gi,
         // Standard video extensions with quotes
-        /['"]([^'"]*\.(?:mp4|webm|avi|mov|mkv|wmv|flv|m4v|3gp)(?:\?[^'"]*)?)['"]/gi,
+        /['"]([^'"]*\.(?:mp4|webm|avi|mov|mkv|wmv|flv|m4v|3gp|m3u8|mpd)(?:\?[^'"]*)?)['"]/gi,
+        // Standard audio extensions with quotes
+        /['"]([^'"]*\.(?:mp3|ogg|oga|wav|flac|m4a|aac|opus)(?:\?[^'"]*)?)['"]/gi,
         // Generic media file patterns without quotes
-        /(https?:\/\/[^\s<>"']+\.(?:jpg|jpeg|png|gif|webp|svg|bmp|ico|tiff|mp4|webm|avi|mov|mkv|wmv|flv|m4v|3gp)(?:\?[^\s<>"']*)?)/gi
+        /(https?:\/\/[^\s<>"']+\.(?:jpg|jpeg|png|gif|webp|svg|bmp|ico|tiff|mp4|webm|avi|mov|mkv|wmv|flv|m4v|3gp|m3u8|mpd|mp3|ogg|oga|wav|flac|m4a|aac|opus)(?:\?[^\s<>"']*)?)/gi
       ];
 
+      // Unescape JSON-style slashes so escaped URLs aren't matched in a mangled form
+      const text = html.replace(/\\u002F/gi, '/').replace(/\\\//g, '/');
+
       urlPatterns.forEach(pattern => {
         try {
           let match;
-          while ((match = pattern.exec(html)) !== null) {
+          while ((match = pattern.exec(text)) !== null) {
             const url = match[1]; // Get the captured URL
             if (url && this.shouldIncludeByType(url, filters)) {
               const normalizedUrl = normalizeUrl(url, baseUrl);
               if (normalizedUrl && isSupportedMediaType(normalizedUrl)) {
-                mediaUrls.add(normalizedUrl);
+                mediaUrls.add(normalizedUrl, { source: 'html-scan' });
               }
             }
           }
@@ -0,0 +1,84 @@
+const { normalizeUrl, isSafeUrl, isFontType, getFileExtension } = require('./utils');
+
+const FONT_FORMATS = {
+  '.woff': 'woff',
+  '.woff2': 'woff2',
+  '.ttf': 'truetype',
+  '.otf': 'opentype',
+  '.eot': 'embedded-opentype'
+};
+
+function parseFontFaces(cssText, baseUrl) {
+  const fonts = [];
+  const css = (cssText || '').replace(/\/\*[\s\S]*?\*\//g, '');
+  const fontFaceRegex = /@font-face\s*\{([^}]*)\}/gi;
+  let match;
+
+  while ((match = fontFaceRegex.exec(css)) !== null) {
+    const descriptors = parseDescriptors(match[1]);
+    const family = unquote(descriptors['font-family']);
+    if (!family) {
+      continue;
+    }
+
+    // src lists fallbacks in order; each downloadable url() is a separate file
+    parseFontSources(descriptors.src || '').forEach(source => {
+      const url = normalizeUrl(source.url, baseUrl);
+      if (!url || !isSafeUrl(url) || (!isFontType(url) && !source.format)) {
+        return;
+      }
+
+      fonts.push({
+        url,
+        family,
+        weight: descriptors['font-weight'] || 'normal',
+        style: descriptors['font-style'] || 'normal',
+        format: source.format || FONT_FORMATS[getFileExtension(url)] || null
+      });
+    });
+  }
+
+  return fonts;
+}
+
+function parseDescriptors(block) {
+  const descriptors = {};
+
+  // Split on semicolons that aren't inside url(...) or quotes
+  block.match(/(?:[^;"'(]|"[^"]*"|'[^']*'|\([^)]*\))+/g)?.forEach(declaration => {
+    const separator = declaration.indexOf(':');
+    if (separator === -1) return;
+
+    const name = declaration.substring(0, separator).trim().toLowerCase();
+    const value = declaration.substring(separator + 1).trim();
+    if (name && value) {
+      descriptors[name] = value;
+    }
+  });
+
+  return descriptors;
+}
+
+function parseFontSources(src) {
+  const sources = [];
+  const sourceRegex = /url\(\s*(['"]?)([^'")]+)\1\s*\)(?:\s*format\(\s*['"]?([^'")]+)['"]?\s*\))?/gi;
+  let match;
+
+  while ((match = sourceRegex.exec(src)) !== null) {
+    const url = match[2].trim();
+    // Fonts embedded as data: URIs have nothing to download
+    if (!url.startsWith('data:')) {
+      sources.push({ url, format: match[3] ? match[3].trim().toLowerCase() : null });
+    }
+  }
+
+  return sources;
+}
+
+function unquote(value) {
+  return (value || '').trim().replace(/^(['"])(.*)\1$/, '$2').trim();
+}
+
+module.exports = {
+  parseFontFaces
+};
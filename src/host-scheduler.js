@@ -0,0 +1,195 @@
+const { delay } = require('./utils');
+
+const MAX_TRACKED_HOSTS = 1000;
+
+function numberOption(value, envValue, fallback) {
+  const parsed = value !== undefined ? Number(value) : parseFloat(envValue);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(parseFloat(text) * 1000);
+  }
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(date - now, 0);
+}
+
+function getHostKey(url) {
+  try {
+    const urlObj = new URL(url);
+    return urlObj.protocol === 'http:' || urlObj.protocol === 'https:' ? urlObj.host.toLowerCase() : null;
+  } catch {
+    return null;
+  }
+}
+
+// Paces outbound requests per host, for every job at once: at most requestsPerSecond
+// requests start per host and at most maxPerHost run at the same time. A 429 (or a 503
+// with Retry-After) pauses the whole host for Retry-After, or an exponential backoff
+// without one, and the request is retried up to maxRetries times.
+class HostScheduler {
+  constructor(options = {}) {
+    this.requestsPerSecond = numberOption(options.requestsPerSecond, process.env.HOST_REQUESTS_PER_SECOND, 5);
+    this.maxPerHost = Math.max(Math.floor(numberOption(options.maxPerHost, process.env.HOST_MAX_CONCURRENT, 4)), 1);
+    this.maxRetries = Math.floor(numberOption(options.maxRetries, process.env.HOST_MAX_RETRIES, 3));
+    this.backoffDelay = options.backoffDelay || 1000;
+    this.maxBackoff = numberOption(options.maxBackoff, process.env.HOST_MAX_BACKOFF, 120000);
+    this.hosts = new Map();
+  }
+
+  getHost(url) {
+    const key = getHostKey(url);
+    if (!key) {
+      return null;
+    }
+
+    if (!this.hosts.has(key)) {
+      if (this.hosts.size >= MAX_TRACKED_HOSTS) {
+        this.pruneIdleHosts();
+      }
+      this.hosts.set(key, { key, active: 0, queue: [], nextRequestAt: 0, pausedUntil: 0, rateLimited: 0 });
+    }
+    return this.hosts.get(key);
+  }
+
+  pruneIdleHosts() {
+    const now = Date.now();
+    for (const [key, host] of this.hosts) {
+      if (host.active === 0 && host.queue.length === 0 && Math.max(host.nextRequestAt, host.pausedUntil) <= now) {
+        this.hosts.delete(key);
+      }
+    }
+  }
+
+  // Reserve the next start time for this host before waiting so concurrent callers queue up
+  async waitForTurn(host) {
+    const interval = this.requestsPerSecond > 0 ? 1000 / this.requestsPerSecond : 0;
+
+    for (;;) {
+      const now = Date.now();
+      const slot = Math.max(now, host.nextRequestAt, host.pausedUntil);
+      if (slot <= now) {
+        host.nextRequestAt = now + interval;
+        return;
+      }
+      // A 429 seen while waiting moves pausedUntil, so check again after the wait
+      await delay(slot - now);
+    }
+  }
+
+  async acquire(host) {
+    if (host.active < this.maxPerHost) {
+      host.active++;
+    } else {
+      // release() hands its slot straight to the next caller in line
+      await new Promise(resolve => host.queue.push(resolve));
+    }
+
+    try {
+      await this.waitForTurn(host);
+    } catch (error) {
+      this.release(host);
+      throw error;
+    }
+  }
+
+  release(host) {
+    const next = host.queue.shift();
+    if (next) {
+      next();
+    } else {
+      host.active--;
+    }
+  }
+
+  // Records a rate-limit response for the host of url. Returns how long the host is paused,
+  // or null when the status isn't a rate limit.
+  backOff(url, status, headers = {}) {
+    const host = typeof url === 'string' ? this.getHost(url) : url;
+    const retryAfter = parseRetryAfter(headers && headers['retry-after']);
+    if (!host || !(status === 429 || (status === 503 && retryAfter !== null))) {
+      return null;
+    }
+
+    const wait = Math.min(retryAfter !== null ? retryAfter : this.backoffDelay * Math.pow(2, host.rateLimited), this.maxBackoff);
+    host.rateLimited++;
+    host.pausedUntil = Math.max(host.pausedUntil, Date.now() + wait);
+    return wait;
+  }
+
+  // Only waits for the host's next start time, for requests something else sends (the browser)
+  async wait(url) {
+    const host = this.getHost(url);
+    if (host) {
+      await this.waitForTurn(host);
+    }
+  }
+
+  // Runs fn (which sends one request to url) in a slot for url's host. Rate-limited
+  // responses, thrown by axios or returned when validateStatus lets them through, are retried.
+  async run(url, fn) {
+    const host = this.getHost(url);
+    if (!host) {
+      return fn();
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      await this.acquire(host);
+      try {
+        const result = await fn();
+        const wait = result && typeof result.status === 'number' ? this.backOff(host, result.status, result.headers) : null;
+        if (wait === null) {
+          host.rateLimited = 0;
+        }
+        if (wait === null || attempt >= this.maxRetries) {
+          return result;
+        }
+      } catch (error) {
+        const response = error.response;
+        if (!response || this.backOff(host, response.status, response.headers) === null || attempt >= this.maxRetries) {
+          throw error;
+        }
+      } finally {
+        this.release(host);
+      }
+    }
+  }
+
+  getStats() {
+    const now = Date.now();
+    return {
+      requestsPerSecond: this.requestsPerSecond,
+      maxPerHost: this.maxPerHost,
+      busyHosts: Array.from(this.hosts.values())
+        .filter(host => host.active > 0 || host.pausedUntil > now)
+        .map(host => ({
+          host: host.key,
+          active: host.active,
+          queued: host.queue.length,
+          pausedFor: Math.max(host.pausedUntil - now, 0)
+        }))
+    };
+  }
+}
+
+// Singleton instance so every job and extractor shares the same per-host limits
+let hostSchedulerInstance = null;
+
+function getHostScheduler(options) {
+  if (!hostSchedulerInstance) {
+    hostSchedulerInstance = new HostScheduler(options);
+  }
+  return hostSchedulerInstance;
+}
+
+module.exports = {
+  HostScheduler,
+  getHostScheduler,
+  parseRetryAfter
+};
@@ -0,0 +1,126 @@
+// Reads intrinsic width/height from the first bytes of an image, without decoding it.
+// Every format keeps its size near the start of the file, except JPEG where EXIF and
+// other APPn segments may push the frame header further in.
+function readImageDimensions(buffer) {
+  if (!buffer || buffer.length < 10) {
+    return null;
+  }
+
+  const dimensions = readPngDimensions(buffer) ||
+    readGifDimensions(buffer) ||
+    readWebpDimensions(buffer) ||
+    readJpegDimensions(buffer) ||
+    readSvgDimensions(buffer);
+
+  return dimensions && dimensions.width > 0 && dimensions.height > 0 ? dimensions : null;
+}
+
+function readPngDimensions(buffer) {
+  if (buffer.length < 24 || buffer.readUInt32BE(0) !== 0x89504e47 || buffer.toString('latin1', 12, 16) !== 'IHDR') {
+    return null;
+  }
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+function readGifDimensions(buffer) {
+  if (!/^GIF8[79]a$/.test(buffer.toString('latin1', 0, 6))) {
+    return null;
+  }
+  return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+}
+
+function readWebpDimensions(buffer) {
+  if (buffer.length < 30 || buffer.toString('latin1', 0, 4) !== 'RIFF' || buffer.toString('latin1', 8, 12) !== 'WEBP') {
+    return null;
+  }
+
+  const chunk = buffer.toString('latin1', 12, 16);
+  if (chunk === 'VP8X') {
+    // Extended format: 24-bit canvas size minus one
+    return { width: 1 + buffer.readUIntLE(24, 3), height: 1 + buffer.readUIntLE(27, 3) };
+  }
+  if (chunk === 'VP8L') {
+    // Lossless: two 14-bit values (minus one) packed after the 0x2f signature byte
+    const bits = buffer.readUInt32LE(21);
+    return { width: 1 + (bits & 0x3fff), height: 1 + ((bits >> 14) & 0x3fff) };
+  }
+  if (chunk === 'VP8 ') {
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  return null;
+}
+
+// Start-of-frame markers; C4 (DHT), C8 (JPG) and CC (DAC) share the range but aren't frames
+const JPEG_SOF_MARKERS = [0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf];
+
+function readJpegDimensions(buffer) {
+  if (buffer[0] !== 0xff || buffer[1] !== 0xd8) {
+    return null;
+  }
+
+  let offset = 2;
+  while (offset + 9 <= buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      return null;
+    }
+
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      // Fill byte before the real marker
+      offset++;
+      continue;
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) {
+      offset += 2;
+      continue;
+    }
+    if (JPEG_SOF_MARKERS.includes(marker)) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+
+  return null;
+}
+
+function readSvgDimensions(buffer) {
+  const text = buffer.toString('utf8');
+  const match = text.match(/<svg\b[^>]*>/i);
+  if (!match) {
+    return null;
+  }
+
+  const tag = match[0];
+  const attribute = (name) => {
+    const found = tag.match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i'));
+    return found ? found[1].trim() : null;
+  };
+  // Only unitless or px lengths are absolute; %, em etc. depend on where the SVG is placed
+  const length = (value) => {
+    const found = (value || '').match(/^(\d+(?:\.\d+)?)(px)?$/i);
+    return found ? Math.round(parseFloat(found[1])) : null;
+  };
+
+  let width = length(attribute('width'));
+  let height = length(attribute('height'));
+
+  const viewBox = (attribute('viewBox') || '').split(/[\s,]+/).map(parseFloat);
+  if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+    // A single given dimension scales with the viewBox aspect ratio
+    if (width && !height) {
+      height = Math.round(width * viewBox[3] / viewBox[2]);
+    } else if (height && !width) {
+      width = Math.round(height * viewBox[2] / viewBox[3]);
+    } else if (!width && !height) {
+      width = Math.round(viewBox[2]);
+      height = Math.round(viewBox[3]);
+    }
+  }
+
+  return width && height ? { width, height } : null;
+}
+
+module.exports = {
+  readImageDimensions
+};
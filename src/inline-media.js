@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mime = require('mime-types');
+const { parseSrcset } = require('./responsive-images');
+const { readImageDimensions } = require('./image-dimensions');
+
+// data: URIs and inline <svg> elements have no URL of their own, so they are
+// decoded up front and identified by a content-hash pseudo URL (inline:<hash>.<ext>)
+const INLINE_URL_PREFIX = 'inline:';
+const INLINE_DIR = path.join(__dirname, '..', 'downloads', 'inline');
+const INLINE_FILENAME_REGEX = /^[a-f0-9]{16}\.[a-z0-9]+$/;
+const MAX_INLINE_BYTES = 5 * 1024 * 1024;
+
+const DATA_URI_TAG = 'inline/data-uri';
+const INLINE_SVG_TAG = 'inline/svg';
+
+const DATA_URI_ATTRIBUTES = ['src', 'data-src', 'data-lazy-src', 'data-original', 'poster', 'data-bg', 'data-background', 'data-background-image'];
+const SVG_SHAPES = 'path, circle, rect, ellipse, line, polyline, polygon, text, image';
+
+function isInlineUrl(url) {
+  return typeof url === 'string' && url.startsWith(INLINE_URL_PREFIX);
+}
+
+function getInlineFilePath(url, dir = INLINE_DIR) {
+  const filename = isInlineUrl(url) ? url.substring(INLINE_URL_PREFIX.length) : url;
+  // Only content-hash names are accepted, so a request can't reach outside the folder
+  if (!INLINE_FILENAME_REGEX.test(filename || '')) {
+    return null;
+  }
+  return path.join(dir, filename);
+}
+
+function parseDataUri(dataUri) {
+  const match = (dataUri || '').trim().match(/^data:([^;,]*)((?:;[^;,]*)*),([\s\S]*)$/i);
+  if (!match) {
+    return null;
+  }
+
+  const mimeType = (match[1] || 'text/plain').trim().toLowerCase();
+  const isBase64 = /;base64$/i.test(match[2]);
+
+  try {
+    const buffer = isBase64
+      ? Buffer.from(match[3].replace(/\s+/g, ''), 'base64')
+      : Buffer.from(decodeURIComponent(match[3]), 'utf8');
+    return { mimeType, buffer };
+  } catch {
+    return null;
+  }
+}
+
+function getInlineMediaType(mimeType) {
+  const category = (mimeType || '').split('/')[0];
+  return ['image', 'video', 'audio'].includes(category) ? category : null;
+}
+
+function createInlineAsset(buffer, mimeType, tag) {
+  const type = getInlineMediaType(mimeType);
+  const extension = mime.extension(mimeType);
+  if (!type || !extension || buffer.length === 0 || buffer.length > MAX_INLINE_BYTES) {
+    return null;
+  }
+
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex').substring(0, 16);
+  return {
+    url: `${INLINE_URL_PREFIX}${hash}.${extension}`,
+    type,
+    contentType: mimeType,
+    tag,
+    buffer
+  };
+}
+
+function decodeDataUri(dataUri) {
+  const parsed = parseDataUri(dataUri);
+  return parsed ? createInlineAsset(parsed.buffer, parsed.mimeType, DATA_URI_TAG) : null;
+}
+
+function extractDataUrisFromCss(cssText) {
+  const assets = [];
+  const dataUriRegex = /url\(\s*(?:"(data:[^"]*)"|'(data:[^']*)'|(data:[^)'"\s]*))\s*\)/gi;
+  let match;
+
+  while ((match = dataUriRegex.exec(cssText || '')) !== null) {
+    const asset = decodeDataUri(match[1] || match[2] || match[3]);
+    if (asset) {
+      assets.push(asset);
+    }
+  }
+
+  return assets;
+}
+
+function serializeSvg($, element) {
+  const $svg = $(element).clone();
+  if (!$svg.attr('xmlns')) {
+    $svg.attr('xmlns', 'http://www.w3.org/2000/svg');
+  }
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${$.xml($svg)}`;
+}
+
+// Stylesheets are covered by extractDataUrisFromCss where the CSS is parsed
+function extractInlineAssets($) {
+  const assets = [];
+  const addDataUri = (value) => {
+    if (value && value.trim().toLowerCase().startsWith('data:')) {
+      const asset = decodeDataUri(value);
+      if (asset) assets.push(asset);
+    }
+  };
+
+  $('img, source, video, [data-bg], [data-background], [data-background-image], link[rel~="icon"]').each((_, element) => {
+    const $el = $(element);
+    DATA_URI_ATTRIBUTES.forEach(attr => addDataUri($el.attr(attr)));
+    parseSrcset($el.attr('srcset')).forEach(candidate => addDataUri(candidate.url));
+    if (element.tagName === 'link') {
+      addDataUri($el.attr('href'));
+    }
+  });
+
+  // Nested <svg>s are part of their parent; <svg><use href="#icon"/></svg> only references a sprite
+  $('svg').each((_, element) => {
+    const $svg = $(element);
+    if ($svg.parents('svg').length > 0 || $svg.find(SVG_SHAPES).length === 0) {
+      return;
+    }
+
+    const asset = createInlineAsset(Buffer.from(serializeSvg($, element), 'utf8'), 'image/svg+xml', INLINE_SVG_TAG);
+    if (asset) assets.push(asset);
+  });
+
+  return assets;
+}
+
+function describeInlineAsset(asset) {
+  const dimensions = asset.type === 'image' ? readImageDimensions(asset.buffer) : null;
+  return {
+    url: asset.url,
+    type: asset.type,
+    size: asset.buffer.length,
+    contentType: asset.contentType,
+    ...dimensions,
+    lastModified: null,
+    status: 200,
+    inline: {
+      source: asset.tag === INLINE_SVG_TAG ? 'svg' : 'data-uri',
+      filename: asset.url.substring(INLINE_URL_PREFIX.length)
+    }
+  };
+}
+
+// Files are named by content hash, so the same asset found again reuses the file
+function saveInlineAsset(asset, dir = INLINE_DIR) {
+  const filePath = getInlineFilePath(asset.url, dir);
+
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  if (fs.existsSync(filePath)) {
+    // Refresh the timestamp so the cleanup job doesn't remove a file that's in use again
+    const now = new Date();
+    fs.utimesSync(filePath, now, now);
+  } else {
+    fs.writeFileSync(filePath, asset.buffer);
+  }
+
+  return filePath;
+}
+
+module.exports = {
+  INLINE_URL_PREFIX,
+  INLINE_DIR,
+  DATA_URI_TAG,
+  INLINE_SVG_TAG,
+  isInlineUrl,
+  getInlineFilePath,
+  parseDataUri,
+  decodeDataUri,
+  extractDataUrisFromCss,
+  extractInlineAssets,
+  describeInlineAsset,
+  saveInlineAsset
+};
@@ -0,0 +1,116 @@
+const { normalizeUrl, isSafeUrl, getFileExtension, SUPPORTED_EXTENSIONS } = require('./utils');
+
+// Framework state (Next.js, Nuxt, Redux, Apollo...) embedded in the page. Its URLs are
+// often written with \/ or / escapes, so they have to be decoded before matching.
+const STATE_SCRIPT_SELECTORS = [
+  'script[type="application/json"]',
+  'script#__NEXT_DATA__',
+  'script#__NUXT_DATA__'
+];
+const STATE_GLOBALS_REGEX = /window\.(?:__NUXT__|__INITIAL_STATE__|__PRELOADED_STATE__|__APOLLO_STATE__|__INITIAL_DATA__|__remixContext)\s*=/;
+const MAX_PAYLOAD_LENGTH = 5 * 1024 * 1024;
+const MAX_URL_LENGTH = 2048;
+const MAX_NESTED_JSON_DEPTH = 3;
+
+function extractJsonStateUrls($, baseUrl) {
+  const urls = new Set();
+  const addValue = (value) => {
+    const url = resolveMediaReference(value, baseUrl);
+    if (url) urls.add(url);
+  };
+
+  $(STATE_SCRIPT_SELECTORS.join(', ')).each((_, element) => {
+    const text = $(element).contents().text();
+    if (!text || text.length > MAX_PAYLOAD_LENGTH) return;
+
+    try {
+      walkStrings(JSON.parse(text), addValue, 0);
+    } catch {
+      // Not strict JSON after all; fall back to reading its string literals
+      extractStringLiterals(text).forEach(addValue);
+    }
+  });
+
+  // window.__NUXT__ = (function(a, b) { ... }(...)) is JavaScript, not JSON
+  $('script:not([src])').each((_, element) => {
+    const type = ($(element).attr('type') || '').toLowerCase();
+    if (type && !type.includes('javascript') && type !== 'module') return;
+
+    const text = $(element).contents().text();
+    if (!text || text.length > MAX_PAYLOAD_LENGTH || !STATE_GLOBALS_REGEX.test(text)) return;
+
+    extractStringLiterals(text).forEach(addValue);
+  });
+
+  return Array.from(urls);
+}
+
+function walkStrings(node, callback, jsonDepth) {
+  if (typeof node === 'string') {
+    callback(node);
+
+    // Some frameworks stringify nested payloads (e.g. Next.js pageProps served as a string)
+    const trimmed = node.trim();
+    if (jsonDepth < MAX_NESTED_JSON_DEPTH && /^[[{]/.test(trimmed)) {
+      try {
+        walkStrings(JSON.parse(trimmed), callback, jsonDepth + 1);
+      } catch {
+        // Plain text that happens to start with a bracket
+      }
+    }
+    return;
+  }
+
+  // An explicit stack keeps deeply nested state from overflowing the call stack
+  const stack = [node];
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (typeof current === 'string') {
+      walkStrings(current, callback, jsonDepth);
+    } else if (current && typeof current === 'object') {
+      Object.values(current).forEach(value => stack.push(value));
+    }
+  }
+}
+
+function extractStringLiterals(script) {
+  const strings = [];
+  const literalRegex = /"((?:[^"\\\n]|\\.){4,})"|'((?:[^'\\\n]|\\.){4,})'/g;
+  let match;
+
+  while ((match = literalRegex.exec(script)) !== null) {
+    const raw = match[1] !== undefined ? match[1] : match[2].replace(/\\'/g, "'").replace(/"/g, '\\"');
+    try {
+      strings.push(JSON.parse(`"${raw}"`));
+    } catch {
+      // Escapes JSON doesn't know (\x2F, \/ inside single quotes etc.) are handled by hand
+      strings.push(raw.replace(/\\x([0-9a-f]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16))).replace(/\\(.)/g, '$1'));
+    }
+  }
+
+  return strings;
+}
+
+function resolveMediaReference(value, baseUrl) {
+  const candidate = value.trim();
+  if (candidate.length < 5 || candidate.length > MAX_URL_LENGTH || /\s/.test(candidate)) {
+    return null;
+  }
+
+  // Only absolute, protocol-relative, root-relative or ./ paths; bare words are too ambiguous
+  if (!/^(https?:\/\/|\/\/|\/|\.\.?\/)/i.test(candidate)) {
+    return null;
+  }
+
+  const url = normalizeUrl(candidate, baseUrl);
+  if (!url || !isSafeUrl(url)) {
+    return null;
+  }
+
+  return SUPPORTED_EXTENSIONS.includes(getFileExtension(url)) ? url : null;
+}
+
+module.exports = {
+  extractJsonStateUrls,
+  extractStringLiterals
+};
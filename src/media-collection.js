@@ -0,0 +1,287 @@
+// Set-like collection of discovered media URLs that also keeps track of
+// per-URL details (such as the pages a URL was found on) so they can be
+// merged when the same URL turns up more than once.
+const { compareVariants } = require('./responsive-images');
+const { getCanonicalKey } = require('./canonical-url');
+
+class MediaCollection {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  add(url, details = {}) {
+    let entry = this.entries.get(url);
+
+    if (!entry) {
+      entry = { foundOn: new Set(), tags: new Set(), sources: new Set(), aliases: new Set() };
+      this.entries.set(url, entry);
+    }
+
+    if (details.foundOn) {
+      entry.foundOn.add(details.foundOn);
+    }
+
+    // A type declared by the source (e.g. a sitemap <image:image>) beats guessing from the URL
+    if (details.type && !entry.type) {
+      entry.type = details.type;
+    }
+
+    if (details.tag) {
+      entry.tags.add(details.tag);
+    }
+
+    // Every extraction step that produced the URL, e.g. "element:img[src]" or "stylesheet:<url>"
+    if (details.source) {
+      entry.sources.add(details.source);
+    }
+
+    // Other URLs that turned out to point at this one (tracking parameters, http: copies...)
+    if (details.alias && details.alias !== url) {
+      entry.aliases.add(details.alias);
+    }
+
+    // Declared dimensions (og:image:width, schema.org width) are kept for the result
+    if (details.width && !entry.width) {
+      entry.width = details.width;
+      entry.height = details.height || null;
+    }
+
+    if (details.icon && !entry.icon) {
+      entry.icon = details.icon;
+    }
+
+    if (details.font && !entry.font) {
+      entry.font = details.font;
+    }
+
+    if (details.embed && !entry.embed) {
+      entry.embed = details.embed;
+    }
+
+    // alt/title/caption etc. from the element; a later element can fill fields the first one lacked
+    if (details.context) {
+      entry.context = entry.context || {};
+      Object.keys(details.context).forEach(key => {
+        if (!entry.context[key]) entry.context[key] = details.context[key];
+      });
+    }
+
+    // Decoded data: URI or <svg> content, saved to disk once the item passes validation
+    if (details.inline && !entry.inline) {
+      entry.inline = details.inline;
+    }
+
+    return this;
+  }
+
+  // Links the candidates of one responsive image (srcset, <picture>) into a variant group
+  addVariants(candidates, details = {}) {
+    const group = { variants: new Map() };
+
+    candidates.forEach(candidate => {
+      this.add(candidate.url, details);
+
+      // A URL already in another group joins the two, e.g. an <img> reused across pages
+      const existing = this.entries.get(candidate.url).variantGroup;
+      if (existing && existing !== group) {
+        existing.variants.forEach((variant, url) => {
+          if (!group.variants.has(url)) group.variants.set(url, variant);
+        });
+      }
+
+      const known = group.variants.get(candidate.url);
+      group.variants.set(candidate.url, {
+        url: candidate.url,
+        width: candidate.width || (known && known.width) || null,
+        density: candidate.density || (known && known.density) || null
+      });
+    });
+
+    group.variants.forEach((_, url) => {
+      const entry = this.entries.get(url);
+      if (entry) entry.variantGroup = group;
+    });
+
+    return this;
+  }
+
+  // Keeps the largest or smallest variant of each group; returns the URLs that were dropped
+  selectVariants(selection = 'largest') {
+    const groups = new Set();
+    this.entries.forEach(entry => {
+      if (entry.variantGroup) groups.add(entry.variantGroup);
+    });
+
+    const removed = [];
+    let groupId = 0;
+
+    groups.forEach(group => {
+      const variants = Array.from(group.variants.values())
+        .filter(variant => this.entries.has(variant.url))
+        .sort((a, b) => compareVariants(b, a));
+
+      group.id = `variant-${++groupId}`;
+      group.list = variants;
+
+      if (selection === 'all' || variants.length < 2) {
+        return;
+      }
+
+      const keep = selection === 'smallest' ? variants[variants.length - 1] : variants[0];
+      variants.forEach(variant => {
+        if (variant.url !== keep.url) {
+          this.entries.delete(variant.url);
+          removed.push(variant.url);
+        }
+      });
+    });
+
+    return removed;
+  }
+
+  merge(other, details = {}) {
+    const groups = new Set();
+
+    for (const [url, entry] of other.entries) {
+      if (entry.variantGroup) groups.add(entry.variantGroup);
+
+      this.add(url, details);
+      this.addEntry(url, entry);
+    }
+
+    groups.forEach(group => this.addVariants(Array.from(group.variants.values())));
+
+    return this;
+  }
+
+  addEntry(url, entry) {
+    entry.foundOn.forEach(page => this.add(url, { foundOn: page }));
+    entry.tags.forEach(tag => this.add(url, { tag }));
+    entry.sources.forEach(source => this.add(url, { source }));
+    entry.aliases.forEach(alias => this.add(url, { alias }));
+    this.add(url, { type: entry.type, width: entry.width, height: entry.height, icon: entry.icon, font: entry.font, inline: entry.inline, embed: entry.embed, context: entry.context });
+  }
+
+  // Moves what is known about a URL to another one (e.g. a thumbnail rewritten to its original),
+  // merging with any entry already there. The URL leaves its variant group.
+  rename(url, newUrl) {
+    const entry = this.entries.get(url);
+    if (!entry || url === newUrl) {
+      return this;
+    }
+
+    this.entries.delete(url);
+    this.add(newUrl, { alias: url });
+    this.addEntry(newUrl, entry);
+    return this;
+  }
+
+  // Merges entries whose URLs canonicalize to the same address. The canonical form is only the
+  // key: the merged entry keeps one of the URLs actually found, since stripped parameters can be
+  // signatures the server checks. That is a preferred URL (e.g. one the browser loaded), then
+  // one already in canonical form, then the first https: one. Returns a map of each renamed
+  // URL to the URL it was merged into.
+  canonicalize(canonicalizeUrl, preferred = () => false) {
+    const groups = new Map();
+    Array.from(this.entries.keys()).forEach(url => {
+      const canonical = canonicalizeUrl(url);
+      const key = getCanonicalKey(canonical);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push({ url, canonical });
+    });
+
+    const renamed = new Map();
+    groups.forEach(group => {
+      const target = (
+        group.find(member => preferred(member.url)) ||
+        group.find(member => member.url === member.canonical) ||
+        group.find(member => member.url.startsWith('https:')) ||
+        group[0]
+      ).url;
+      group.forEach(({ url }) => {
+        if (url !== target) {
+          this.rename(url, target);
+          renamed.set(url, target);
+        }
+      });
+    });
+
+    return renamed;
+  }
+
+  // Copies what the sources declared about a URL onto its validated media info
+  annotate(url, mediaInfo) {
+    const entry = this.entries.get(url);
+    if (!entry) {
+      return mediaInfo;
+    }
+
+    if (entry.type && !mediaInfo.stream) {
+      mediaInfo.type = entry.type;
+    }
+    if (entry.tags.size > 0) {
+      mediaInfo.tags = Array.from(entry.tags);
+    }
+    if (entry.sources.size > 0) {
+      mediaInfo.sources = Array.from(entry.sources);
+    }
+    if (entry.aliases.size > 0) {
+      mediaInfo.aliases = Array.from(entry.aliases);
+    }
+    // Dimensions measured from the file beat the ones declared in markup or metadata
+    if (entry.width && !mediaInfo.width) {
+      mediaInfo.width = entry.width;
+      mediaInfo.height = entry.height;
+    }
+    if (entry.icon) {
+      mediaInfo.rel = entry.icon.rel;
+      mediaInfo.sizes = entry.icon.sizes;
+      if (entry.icon.purpose) {
+        mediaInfo.purpose = entry.icon.purpose;
+      }
+    }
+    if (entry.font) {
+      mediaInfo.font = entry.font;
+    }
+    if (entry.context) {
+      mediaInfo.context = entry.context;
+    }
+    if (entry.variantGroup && entry.variantGroup.list && entry.variantGroup.list.length > 1) {
+      mediaInfo.variantGroup = entry.variantGroup.id;
+      mediaInfo.variants = entry.variantGroup.list;
+    }
+
+    return mediaInfo;
+  }
+
+  has(url) {
+    return this.entries.has(url);
+  }
+
+  get(url) {
+    return this.entries.get(url);
+  }
+
+  delete(url) {
+    return this.entries.delete(url);
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  [Symbol.iterator]() {
+    return this.entries.keys();
+  }
+
+  // Adds one to counts[kind] for each kind of source ("element", "stylesheet"...) an item came from;
+  // a delta of -1 takes a removed item back out
+  static countSources(counts, sources = [], delta = 1) {
+    new Set(sources.map(source => source.split(':')[0])).forEach(kind => {
+      counts[kind] = (counts[kind] || 0) + delta;
+    });
+    return counts;
+  }
+}
+
+module.exports = MediaCollection;
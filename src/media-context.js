@@ -0,0 +1,132 @@
+const { normalizeUrl, isValidUrl, extractUrlsFromCss } = require('./utils');
+const { parseSrcset } = require('./responsive-images');
+
+// Editorial context around a media element: its alt text, title, figure caption,
+// the link it sits in and a short CSS path to find it again on the page
+const MAX_TEXT_LENGTH = 500;
+const MAX_SELECTOR_DEPTH = 4;
+
+const CONTEXT_SELECTOR = 'img, source, video, audio, [data-bg], [data-background], [data-background-image], [style*="background-image"]';
+const URL_ATTRIBUTES = ['src', 'data-src', 'data-lazy-src', 'data-original', 'data-lazy', 'poster', 'data-bg', 'data-background', 'data-background-image'];
+const SRCSET_ATTRIBUTES = ['srcset', 'data-srcset'];
+
+function cleanText(value) {
+  const text = (value || '').replace(/\s+/g, ' ').trim();
+  return text ? text.substring(0, MAX_TEXT_LENGTH) : null;
+}
+
+// <source> elements borrow alt/title from the <img> of their <picture>, or their <video>/<audio>
+function getOwnerElement($, element) {
+  const $el = $(element);
+  if (element.tagName !== 'source') {
+    return $el;
+  }
+
+  const $picture = $el.closest('picture');
+  if ($picture.length > 0) {
+    return $picture.find('img').first();
+  }
+  return $el.closest('video, audio');
+}
+
+function getSelectorSegment($, element) {
+  const id = $(element).attr('id');
+  if (id && /^[A-Za-z][\w-]*$/.test(id)) {
+    return { segment: `${element.tagName}#${id}`, unique: true };
+  }
+
+  let segment = element.tagName;
+  const className = ($(element).attr('class') || '').trim().split(/\s+/)[0];
+  if (className && /^-?[A-Za-z_][\w-]*$/.test(className)) {
+    segment += `.${className}`;
+  }
+
+  const siblings = $(element).parent().children(element.tagName);
+  if (siblings.length > 1) {
+    segment += `:nth-of-type(${siblings.index(element) + 1})`;
+  }
+
+  return { segment, unique: false };
+}
+
+// Walks up at most MAX_SELECTOR_DEPTH levels, stopping early at an element with an id
+function getCssPath($, element) {
+  const segments = [];
+  let current = element;
+
+  while (current && current.type === 'tag' && segments.length < MAX_SELECTOR_DEPTH) {
+    if (['html', 'body'].includes(current.tagName)) {
+      break;
+    }
+
+    const { segment, unique } = getSelectorSegment($, current);
+    segments.unshift(segment);
+    if (unique) {
+      break;
+    }
+    current = current.parent;
+  }
+
+  return segments.length > 0 ? segments.join(' > ') : element.tagName;
+}
+
+function getElementContext($, element, baseUrl) {
+  const $owner = getOwnerElement($, element);
+  const $el = $(element);
+
+  const caption = $el.closest('figure').find('figcaption').first().text();
+  const href = ($el.closest('a[href]').attr('href') || '').trim();
+  const linkHref = href && !/^(javascript|data):/i.test(href) ? normalizeUrl(href, baseUrl) : null;
+
+  return {
+    alt: cleanText($owner.attr('alt')),
+    title: cleanText($el.attr('title') || $owner.attr('title')),
+    caption: cleanText(caption),
+    linkHref: linkHref && isValidUrl(linkHref) ? linkHref : null,
+    selector: getCssPath($, element)
+  };
+}
+
+// Maps each media URL referenced by an element to that element's context. When a URL is used
+// more than once, later elements only fill in what the first one lacked (e.g. a missing alt).
+function extractMediaContexts($, baseUrl) {
+  const contexts = new Map();
+
+  $(CONTEXT_SELECTOR).each((_, element) => {
+    const $el = $(element);
+    const urls = [];
+
+    URL_ATTRIBUTES.forEach(attr => urls.push($el.attr(attr)));
+    SRCSET_ATTRIBUTES.forEach(attr => parseSrcset($el.attr(attr)).forEach(candidate => urls.push(candidate.url)));
+
+    const resolved = urls
+      .filter(value => value && !/^\s*data:/i.test(value))
+      .map(value => normalizeUrl(value.trim(), baseUrl))
+      .concat(extractUrlsFromCss($el.attr('style') || '', baseUrl))
+      .filter(Boolean);
+
+    if (resolved.length === 0) {
+      return;
+    }
+
+    const context = getElementContext($, element, baseUrl);
+    resolved.forEach(url => {
+      const existing = contexts.get(url);
+      if (!existing) {
+        contexts.set(url, { ...context });
+        return;
+      }
+      Object.keys(context).forEach(key => {
+        if (!existing[key]) existing[key] = context[key];
+      });
+    });
+  });
+
+  return contexts;
+}
+
+module.exports = {
+  extractMediaContexts,
+  getElementContext,
+  getCssPath
+};
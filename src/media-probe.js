@@ -0,0 +1,217 @@
+const axios = require('axios');
+const mime = require('mime-types');
+const { readImageDimensions } = require('./image-dimensions');
+const { getProfileHeaders } = require('./request-profile');
+const { getProxyAgents } = require('./proxy');
+const { getHostScheduler } = require('./host-scheduler');
+
+// Classifies media by what the server says it is (Content-Type) or, when that is
+// missing or generic, by the magic bytes at the start of the file. The same bytes
+// give an image's dimensions; a few KB is enough to get past most JPEG metadata.
+const PROBE_BYTES = 32 * 1024;
+
+const GENERIC_CONTENT_TYPES = [
+  'application/octet-stream',
+  'binary/octet-stream',
+  'application/binary',
+  'application/unknown',
+  'application/download',
+  'application/force-download',
+  'application/x-download',
+  'text/plain'
+];
+
+// mime-types picks the first registered extension, which isn't always the familiar one
+const PREFERRED_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/x-icon': '.ico',
+  'image/vnd.microsoft.icon': '.ico',
+  'video/quicktime': '.mov',
+  'audio/mpeg': '.mp3',
+  'audio/mp4': '.m4a',
+  'audio/x-m4a': '.m4a',
+  'audio/ogg': '.ogg'
+};
+
+function parseContentType(contentType) {
+  return (contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+function isGenericContentType(contentType) {
+  const parsed = parseContentType(contentType);
+  return !parsed || GENERIC_CONTENT_TYPES.includes(parsed);
+}
+
+function getExtensionForContentType(contentType) {
+  const parsed = parseContentType(contentType);
+  if (PREFERRED_EXTENSIONS[parsed]) {
+    return PREFERRED_EXTENSIONS[parsed];
+  }
+  const extension = mime.extension(parsed);
+  return extension ? `.${extension}` : null;
+}
+
+function classifyContentType(contentType) {
+  const parsed = parseContentType(contentType);
+  const category = parsed.split('/')[0];
+  const type = category === 'font' ? 'font' : ['image', 'video', 'audio'].includes(category) ? category : null;
+
+  if (!type) {
+    return null;
+  }
+
+  return {
+    type,
+    contentType: parsed,
+    extension: getExtensionForContentType(parsed)
+  };
+}
+
+function detectSignature(buffer) {
+  const ascii = (start, end) => buffer.toString('latin1', start, end);
+
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return signature('image', 'image/jpeg', '.jpg');
+  }
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) {
+    return signature('image', 'image/png', '.png');
+  }
+  if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') {
+    return signature('image', 'image/gif', '.gif');
+  }
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') {
+    return signature('image', 'image/webp', '.webp');
+  }
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') {
+    return signature('audio', 'audio/wav', '.wav');
+  }
+
+  // ISO base media files (MP4, AVIF, HEIC, M4A, MOV) start with an ftyp box naming their brands
+  if (ascii(4, 8) === 'ftyp') {
+    const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+    const brands = [ascii(8, 12)];
+    for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+      brands.push(ascii(offset, offset + 4));
+    }
+
+    if (brands.includes('avif') || brands.includes('avis')) {
+      return signature('image', 'image/avif', '.avif');
+    }
+    if (['heic', 'heix', 'mif1'].includes(brands[0])) {
+      return signature('image', 'image/heic', '.heic');
+    }
+    if (brands[0] === 'M4A ') {
+      return signature('audio', 'audio/mp4', '.m4a');
+    }
+    if (brands[0] === 'qt  ') {
+      return signature('video', 'video/quicktime', '.mov');
+    }
+    return signature('video', 'video/mp4', '.mp4');
+  }
+
+  if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x1a45dfa3) {
+    // EBML header; the DocType says whether this is WebM or generic Matroska
+    return buffer.includes('webm', 0, 'latin1')
+      ? signature('video', 'video/webm', '.webm')
+      : signature('video', 'video/x-matroska', '.mkv');
+  }
+  if (/^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*<svg[\s>]/i.test(buffer.toString('utf8', 0, 4096))) {
+    return signature('image', 'image/svg+xml', '.svg');
+  }
+  if (ascii(0, 4) === 'OggS') {
+    return signature('audio', 'audio/ogg', '.ogg');
+  }
+  if (ascii(0, 3) === 'ID3' || (buffer.length >= 2 && buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0)) {
+    return signature('audio', 'audio/mpeg', '.mp3');
+  }
+
+  return null;
+}
+
+function signature(type, contentType, extension) {
+  return { type, contentType, extension };
+}
+
+// Reads only the first bytes: a Range request, and the stream is dropped early if the server ignores it
+async function readHead(url, options = {}) {
+  const response = await getHostScheduler().run(url, () => axios.get(url, {
+    timeout: options.timeout || 10000,
+    maxRedirects: options.maxRedirects || 5,
+    responseType: 'stream',
+    ...getProxyAgents(options.proxy, url),
+    headers: {
+      ...(options.userAgent ? { 'User-Agent': options.userAgent } : {}),
+      ...getProfileHeaders(options.requestProfile, url),
+      'Range': `bytes=0-${PROBE_BYTES - 1}`
+    },
+    validateStatus: (status) => status === 200 || status === 206
+  }));
+
+  const chunks = [];
+  let length = 0;
+
+  await new Promise((resolve, reject) => {
+    const stream = response.data;
+    stream.on('data', (chunk) => {
+      chunks.push(chunk);
+      length += chunk.length;
+      if (length >= PROBE_BYTES) {
+        stream.destroy();
+        resolve();
+      }
+    });
+    stream.on('end', resolve);
+    stream.on('close', resolve);
+    stream.on('error', reject);
+  });
+
+  // Content-Range: bytes 0-32767/123456 carries the full size when HEAD didn't
+  const rangeMatch = (response.headers['content-range'] || '').match(/\/(\d+)$/);
+  const contentLength = parseInt(response.headers['content-length']);
+
+  return {
+    buffer: Buffer.concat(chunks).subarray(0, PROBE_BYTES),
+    size: rangeMatch ? parseInt(rangeMatch[1]) : (response.status === 200 && contentLength) || null
+  };
+}
+
+// A Content-Type naming a media type is trusted; a missing or generic one means reading the first bytes.
+// Images are always read so their width/height can be reported. Returns null when nothing says what the file is.
+async function identifyMedia(url, contentType, options = {}) {
+  const declared = classifyContentType(contentType);
+  if (declared && declared.type !== 'image') {
+    return declared;
+  }
+  if (!declared && !isGenericContentType(contentType)) {
+    return null;
+  }
+
+  let head;
+  try {
+    if (options.beforeRequest) {
+      await options.beforeRequest(url);
+    }
+    head = await readHead(url, options);
+  } catch {
+    // Probing is best effort; the declared type or the URL-based guess still stands
+    return declared;
+  }
+
+  const identified = declared || detectSignature(head.buffer);
+  if (!identified) {
+    return null;
+  }
+
+  const dimensions = identified.type === 'image' ? readImageDimensions(head.buffer) : null;
+  return { ...identified, size: head.size, ...dimensions };
+}
+
+module.exports = {
+  PROBE_BYTES,
+  isGenericContentType,
+  getExtensionForContentType,
+  classifyContentType,
+  detectSignature,
+  readHead,
+  identifyMedia
+};
@@ -0,0 +1,17 @@
+const fs = require('fs');
+const { parentPort } = require('worker_threads');
+const { decodeImage, computeDHash } = require('./perceptual-hash');
+
+// Decodes and hashes one file per message, off the server's event loop
+parentPort.on('message', ({ id, filePath }) => {
+  let result = null;
+  try {
+    const image = decodeImage(fs.readFileSync(filePath));
+    if (image) {
+      result = { width: image.width, height: image.height, dHash: computeDHash(image) };
+    }
+  } catch {
+    // Corrupt or unsupported files get no hash
+  }
+  parentPort.postMessage({ id, result });
+});
@@ -0,0 +1,158 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+const { GifReader } = require('omggif');
+const { readImageDimensions } = require('./image-dimensions');
+
+// Decoding is done in JS and held in memory (4 bytes a pixel), so large images are skipped
+const MAX_DECODE_PIXELS = 16 * 1000 * 1000;
+const DEFAULT_SIMILARITY_THRESHOLD = 10;
+const MAX_SIMILARITY_THRESHOLD = 32;
+// Crops and letterboxed copies look alike at 9×8 but aren't the same picture
+const MAX_ASPECT_RATIO_DIFFERENCE = 0.1;
+
+// Returns { width, height, data } with RGBA pixels, or null for formats without a pure-JS
+// decoder here (WebP, AVIF, HEIC, SVG). GIFs use their first frame.
+function decodeImage(buffer) {
+  const dimensions = readImageDimensions(buffer);
+  if (!dimensions || dimensions.width * dimensions.height > MAX_DECODE_PIXELS) {
+    return null;
+  }
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    return jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxResolutionInMP: MAX_DECODE_PIXELS / 1e6, maxMemoryUsageInMB: 128 });
+  }
+  if (buffer.readUInt32BE(0) === 0x89504e47) {
+    const png = PNG.sync.read(buffer);
+    return { width: png.width, height: png.height, data: png.data };
+  }
+  if (/^GIF8[79]a$/.test(buffer.toString('latin1', 0, 6))) {
+    const gif = new GifReader(buffer);
+    const data = new Uint8Array(gif.width * gif.height * 4);
+    gif.decodeAndBlitFrameRGBA(0, data);
+    return { width: gif.width, height: gif.height, data };
+  }
+  return null;
+}
+
+// Average luminance of each cell when the image is scaled down to columns × rows.
+// Transparent pixels are composited over white.
+function getLuminanceGrid(image, columns, rows) {
+  const sums = new Float64Array(columns * rows);
+  const counts = new Uint32Array(columns * rows);
+
+  for (let y = 0; y < image.height; y++) {
+    const row = Math.floor((y * rows) / image.height) * columns;
+    for (let x = 0; x < image.width; x++) {
+      const offset = (y * image.width + x) * 4;
+      const alpha = image.data[offset + 3] / 255;
+      const luminance = 0.299 * image.data[offset] + 0.587 * image.data[offset + 1] + 0.114 * image.data[offset + 2];
+      const cell = row + Math.floor((x * columns) / image.width);
+      sums[cell] += luminance * alpha + 255 * (1 - alpha);
+      counts[cell]++;
+    }
+  }
+
+  return Array.from(sums, (sum, cell) => (counts[cell] > 0 ? sum / counts[cell] : 255));
+}
+
+// dHash: one bit per horizontally adjacent pair of cells in a 9×8 grid, set when the left cell
+// is brighter. Returns 16 hex digits, or null for flat images, whose hash says nothing about them.
+function computeDHash(image) {
+  const grid = getLuminanceGrid(image, 9, 8);
+  if (grid.every(value => Math.abs(value - grid[0]) < 1)) {
+    return null;
+  }
+
+  let hash = '';
+  for (let y = 0; y < 8; y++) {
+    let byte = 0;
+    for (let x = 0; x < 8; x++) {
+      byte = (byte << 1) | (grid[y * 9 + x] > grid[y * 9 + x + 1] ? 1 : 0);
+    }
+    hash += byte.toString(16).padStart(2, '0');
+  }
+  return hash;
+}
+
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i += 2) {
+    let bits = parseInt(a.substr(i, 2), 16) ^ parseInt(b.substr(i, 2), 16);
+    while (bits) {
+      distance += bits & 1;
+      bits >>= 1;
+    }
+  }
+  return distance;
+}
+
+function validateSimilarityThreshold(value) {
+  const threshold = parseInt(value);
+  return Number.isFinite(threshold) ? Math.min(Math.max(threshold, 0), MAX_SIMILARITY_THRESHOLD) : DEFAULT_SIMILARITY_THRESHOLD;
+}
+
+// Groups items ({ dHash, width, height }) whose hashes are within threshold bits of each other.
+// Matches chain, so A~B and B~C put all three in one cluster. Only clusters of two or more
+// are returned, each as a list of item indexes in their original order.
+function clusterByHash(items, threshold = DEFAULT_SIMILARITY_THRESHOLD) {
+  const parents = items.map((_, index) => index);
+  const find = index => (parents[index] === index ? index : (parents[index] = find(parents[index])));
+
+  items.forEach((item, i) => {
+    for (let j = i + 1; j < items.length; j++) {
+      const other = items[j];
+      if (!item.dHash || !other.dHash || hammingDistance(item.dHash, other.dHash) > threshold) {
+        continue;
+      }
+      const ratio = Math.log((item.width / item.height) / (other.width / other.height));
+      if (Math.abs(ratio) <= MAX_ASPECT_RATIO_DIFFERENCE) {
+        parents[find(j)] = find(i);
+      }
+    }
+  });
+
+  const clusters = new Map();
+  items.forEach((_, index) => {
+    const root = find(index);
+    clusters.set(root, [...(clusters.get(root) || []), index]);
+  });
+  return Array.from(clusters.values()).filter(cluster => cluster.length > 1);
+}
+
+// Hashes files in a worker thread, one at a time, so decoding doesn't stall other requests.
+// Resolves to { width, height, dHash } per file, or null when it couldn't be decoded.
+function hashImageFiles(filePaths) {
+  if (filePaths.length === 0) {
+    return Promise.resolve([]);
+  }
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, 'perceptual-hash-worker.js'));
+    const results = new Array(filePaths.length).fill(null);
+    let next = 0;
+
+    const send = () => worker.postMessage({ id: next, filePath: filePaths[next++] });
+    worker.on('message', ({ id, result }) => {
+      results[id] = result;
+      if (next < filePaths.length) {
+        send();
+      } else {
+        worker.terminate().then(() => resolve(results), () => resolve(results));
+      }
+    });
+    worker.on('error', reject);
+    send();
+  });
+}
+
+module.exports = {
+  DEFAULT_SIMILARITY_THRESHOLD,
+  decodeImage,
+  computeDHash,
+  hashImageFiles,
+  hammingDistance,
+  validateSimilarityThreshold,
+  clusterByHash
+};
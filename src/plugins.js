@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { getRobotsPolicy } = require('./robots');
+const { getProfileHeaders } = require('./request-profile');
+const { getProxyAgents } = require('./proxy');
+const { getHostScheduler } = require('./host-scheduler');
+
+const DEFAULT_PLUGIN_DIR = path.join(__dirname, '..', 'plugins');
+const PLUGIN_HOOKS = ['discover', 'rewriteUrl', 'processResults'];
+
+// "example.com" matches that host only, "*.example.com" the domain and all its subdomains,
+// "*" every host. RegExps are tested against the hostname.
+function matchesHostPattern(pattern, hostname) {
+  if (pattern instanceof RegExp) {
+    return pattern.test(hostname);
+  }
+
+  const host = pattern.toLowerCase();
+  if (host === '*') {
+    return true;
+  }
+  if (host.startsWith('*.')) {
+    const domain = host.substring(2);
+    return hostname === domain || hostname.endsWith(`.${domain}`);
+  }
+  return hostname === host;
+}
+
+function getHostname(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return '';
+  }
+}
+
+function validatePlugin(plugin, origin) {
+  if (!plugin || typeof plugin !== 'object') {
+    throw new Error(`Plugin ${origin} must export an object`);
+  }
+  if (typeof plugin.name !== 'string' || !plugin.name.trim()) {
+    throw new Error(`Plugin ${origin} needs a name`);
+  }
+  if (!Array.isArray(plugin.hosts) || plugin.hosts.length === 0 ||
+      !plugin.hosts.every(host => typeof host === 'string' || host instanceof RegExp)) {
+    throw new Error(`Plugin ${plugin.name} needs a hosts array of hostname patterns`);
+  }
+  if (!PLUGIN_HOOKS.some(hook => typeof plugin[hook] === 'function')) {
+    throw new Error(`Plugin ${plugin.name} must implement at least one of ${PLUGIN_HOOKS.join(', ')}`);
+  }
+  return plugin;
+}
+
+// GET helper handed to plugin hooks, so their requests follow the job's robots.txt setting, timeout request profile and proxy
+function createPluginRequest(options = {}) {
+  return async (url, config = {}) => {
+    if (options.respectRobots) {
+      await getRobotsPolicy().enforce(url, { proxy: options.proxy });
+    }
+    return getHostScheduler().run(url, () => axios.get(url, {
+      timeout: options.timeout,
+      maxRedirects: options.maxRedirects || 5,
+      ...getProxyAgents(options.proxy, url),
+      ...config,
+      headers: {
+        ...(options.userAgent ? { 'User-Agent': options.userAgent } : {}),
+        ...getProfileHeaders(options.requestProfile, url),
+        ...config.headers
+      }
+    }));
+  };
+}
+
+class PluginRegistry {
+  constructor(options = {}) {
+    this.pluginDir = options.pluginDir || process.env.PLUGIN_DIR || DEFAULT_PLUGIN_DIR;
+    this.plugins = [];
+  }
+
+  // Every .js file in the plugin directory (or folder with an index.js) is one plugin, loaded in name order
+  load() {
+    if (!fs.existsSync(this.pluginDir)) {
+      return this;
+    }
+
+    fs.readdirSync(this.pluginDir).sort().forEach(file => {
+      const filePath = path.join(this.pluginDir, file);
+      const isModule = file.endsWith('.js') || fs.existsSync(path.join(filePath, 'index.js'));
+      if (isModule && !file.startsWith('.')) {
+        this.register(require(filePath), file);
+      }
+    });
+
+    return this;
+  }
+
+  register(plugin, origin = 'plugin') {
+    validatePlugin(plugin, origin);
+    if (this.plugins.some(existing => existing.name === plugin.name)) {
+      throw new Error(`Plugin ${plugin.name} is already registered`);
+    }
+    this.plugins.push(plugin);
+    return this;
+  }
+
+  // Plugins whose hosts match any of the given URLs, in registration order
+  getPlugins(...urls) {
+    const hostnames = urls.map(getHostname).filter(Boolean);
+    return this.plugins.filter(plugin =>
+      plugin.hosts.some(pattern => hostnames.some(hostname => matchesHostPattern(pattern, hostname)))
+    );
+  }
+
+  // Extra media for a page, e.g. from a gallery API. Hooks return URLs or { url, type } objects.
+  async discover(context, errors = []) {
+    const found = [];
+
+    for (const plugin of this.getPlugins(context.pageUrl)) {
+      if (typeof plugin.discover !== 'function') continue;
+
+      try {
+        const items = await plugin.discover(context) || [];
+        items.forEach(item => {
+          const url = typeof item === 'string' ? item : item && item.url;
+          if (url) {
+            found.push({ url, type: (item && item.type) || null, source: `plugin:${plugin.name}` });
+          }
+        });
+      } catch (error) {
+        errors.push({ url: context.pageUrl, error: `Plugin ${plugin.name}: ${error.message}` });
+      }
+    }
+
+    return found;
+  }
+
+  // Runs the rewriteUrl hooks of plugins matching the media or page host. A hook returns a
+  // replacement URL, or null to drop the media; a failing hook leaves the URL as it was.
+  rewriteUrl(url, pageUrl, errors = []) {
+    let current = url;
+
+    for (const plugin of this.getPlugins(url, pageUrl)) {
+      if (typeof plugin.rewriteUrl !== 'function') continue;
+
+      try {
+        const rewritten = plugin.rewriteUrl(current, { pageUrl });
+        if (!rewritten) {
+          return null;
+        }
+        current = rewritten;
+      } catch (error) {
+        errors.push({ url: current, error: `Plugin ${plugin.name}: ${error.message}` });
+      }
+    }
+
+    return current;
+  }
+
+  // Lets plugins adjust the finished results (drop, reorder or annotate media) in place
+  async processResults(results, context, errors = results.errors) {
+    for (const plugin of this.getPlugins(context.pageUrl)) {
+      if (typeof plugin.processResults !== 'function') continue;
+
+      try {
+        await plugin.processResults(results, context);
+      } catch (error) {
+        errors.push({ url: context.pageUrl, error: `Plugin ${plugin.name}: ${error.message}` });
+      }
+    }
+
+    return results;
+  }
+}
+
+// Singleton instance so the plugin directory is read once per process
+let pluginRegistryInstance = null;
+
+function getPluginRegistry(options) {
+  if (!pluginRegistryInstance) {
+    pluginRegistryInstance = new PluginRegistry(options).load();
+  }
+  return pluginRegistryInstance;
+}
+
+module.exports = {
+  PluginRegistry,
+  getPluginRegistry,
+  createPluginRequest,
+  matchesHostPattern
+};
@@ -0,0 +1,255 @@
+const { HttpProxyAgent } = require('http-proxy-agent');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { SocksProxyAgent } = require('socks-proxy-agent');
+const { isSafeUrl } = require('./utils');
+
+const PROXY_PROTOCOLS = ['http:', 'https:', 'socks:', 'socks4:', 'socks4a:', 'socks5:', 'socks5h:'];
+const SOCKS_PROTOCOLS = ['socks:', 'socks4:', 'socks4a:', 'socks5:', 'socks5h:'];
+// Chromium only knows these names; remote DNS is what it does for SOCKS5 anyway
+const CHROMIUM_PROTOCOLS = { 'socks:': 'socks5:', 'socks4a:': 'socks4:', 'socks5h:': 'socks5:' };
+const ROTATION_MODES = ['round-robin', 'random'];
+const MAX_PROXIES = 50;
+const MAX_NO_PROXY_ENTRIES = 100;
+
+function parseList(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  const items = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+  return items.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim());
+}
+
+// user:pass@ in a proxy URL becomes user:[redacted]@
+function redactProxyUrl(value) {
+  return String(value).replace(/\/\/([^:@/]*):[^@/]*@/, '//$1:[redacted]@');
+}
+
+function parseProxyUrl(value) {
+  let proxyUrl;
+  try {
+    proxyUrl = new URL(value);
+  } catch {
+    throw new Error(`Invalid proxy URL: ${redactProxyUrl(value)}`);
+  }
+  if (!PROXY_PROTOCOLS.includes(proxyUrl.protocol)) {
+    throw new Error(`Unsupported proxy protocol ${proxyUrl.protocol} (use http, https or socks)`);
+  }
+  if ((proxyUrl.pathname && proxyUrl.pathname !== '/') || proxyUrl.search || proxyUrl.hash) {
+    throw new Error(`Proxy URL must not have a path: ${redactProxyUrl(value)}`);
+  }
+  return proxyUrl;
+}
+
+// NO_PROXY entries: "*", a host ("example.com" also covers its subdomains, as do ".example.com"
+// and "*.example.com"), optionally with a port ("example.com:8080"), or an IP address
+function parseNoProxy(value) {
+  const entries = parseList(value);
+  if (entries.length > MAX_NO_PROXY_ENTRIES) {
+    throw new Error(`At most ${MAX_NO_PROXY_ENTRIES} NO_PROXY entries are allowed`);
+  }
+
+  return entries.map(entry => {
+    if (entry === '*') {
+      return { host: '*', port: null };
+    }
+    const match = entry.toLowerCase().match(/^(?:\*?\.)?(\[[0-9a-f:]+\]|[a-z0-9.-]+|[0-9a-f:]+)(?::(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid NO_PROXY entry: ${entry}`);
+    }
+    return { host: match[1].replace(/^\[|\]$/g, ''), port: match[2] ? parseInt(match[2]) : null };
+  });
+}
+
+function getPort(urlObj) {
+  if (urlObj.port) {
+    return parseInt(urlObj.port);
+  }
+  return urlObj.protocol === 'https:' ? 443 : 80;
+}
+
+// Outbound proxies for one scope: the whole server (from the environment) or one job.
+// Each request takes the next proxy from the list, unless its host is in noProxy.
+// Serializing a config hides proxy passwords.
+class ProxyConfig {
+  constructor(options = {}) {
+    const urls = parseList(options.urls);
+    if (urls.length > MAX_PROXIES) {
+      throw new Error(`At most ${MAX_PROXIES} proxies are allowed`);
+    }
+
+    this.proxies = urls.map(parseProxyUrl);
+    this.noProxy = parseNoProxy(options.noProxy);
+    this.rotation = options.rotation || 'round-robin';
+    if (!ROTATION_MODES.includes(this.rotation)) {
+      throw new Error(`Proxy rotation must be one of: ${ROTATION_MODES.join(', ')}`);
+    }
+
+    this.nextIndex = 0;
+    this.agents = new Map();
+  }
+
+  get enabled() {
+    return this.proxies.length > 0;
+  }
+
+  isBypassed(url) {
+    let urlObj;
+    try {
+      urlObj = new URL(url);
+    } catch {
+      return false;
+    }
+    const hostname = urlObj.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    const port = getPort(urlObj);
+
+    return this.noProxy.some(entry => entry.host === '*' || (
+      (hostname === entry.host || hostname.endsWith(`.${entry.host}`)) &&
+      (entry.port === null || entry.port === port)
+    ));
+  }
+
+  nextProxy() {
+    if (!this.enabled) {
+      return null;
+    }
+    if (this.rotation === 'random') {
+      return this.proxies[Math.floor(Math.random() * this.proxies.length)];
+    }
+    const proxy = this.proxies[this.nextIndex % this.proxies.length];
+    this.nextIndex = (this.nextIndex + 1) % this.proxies.length;
+    return proxy;
+  }
+
+  getProxy(url) {
+    return this.enabled && !this.isBypassed(url) ? this.nextProxy() : null;
+  }
+
+  getAgent(proxy, targetProtocol) {
+    const key = `${proxy.href} ${targetProtocol}`;
+    if (!this.agents.has(key)) {
+      let agent;
+      if (SOCKS_PROTOCOLS.includes(proxy.protocol)) {
+        agent = new SocksProxyAgent(proxy.href);
+      } else if (targetProtocol === 'https:') {
+        agent = new HttpsProxyAgent(proxy.href);
+      } else {
+        agent = new HttpProxyAgent(proxy.href);
+      }
+      this.agents.set(key, agent);
+    }
+    return this.agents.get(key);
+  }
+
+  // Options to spread into an axios config. axios' own proxy support is turned off,
+  // since it can't tunnel HTTPS or speak SOCKS.
+  getAxiosOptions(url) {
+    if (!this.enabled) {
+      return {};
+    }
+    const proxy = this.getProxy(url);
+    if (!proxy) {
+      return { proxy: false };
+    }
+    return {
+      proxy: false,
+      httpAgent: this.getAgent(proxy, 'http:'),
+      httpsAgent: this.getAgent(proxy, 'https:')
+    };
+  }
+
+  // --proxy-server value, credentials for page.authenticate() and the bypass list for
+  // the next proxy, or null when Chromium should connect directly
+  getBrowserProxy() {
+    if (!this.enabled || this.noProxy.some(entry => entry.host === '*')) {
+      return null;
+    }
+
+    const proxy = this.nextProxy();
+    const username = decodeURIComponent(proxy.username);
+    if (username && SOCKS_PROTOCOLS.includes(proxy.protocol)) {
+      throw new Error('Chromium can\'t authenticate to SOCKS proxies; use an HTTP proxy or one without credentials for browser extraction');
+    }
+
+    return {
+      server: `${CHROMIUM_PROTOCOLS[proxy.protocol] || proxy.protocol}//${proxy.host}`,
+      username: username || null,
+      password: username ? decodeURIComponent(proxy.password) : null,
+      bypassList: this.noProxy.flatMap(entry => {
+        const suffix = entry.port ? `:${entry.port}` : '';
+        if (entry.host.includes(':')) {
+          return [`[${entry.host}]${suffix}`];
+        }
+        return /^[\d.]+$/.test(entry.host)
+          ? [`${entry.host}${suffix}`]
+          : [`${entry.host}${suffix}`, `*.${entry.host}${suffix}`];
+      }).join(';')
+    };
+  }
+
+  toJSON() {
+    return {
+      urls: this.proxies.map(proxy => redactProxyUrl(proxy.href)),
+      noProxy: this.noProxy.map(entry => (entry.port ? `${entry.host}:${entry.port}` : entry.host)),
+      rotation: this.rotation
+    };
+  }
+}
+
+function getEnvProxyOptions(env = process.env) {
+  return {
+    urls: env.PROXY_URLS || env.HTTPS_PROXY || env.https_proxy || env.HTTP_PROXY || env.http_proxy || env.ALL_PROXY || env.all_proxy,
+    noProxy: env.NO_PROXY || env.no_proxy,
+    rotation: env.PROXY_ROTATION || undefined
+  };
+}
+
+function getAllowedProxyHosts(env = process.env) {
+  return parseList(env.PROXY_ALLOWED_HOSTS).map(host => host.toLowerCase());
+}
+
+// Per-job proxy settings from the API; null keeps the server-wide configuration.
+// The server connects to these itself, so like target URLs they can't be private or
+// internal addresses, unless the operator lists the host in PROXY_ALLOWED_HOSTS.
+function validateProxyOptions(options, allowedHosts = getAllowedProxyHosts()) {
+  if (options === undefined || options === null) {
+    return null;
+  }
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('proxy must be an object');
+  }
+  const config = new ProxyConfig(options);
+  if (!config.enabled) {
+    throw new Error('proxy.urls must list at least one proxy');
+  }
+  config.proxies.forEach(proxy => {
+    const allowed = allowedHosts.includes(proxy.host.toLowerCase()) || allowedHosts.includes(proxy.hostname.toLowerCase());
+    if (!allowed && !isSafeUrl(`http://${proxy.host}/`)) {
+      throw new Error(`Proxy ${proxy.host} is a private or internal address; add it to PROXY_ALLOWED_HOSTS to allow it`);
+    }
+  });
+  return config;
+}
+
+let proxyConfigInstance = null;
+
+function getProxyConfig() {
+  if (!proxyConfigInstance) {
+    proxyConfigInstance = new ProxyConfig(getEnvProxyOptions());
+  }
+  return proxyConfigInstance;
+}
+
+// Falls back to the server-wide proxies when the job has none of its own
+function getProxyAgents(proxyConfig, url) {
+  return (proxyConfig || getProxyConfig()).getAxiosOptions(url);
+}
+
+module.exports = {
+  ProxyConfig,
+  getEnvProxyOptions,
+  getAllowedProxyHosts,
+  validateProxyOptions,
+  getProxyConfig,
+  getProxyAgents,
+  redactProxyUrl
+};
@@ -0,0 +1,217 @@
+const MAX_HEADERS = 30;
+const MAX_HEADER_LENGTH = 4096;
+const MAX_COOKIE_LENGTH = 8192;
+const HEADER_NAME = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+// Set by the HTTP client, or through the cookies/auth fields so they can be kept to one site
+const RESERVED_HEADERS = ['host', 'content-length', 'transfer-encoding', 'connection', 'cookie', 'authorization', 'proxy-authorization'];
+const SENSITIVE_KEY = /authorization|cookie|password|secret|token|api[-_]?key|session/i;
+const REDACTED = '[redacted]';
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+function parseHeaders(headers) {
+  if (headers === undefined || headers === null) {
+    return {};
+  }
+  if (typeof headers !== 'object' || Array.isArray(headers)) {
+    throw new Error('headers must be an object of header names and values');
+  }
+
+  const entries = Object.entries(headers);
+  if (entries.length > MAX_HEADERS) {
+    throw new Error(`At most ${MAX_HEADERS} headers are allowed`);
+  }
+
+  return Object.fromEntries(entries.map(([name, value]) => {
+    if (!HEADER_NAME.test(name)) {
+      throw new Error(`Invalid header name: ${name}`);
+    }
+    if (RESERVED_HEADERS.includes(name.toLowerCase())) {
+      throw new Error(`${name} can't be set as a header; use the cookies or auth fields instead`);
+    }
+    if (typeof value !== 'string' || /[\r\n\0]/.test(value) || value.length > MAX_HEADER_LENGTH) {
+      throw new Error(`Invalid value for header ${name}`);
+    }
+    return [name, value];
+  }));
+}
+
+// "a=1; b=2", as copied from a browser's Cookie header
+function parseCookies(cookies) {
+  if (cookies === undefined || cookies === null || cookies === '') {
+    return [];
+  }
+  if (typeof cookies !== 'string' || /[\r\n\0]/.test(cookies) || cookies.length > MAX_COOKIE_LENGTH) {
+    throw new Error('cookies must be a Cookie header string');
+  }
+
+  return cookies.split(';').map(pair => pair.trim()).filter(Boolean).map(pair => {
+    const separator = pair.indexOf('=');
+    const name = separator > 0 ? pair.substring(0, separator).trim() : '';
+    if (!HEADER_NAME.test(name)) {
+      throw new Error(`Invalid cookie: ${pair.substring(0, 20)}`);
+    }
+    return { name, value: pair.substring(separator + 1).trim() };
+  });
+}
+
+function parseAuth(auth) {
+  if (auth === undefined || auth === null) {
+    return null;
+  }
+  const invalid = value => typeof value !== 'string' || /[\r\n\0]/.test(value) || value.length > MAX_HEADER_LENGTH;
+
+  if (auth.type === 'basic') {
+    if (invalid(auth.username) || auth.username.includes(':') || invalid(auth.password || '')) {
+      throw new Error('basic auth needs a username without ":" and a password');
+    }
+    return { type: 'basic', username: auth.username, password: auth.password || '' };
+  }
+  if (auth.type === 'bearer') {
+    if (!isNonEmptyString(auth.token) || invalid(auth.token)) {
+      throw new Error('bearer auth needs a token');
+    }
+    return { type: 'bearer', token: auth.token.trim() };
+  }
+  throw new Error('auth type must be "basic" or "bearer"');
+}
+
+function parseDomain(domain, targetUrl) {
+  if (isNonEmptyString(domain)) {
+    if (!/^[a-z0-9.-]+$/i.test(domain.trim())) {
+      throw new Error(`Invalid domain: ${domain}`);
+    }
+    return domain.trim().toLowerCase().replace(/^\.+/, '');
+  }
+  try {
+    return new URL(targetUrl).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+}
+
+// Extra headers, cookies and auth for one job's requests. Headers go with every request;
+// cookies and auth only to the credential domain (the target site by default) and its subdomains,
+// so they aren't handed to CDNs, ad servers or other sites the page links to.
+// Serializing a profile (job status, logs) redacts its secrets.
+class RequestProfile {
+  constructor(profile = {}, targetUrl = null) {
+    if (typeof profile !== 'object' || profile === null || Array.isArray(profile)) {
+      throw new Error('requestProfile must be an object');
+    }
+
+    this.headers = parseHeaders(profile.headers);
+    this.cookies = parseCookies(profile.cookies);
+    this.auth = parseAuth(profile.auth);
+    this.domain = parseDomain(profile.domain, targetUrl);
+  }
+
+  hasCredentials() {
+    return this.cookies.length > 0 || this.auth !== null;
+  }
+
+  isCredentialUrl(url) {
+    if (!this.domain) {
+      return false;
+    }
+    try {
+      const hostname = new URL(url).hostname.toLowerCase();
+      return hostname === this.domain || hostname.endsWith(`.${this.domain}`);
+    } catch {
+      return false;
+    }
+  }
+
+  getAuthorization() {
+    if (!this.auth) {
+      return null;
+    }
+    return this.auth.type === 'basic'
+      ? `Basic ${Buffer.from(`${this.auth.username}:${this.auth.password}`).toString('base64')}`
+      : `Bearer ${this.auth.token}`;
+  }
+
+  getHeaders(url) {
+    const headers = { ...this.headers };
+    if (this.hasCredentials() && this.isCredentialUrl(url)) {
+      if (this.cookies.length > 0) {
+        headers['Cookie'] = this.cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+      }
+      if (this.auth) {
+        headers['Authorization'] = this.getAuthorization();
+      }
+    }
+    return headers;
+  }
+
+  // Every secret value as it could appear in a message, longest first
+  getSecrets() {
+    const secrets = [
+      ...this.cookies.map(cookie => cookie.value),
+      ...Object.entries(this.headers).filter(([name]) => SENSITIVE_KEY.test(name)).map(([, value]) => value)
+    ];
+    if (this.auth) {
+      secrets.push(this.getAuthorization().split(' ')[1]);
+      secrets.push(this.auth.type === 'basic' ? this.auth.password : this.auth.token);
+    }
+    return secrets.filter(secret => secret && secret.length >= 4).sort((a, b) => b.length - a.length);
+  }
+
+  redact(text) {
+    if (typeof text !== 'string') {
+      return text;
+    }
+    return this.getSecrets().reduce((result, secret) => result.split(secret).join(REDACTED), text);
+  }
+
+  toJSON() {
+    return {
+      headers: redactSecrets(this.headers),
+      cookies: this.cookies.map(cookie => `${cookie.name}=${REDACTED}`).join('; ') || undefined,
+      auth: this.auth
+        ? (this.auth.type === 'basic'
+          ? { type: 'basic', username: this.auth.username, password: REDACTED }
+          : { type: 'bearer', token: REDACTED })
+        : undefined,
+      domain: this.domain
+    };
+  }
+}
+
+// Returns null when the job has no profile
+function validateRequestProfile(profile, targetUrl) {
+  if (profile === undefined || profile === null) {
+    return null;
+  }
+  return new RequestProfile(profile, targetUrl);
+}
+
+function getProfileHeaders(requestProfile, url) {
+  return requestProfile ? requestProfile.getHeaders(url) : {};
+}
+
+// Copy of a value with every credential-looking field replaced, for log output
+function redactSecrets(value, depth = 0) {
+  if (value instanceof RequestProfile) {
+    return value.toJSON();
+  }
+  if (!value || typeof value !== 'object' || depth > 5) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactSecrets(item, depth + 1));
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SENSITIVE_KEY.test(key) && (typeof item === 'string' || Array.isArray(item)) ? REDACTED : redactSecrets(item, depth + 1)
+  ]));
+}
+
+module.exports = {
+  RequestProfile,
+  validateRequestProfile,
+  getProfileHeaders,
+  redactSecrets
+};
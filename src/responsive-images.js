@@ -0,0 +1,106 @@
+const { normalizeUrl } = require('./utils');
+
+function parseSrcset(srcset) {
+  const candidates = [];
+  const text = srcset || '';
+  let position = 0;
+
+  // Follows the HTML srcset tokenizer: URLs may contain commas, descriptors may not
+  while (position < text.length) {
+    while (position < text.length && /[\s,]/.test(text[position])) position++;
+    if (position >= text.length) break;
+
+    let end = position;
+    while (end < text.length && !/\s/.test(text[end])) end++;
+    let url = text.substring(position, end);
+    position = end;
+
+    let descriptors = '';
+    if (url.endsWith(',')) {
+      url = url.replace(/,+$/, '');
+    } else {
+      const comma = text.indexOf(',', position);
+      descriptors = text.substring(position, comma === -1 ? text.length : comma);
+      position = comma === -1 ? text.length : comma + 1;
+    }
+
+    if (!url) continue;
+
+    const candidate = { url, width: null, density: null };
+    descriptors.trim().split(/\s+/).forEach(descriptor => {
+      const match = descriptor.match(/^(\d+(?:\.\d+)?)([wx])$/i);
+      if (!match) return;
+
+      if (match[2].toLowerCase() === 'w') {
+        candidate.width = parseInt(match[1]);
+      } else {
+        candidate.density = parseFloat(match[1]);
+      }
+    });
+
+    candidates.push(candidate);
+  }
+
+  return candidates;
+}
+
+// Each <picture> and each <img> with a srcset is one logical image with several variants
+function extractVariantGroups($, baseUrl) {
+  const groups = [];
+
+  const resolve = (candidates) => candidates
+    .map(candidate => ({ ...candidate, url: normalizeUrl(candidate.url, baseUrl) }))
+    .filter(candidate => candidate.url);
+
+  const fromImage = ($img) => {
+    const candidates = [
+      ...parseSrcset($img.attr('srcset')),
+      ...parseSrcset($img.attr('data-srcset'))
+    ];
+    // src is the 1x fallback for the srcset
+    ['src', 'data-src'].forEach(attr => {
+      const src = ($img.attr(attr) || '').trim();
+      if (src && !src.startsWith('data:')) {
+        candidates.push({ url: src, width: null, density: null });
+      }
+    });
+    return candidates;
+  };
+
+  $('picture').each((_, element) => {
+    const $picture = $(element);
+    const candidates = [];
+
+    $picture.find('source').each((_, source) => {
+      candidates.push(...parseSrcset($(source).attr('srcset')), ...parseSrcset($(source).attr('data-srcset')));
+    });
+    $picture.find('img').each((_, img) => {
+      candidates.push(...fromImage($(img)));
+    });
+
+    const resolved = resolve(candidates);
+    if (resolved.length > 0) groups.push(resolved);
+  });
+
+  $('img[srcset], img[data-srcset]').each((_, element) => {
+    if ($(element).closest('picture').length > 0) return;
+
+    const resolved = resolve(fromImage($(element)));
+    if (resolved.length > 0) groups.push(resolved);
+  });
+
+  return groups;
+}
+
+function compareVariants(a, b) {
+  // Width descriptors are the most reliable; density is the fallback (a bare src counts as 1x)
+  const widthDifference = (a.width || 0) - (b.width || 0);
+  if (widthDifference !== 0) return widthDifference;
+  return (a.density || 1) - (b.density || 1);
+}
+
+module.exports = {
+  parseSrcset,
+  extractVariantGroups,
+  compareVariants
+};
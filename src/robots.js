@@ -0,0 +1,291 @@
+const axios = require('axios');
+const { delay } = require('./utils');
+const { getProxyAgents } = require('./proxy');
+const { getHostScheduler } = require('./host-scheduler');
+
+const DEFAULT_ROBOTS_USER_AGENT = 'site-asset-downloader';
+
+function parseRobotsTxt(text) {
+  const robots = {
+    groups: [],
+    sitemaps: []
+  };
+
+  let currentGroup = null;
+  let lastLineWasAgent = false;
+
+  (text || '').split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) {
+      return;
+    }
+
+    const field = line.substring(0, separator).trim().toLowerCase();
+    const value = line.substring(separator + 1).trim();
+
+    switch (field) {
+      case 'user-agent':
+        // Consecutive User-agent lines share one group of rules
+        if (!currentGroup || !lastLineWasAgent) {
+          currentGroup = { userAgents: [], rules: [], crawlDelay: null };
+          robots.groups.push(currentGroup);
+        }
+        currentGroup.userAgents.push(value.toLowerCase());
+        lastLineWasAgent = true;
+        return;
+
+      case 'allow':
+      case 'disallow':
+        if (currentGroup) {
+          currentGroup.rules.push({ type: field, path: value });
+        }
+        break;
+
+      case 'crawl-delay':
+        if (currentGroup) {
+          const crawlDelay = parseFloat(value);
+          if (!isNaN(crawlDelay) && crawlDelay >= 0) {
+            currentGroup.crawlDelay = crawlDelay;
+          }
+        }
+        break;
+
+      case 'sitemap':
+        if (value) {
+          robots.sitemaps.push(value);
+        }
+        break;
+
+      default:
+        break;
+    }
+
+    lastLineWasAgent = false;
+  });
+
+  return robots;
+}
+
+async function fetchRobotsTxt(origin, options = {}) {
+  const robotsUrl = new URL('/robots.txt', origin).href;
+
+  try {
+    const response = await getHostScheduler().run(robotsUrl, () => axios.get(robotsUrl, {
+      timeout: options.timeout || 10000,
+      maxRedirects: 5,
+      responseType: 'text',
+      ...getProxyAgents(options.proxy, robotsUrl),
+      headers: { 'User-Agent': options.userAgent },
+      // A host that is still rate limiting us hasn't told us its rules, so a 429 is a failure
+      validateStatus: (status) => status >= 200 && status < 500 && status !== 429
+    }));
+
+    // A missing robots.txt means there are no restrictions
+    if (response.status >= 400 || typeof response.data !== 'string') {
+      return '';
+    }
+
+    return response.data;
+  } catch (error) {
+    if (error.response) {
+      throw new Error(`HTTP ${error.response.status} fetching ${robotsUrl}`);
+    }
+    throw new Error(`Unable to fetch ${robotsUrl}: ${error.message}`);
+  }
+}
+
+function findRobotsGroup(robots, userAgent) {
+  const agent = (userAgent || '').toLowerCase();
+  let bestGroup = null;
+  let bestLength = -1;
+  let wildcardGroup = null;
+
+  robots.groups.forEach(group => {
+    group.userAgents.forEach(token => {
+      if (token === '*') {
+        wildcardGroup = wildcardGroup || group;
+      } else if (token && agent.includes(token) && token.length > bestLength) {
+        bestGroup = group;
+        bestLength = token.length;
+      }
+    });
+  });
+
+  return bestGroup || wildcardGroup;
+}
+
+// Rules come from remote robots.txt files, so instead of building a backtracking RegExp the
+// literal parts between the "*"s are looked for in turn, which stays linear in the path length
+function matchesRobotsPath(pattern, path) {
+  const anchored = pattern.endsWith('$');
+  const parts = (anchored ? pattern.slice(0, -1) : pattern).split('*');
+  const first = parts[0];
+  const last = parts[parts.length - 1];
+
+  if (!path.startsWith(first)) {
+    return false;
+  }
+  if (parts.length === 1) {
+    return !anchored || path === first;
+  }
+
+  let position = first.length;
+  for (let i = 1; i < parts.length - 1; i++) {
+    const index = path.indexOf(parts[i], position);
+    if (index === -1) {
+      return false;
+    }
+    position = index + parts[i].length;
+  }
+
+  return anchored
+    ? path.length - last.length >= position && path.endsWith(last)
+    : path.indexOf(last, position) !== -1;
+}
+
+function isPathAllowed(group, path) {
+  if (!group || path === '/robots.txt') {
+    return true;
+  }
+
+  // The most specific (longest) matching rule wins; Allow wins a tie
+  let verdict = null;
+  group.rules.forEach(rule => {
+    if (!rule.path || !matchesRobotsPath(rule.path, path)) {
+      return;
+    }
+
+    if (!verdict ||
+        rule.path.length > verdict.path.length ||
+        (rule.path.length === verdict.path.length && rule.type === 'allow')) {
+      verdict = rule;
+    }
+  });
+
+  return !verdict || verdict.type === 'allow';
+}
+
+function shouldRespectRobots(option) {
+  // The environment switch enforces compliance globally; jobs can only opt in
+  return option === true || process.env.RESPECT_ROBOTS_TXT === 'true';
+}
+
+class RobotsPolicy {
+  constructor(options = {}) {
+    // Rules are picked for this token, not for the browser User-Agent the requests send
+    this.userAgent = options.userAgent || process.env.ROBOTS_USER_AGENT || DEFAULT_ROBOTS_USER_AGENT;
+    this.timeout = options.timeout || 10000;
+    this.cacheTtl = options.cacheTtl || 60 * 60 * 1000; // 1 hour
+    this.failureTtl = options.failureTtl || 5 * 60 * 1000; // 5 minutes
+    this.maxCrawlDelay = options.maxCrawlDelay || 60; // seconds
+    this.cache = new Map();
+    // A job with its own proxy fetches robots.txt through it, into a cache of its own
+    this.proxyCaches = new WeakMap();
+    this.nextRequestAt = new Map();
+  }
+
+  getCache(proxy) {
+    if (!proxy) {
+      return this.cache;
+    }
+    if (!this.proxyCaches.has(proxy)) {
+      this.proxyCaches.set(proxy, new Map());
+    }
+    return this.proxyCaches.get(proxy);
+  }
+
+  async getRules(url, options = {}) {
+    const origin = new URL(url).origin;
+    const cache = this.getCache(options.proxy);
+    const cached = cache.get(origin);
+
+    if (cached && Date.now() - cached.fetchedAt < cached.ttl) {
+      return cached.promise;
+    }
+
+    const entry = { fetchedAt: Date.now(), ttl: this.cacheTtl, promise: null };
+    entry.promise = fetchRobotsTxt(origin, { timeout: this.timeout, userAgent: this.userAgent, proxy: options.proxy })
+      .then(text => ({
+        group: findRobotsGroup(parseRobotsTxt(text), this.userAgent),
+        unavailable: false
+      }))
+      .catch(() => {
+        // An unreachable robots.txt has to be treated as a complete disallow,
+        // but only until the next attempt so a passing outage doesn't block the host for an hour
+        entry.fetchedAt = Date.now();
+        entry.ttl = this.failureTtl;
+        return {
+          group: { userAgents: ['*'], rules: [{ type: 'disallow', path: '/' }], crawlDelay: null },
+          unavailable: true
+        };
+      });
+
+    cache.set(origin, entry);
+    return entry.promise;
+  }
+
+  async check(url, options = {}) {
+    const urlObj = new URL(url);
+    const rules = await this.getRules(url, options);
+    const path = `${urlObj.pathname}${urlObj.search}`;
+
+    if (!isPathAllowed(rules.group, path)) {
+      throw new Error(rules.unavailable
+        ? `Blocked by robots.txt: ${urlObj.origin}/robots.txt could not be fetched`
+        : `Blocked by robots.txt: ${path} is disallowed for ${this.userAgent} on ${urlObj.host}`);
+    }
+
+    return rules;
+  }
+
+  async throttle(url, options = {}) {
+    const rules = await this.getRules(url, options);
+    const crawlDelay = rules.group && rules.group.crawlDelay;
+    if (!crawlDelay) {
+      return;
+    }
+
+    // Reserve the next slot for this host before waiting so concurrent callers queue up
+    const host = new URL(url).host;
+    const delayMs = Math.min(crawlDelay, this.maxCrawlDelay) * 1000;
+    const now = Date.now();
+    const slot = Math.max(now, this.nextRequestAt.get(host) || 0);
+    this.nextRequestAt.set(host, slot + delayMs);
+
+    if (slot > now) {
+      await delay(slot - now);
+    }
+  }
+
+  async enforce(url, options = {}) {
+    await this.check(url, options);
+    await this.throttle(url, options);
+  }
+
+  clearCache() {
+    this.cache.clear();
+    this.proxyCaches = new WeakMap();
+    this.nextRequestAt.clear();
+  }
+}
+
+// Singleton instance so the robots.txt cache and Crawl-delay slots are shared by every caller
+let robotsPolicyInstance = null;
+
+function getRobotsPolicy(options) {
+  if (!robotsPolicyInstance) {
+    robotsPolicyInstance = new RobotsPolicy(options);
+  }
+  return robotsPolicyInstance;
+}
+
+module.exports = {
+  RobotsPolicy,
+  getRobotsPolicy,
+  shouldRespectRobots,
+  parseRobotsTxt,
+  fetchRobotsTxt,
+  findRobotsGroup,
+  isPathAllowed
+};
@@ -4,11 +4,14 @@ const path = require('path');
 const MediaExtractor = require('../extractor');
 const BrowserMediaExtractor = require('../browser-extractor');
 const DownloadManager = require('../downloader');
-const { createJobId, isValidUrl, isSafeUrl, formatBytes, isValidJobId } = require('../utils');
+const { getInlineFilePath } = require('../inline-media');
+const { validateDedupeOptions } = require('../canonical-url');
+const { validateRequestProfile } = require('../request-profile');
+const { validateProxyOptions } = require('../proxy');
+const { getHostScheduler } = require('../host-scheduler');
+const { createJobId, isValidUrl, isSafeUrl, formatBytes, isValidJobId, validateCrawlOptions, validateMediaFilters } = require('../utils');
 
 const router = express.Router();
-const extractor = new MediaExtractor();
-const browserExtractor = new BrowserMediaExtractor();
 const downloadManager = new DownloadManager();
 
 // Memory limits for job tracking
@@ -18,9 +21,29 @@ const MAX_COMPLETED_JOBS = 100;
 const activeJobs = new Map();
 const jobResults = new Map();
 
+// Extractors are cheap to build (the browser pool is shared), so each job
+// gets its own instances configured with that job's options
+function createExtractors(jobOptions) {
+  return {
+    extractor: new MediaExtractor(jobOptions),
+    browserExtractor: new BrowserMediaExtractor(jobOptions)
+  };
+}
+
+// Error messages can echo a request back (a URL, a header in an upstream error page)
+function redactErrors(errors, requestProfile) {
+  if (requestProfile) {
+    errors.forEach(entry => {
+      entry.error = requestProfile.redact(entry.error);
+    });
+  }
+}
+
 router.post('/extract', async (req, res) => {
   try {
-    const { url, filters = {} } = req.body;
+    const { url, filters = {}, crawl = {} } = req.body;
+    const crawlOptions = validateCrawlOptions(crawl);
+    const respectRobots = req.body.respectRobots === true;
 
     if (!url || !isValidUrl(url)) {
       return res.status(400).json({
@@ -37,6 +60,46 @@ router.post('/extract', async (req, res) => {
       });
     }
 
+    // Selectors, URL patterns, extensions and content types are checked before the job starts
+    try {
+      validateMediaFilters(filters);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid filters',
+        message: error.message
+      });
+    }
+
+    let dedupe;
+    try {
+      dedupe = validateDedupeOptions(req.body.dedupe);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid dedupe options',
+        message: error.message
+      });
+    }
+
+    let requestProfile;
+    try {
+      requestProfile = validateRequestProfile(req.body.requestProfile, url);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid request profile',
+        message: error.message
+      });
+    }
+
+    let proxy;
+    try {
+      proxy = validateProxyOptions(req.body.proxy);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid proxy',
+        message: error.message
+      });
+    }
+
     // Check active jobs limit
     if (activeJobs.size >= MAX_ACTIVE_JOBS) {
       return res.status(429).json({
@@ -50,27 +113,40 @@ router.post('/extract', async (req, res) => {
       status: 'extracting',
       startTime: Date.now(),
       url,
-      filters
+      filters,
+      crawl: crawlOptions,
+      respectRobots,
+      dedupe,
+      requestProfile,
+      proxy
     });
 
     res.json({ 
       jobId, 
       status: 'started',
-      message: 'Media extraction started',
-      estimatedTime: '10-30 seconds'
+      message: crawlOptions.enabled ? 'Site crawl started' : 'Media extraction started',
+      estimatedTime: crawlOptions.enabled ? '1-10 minutes' : '10-30 seconds'
     });
 
     try {
-      // Use browser extractor for better JavaScript-rendered content support
-      const results = await browserExtractor.extractMedia(url, filters, (progress) => {
+      const onProgress = (progress) => {
         const job = activeJobs.get(jobId);
         if (job) {
           job.progress = progress;
           job.lastUpdate = Date.now();
         }
-      });
+      };
+
+      const { extractor, browserExtractor } = createExtractors({ respectRobots, dedupe, requestProfile, proxy });
+
+      // Crawls follow same-origin links with the static extractor; single pages
+      // use the browser extractor for better JavaScript-rendered content support
+      const results = crawlOptions.enabled
+        ? await extractor.crawlMedia(url, filters, crawlOptions, onProgress)
+        : await browserExtractor.extractMedia(url, filters, onProgress);
 
       activeJobs.delete(jobId);
+      redactErrors(results.errors, requestProfile);
 
       // Enforce memory limit on completed jobs
       if (jobResults.size >= MAX_COMPLETED_JOBS) {
@@ -83,6 +159,10 @@ router.post('/extract', async (req, res) => {
       jobResults.set(jobId, {
         ...results,
         jobId,
+        respectRobots,
+        dedupe,
+        requestProfile,
+        proxy,
         status: 'completed',
         completedAt: new Date().toISOString()
       });
@@ -92,7 +172,7 @@ router.post('/extract', async (req, res) => {
       jobResults.set(jobId, {
         jobId,
         status: 'failed',
-        error: error.message,
+        error: requestProfile ? requestProfile.redact(error.message) : error.message,
         completedAt: new Date().toISOString()
       });
     }
@@ -190,11 +270,44 @@ router.get('/download/:id', (req, res) => {
   }
 });
 
-router.post('/download-bulk', async (req, res) => {
+router.get('/inline/:filename', (req, res) => {
   try {
-    const { jobId, mediaUrls } = req.body;
+    // Only content-hash filenames resolve, which also rules out path traversal
+    const filePath = getInlineFilePath(req.params.filename);
+
+    if (!filePath || !fs.existsSync(filePath)) {
+      return res.status(404).json({ error: 'Inline asset not found' });
+    }
+
+    // Serialized SVGs come from third-party pages, so never let them run scripts on this origin
+    res.set({
+      'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; img-src data:",
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.sendFile(filePath);
 
-    if (!jobId || !Array.isArray(mediaUrls) || mediaUrls.length === 0) {
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Inline asset failed',
+      message: error.message
+    });
+  }
+});
+
+router.post('/download-bulk', async (req, res) => {
+  try {
+    const { jobId } = req.body;
+    const extraction = jobResults.get(jobId);
+    const respectRobots = req.body.respectRobots === true || Boolean(extraction && extraction.respectRobots);
+    const dedupe = validateDedupeOptions(extraction && extraction.dedupe);
+
+    // Entries are plain URLs, or { url, rendition } to pick an HLS/DASH rendition
+    const mediaUrls = Array.isArray(req.body.mediaUrls)
+      ? req.body.mediaUrls.map(item => (typeof item === 'string' ? { url: item } : item))
+      : null;
+
+    if (!jobId || !mediaUrls || mediaUrls.length === 0 ||
+        mediaUrls.some(item => !item || typeof item.url !== 'string')) {
       return res.status(400).json({ 
         error: 'Invalid request',
         message: 'jobId and mediaUrls array are required'
@@ -208,6 +321,31 @@ router.post('/download-bulk', async (req, res) => {
       });
     }
 
+    // A profile sent with the download replaces the one the extraction used
+    let requestProfile = (extraction && extraction.requestProfile) || null;
+    if (req.body.requestProfile !== undefined) {
+      try {
+        requestProfile = validateRequestProfile(req.body.requestProfile, extraction && extraction.url);
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Invalid request profile',
+          message: error.message
+        });
+      }
+    }
+
+    let proxy = (extraction && extraction.proxy) || null;
+    if (req.body.proxy !== undefined) {
+      try {
+        proxy = validateProxyOptions(req.body.proxy);
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Invalid proxy',
+          message: error.message
+        });
+      }
+    }
+
     const downloadJobId = `bulk_${jobId}`;
     activeJobs.set(downloadJobId, { 
       status: 'downloading', 
@@ -224,8 +362,16 @@ router.post('/download-bulk', async (req, res) => {
     });
 
     try {
+      // Reuse what the extraction learned about each URL (stream renditions etc.)
+      const knownMedia = new Map(((extraction && extraction.media) || []).map(media => [media.url, media]));
+      const mediaList = mediaUrls.map(item => ({
+        ...knownMedia.get(item.url),
+        url: item.url,
+        rendition: item.rendition
+      }));
+
       const downloadResults = await downloadManager.downloadBulk(
-        mediaUrls.map(url => ({ url })), 
+        mediaList, 
         downloadJobId,
         (progress) => {
           const job = activeJobs.get(downloadJobId);
@@ -234,8 +380,10 @@ router.post('/download-bulk', async (req, res) => {
             job.completed = progress.completedCount || 0;
             job.lastUpdate = Date.now();
           }
-        }
+        },
+        { respectRobots, dedupe, requestProfile, proxy }
       );
+      redactErrors(downloadResults.failed, requestProfile);
 
       const zipInfo = await downloadManager.createZipArchive(downloadResults, downloadJobId);
 
@@ -252,7 +400,7 @@ router.post('/download-bulk', async (req, res) => {
       jobResults.set(downloadJobId, {
         downloadJobId,
         status: 'failed',
-        error: error.message,
+        error: requestProfile ? requestProfile.redact(error.message) : error.message,
         completedAt: new Date().toISOString()
       });
     }
@@ -361,6 +509,7 @@ router.get('/stats', (req, res) => {
     completedJobs: jobResults.size,
     totalMemoryUsage: process.memoryUsage(),
     uptime: process.uptime(),
+    hosts: getHostScheduler().getStats(),
     version: require('../../package.json').version
   };
 
@@ -0,0 +1,68 @@
+const { normalizeUrl, extractUrlsFromCss } = require('./utils');
+const { parseSrcset } = require('./responsive-images');
+
+const SRCSET_ATTRIBUTES = ['srcset', 'data-srcset', 'imagesrcset'];
+const URL_ATTRIBUTES = ['src', 'href', 'poster', 'data'];
+
+// Every URL an element's attributes point at: src-like and data-* URLs, srcset candidates and CSS url()s
+function getElementUrls(element, baseUrl) {
+  const urls = [];
+
+  Object.entries(element.attribs || {}).forEach(([name, value]) => {
+    if (!value || /^\s*data:/i.test(value)) {
+      return;
+    }
+    if (SRCSET_ATTRIBUTES.includes(name)) {
+      parseSrcset(value).forEach(candidate => urls.push(normalizeUrl(candidate.url, baseUrl)));
+    } else if (name === 'style') {
+      urls.push(...extractUrlsFromCss(value, baseUrl));
+    } else if ((URL_ATTRIBUTES.includes(name) || name.startsWith('data-')) && !/\s/.test(value.trim())) {
+      urls.push(normalizeUrl(value.trim(), baseUrl));
+    }
+  });
+
+  return urls.filter(Boolean);
+}
+
+// Builds the test for the includeSelectors/excludeSelectors filters, or returns null when
+// neither is set. With includeSelectors, a URL is kept only if an element inside a match uses it;
+// otherwise it is dropped only if it is used inside an excluded match and nowhere else on the page.
+// Media that isn't tied to an element (stylesheets, network requests, metadata) counts as outside.
+function getSelectorScope($, baseUrl, filters) {
+  const include = (filters.includeSelectors || []).join(', ');
+  const exclude = (filters.excludeSelectors || []).join(', ');
+  if (!include && !exclude) {
+    return null;
+  }
+
+  const included = new Set();
+  const excluded = new Set();
+
+  $('*').each((_, element) => {
+    const urls = getElementUrls(element, baseUrl);
+    if (urls.length === 0) {
+      return;
+    }
+
+    const $el = $(element);
+    if (exclude && $el.closest(exclude).length > 0) {
+      urls.forEach(url => excluded.add(url));
+    } else if (!include || $el.closest(include).length > 0) {
+      urls.forEach(url => included.add(url));
+    }
+  });
+
+  // Embeds are reported under their canonical URL, so the URL found on the page is checked too
+  return (url, embedUrl = null) => {
+    const urls = [url, embedUrl].filter(Boolean);
+    if (include) {
+      return urls.some(candidate => included.has(candidate));
+    }
+    return urls.some(candidate => included.has(candidate)) || !urls.some(candidate => excluded.has(candidate));
+  };
+}
+
+module.exports = {
+  getSelectorScope,
+  getElementUrls
+};
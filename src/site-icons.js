@@ -0,0 +1,126 @@
+const axios = require('axios');
+const { normalizeUrl, isSafeUrl, retryAsync } = require('./utils');
+const { getProfileHeaders } = require('./request-profile');
+const { getProxyAgents } = require('./proxy');
+const { getHostScheduler } = require('./host-scheduler');
+
+const MAX_MANIFEST_BYTES = 1024 * 1024;
+
+function extractIconLinks($, baseUrl) {
+  const icons = [];
+
+  const addIcon = (href, rel, sizes, purpose = null) => {
+    const url = href ? normalizeUrl(href.trim(), baseUrl) : null;
+    if (url && isSafeUrl(url)) {
+      icons.push({ url, rel, sizes: parseIconSizes(sizes), purpose });
+    }
+  };
+
+  // Covers rel="icon", "shortcut icon", "apple-touch-icon(-precomposed)" and "mask-icon"
+  $('link[rel][href]').each((_, element) => {
+    const $link = $(element);
+    const rels = ($link.attr('rel') || '').toLowerCase().split(/\s+/);
+    const rel = rels.find(token => token === 'icon' || token === 'mask-icon' || token.startsWith('apple-touch-icon'));
+
+    if (rel) {
+      addIcon($link.attr('href'), rel, $link.attr('sizes'));
+    }
+  });
+
+  $('meta[name]').each((_, element) => {
+    const $meta = $(element);
+    if (($meta.attr('name') || '').toLowerCase() === 'msapplication-tileimage') {
+      addIcon($meta.attr('content'), 'msapplication-TileImage');
+    }
+  });
+
+  const manifestHref = $('link[rel~="manifest"][href]').first().attr('href');
+  const manifestUrl = manifestHref ? normalizeUrl(manifestHref.trim(), baseUrl) : null;
+
+  return {
+    icons,
+    manifestUrl: manifestUrl && isSafeUrl(manifestUrl) ? manifestUrl : null
+  };
+}
+
+function parseWebManifest(manifest, manifestUrl) {
+  const data = typeof manifest === 'string' ? JSON.parse(manifest) : manifest;
+  const icons = [];
+
+  // Icons are listed at the top level and again for each app shortcut
+  const iconLists = [data && data.icons]
+    .concat((data && Array.isArray(data.shortcuts) ? data.shortcuts : []).map(shortcut => shortcut && shortcut.icons));
+
+  iconLists.forEach(list => {
+    (Array.isArray(list) ? list : []).forEach(icon => {
+      const url = icon && typeof icon.src === 'string' ? normalizeUrl(icon.src.trim(), manifestUrl) : null;
+      if (url && isSafeUrl(url)) {
+        icons.push({
+          url,
+          rel: 'manifest',
+          sizes: parseIconSizes(icon.sizes),
+          purpose: icon.purpose || null
+        });
+      }
+    });
+  });
+
+  return icons;
+}
+
+async function fetchWebManifest(manifestUrl, options = {}) {
+  return retryAsync(
+    async () => {
+      const response = await getHostScheduler().run(manifestUrl, () => axios.get(manifestUrl, {
+        timeout: options.timeout || 10000,
+        ...getProxyAgents(options.proxy, manifestUrl),
+        maxRedirects: 5,
+        responseType: 'text',
+        maxContentLength: MAX_MANIFEST_BYTES,
+        headers: {
+          'User-Agent': options.userAgent,
+          'Accept': 'application/manifest+json,application/json;q=0.9,*/*;q=0.8',
+          ...getProfileHeaders(options.requestProfile, manifestUrl)
+        }
+      }));
+
+      return parseWebManifest(response.data, manifestUrl);
+    },
+    {
+      maxRetries: 2,
+      retryDelay: 500
+    }
+  );
+}
+
+function parseIconSizes(value) {
+  return (typeof value === 'string' ? value : '')
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(size => size === 'any' || /^\d+x\d+$/.test(size));
+}
+
+function getLargestIconSize(sizes) {
+  let largest = null;
+
+  (sizes || []).forEach(size => {
+    const match = size.match(/^(\d+)x(\d+)$/);
+    if (!match) return;
+
+    const width = parseInt(match[1]);
+    const height = parseInt(match[2]);
+    if (!largest || width * height > largest.width * largest.height) {
+      largest = { width, height };
+    }
+  });
+
+  return largest;
+}
+
+module.exports = {
+  extractIconLinks,
+  parseWebManifest,
+  fetchWebManifest,
+  parseIconSizes,
+  getLargestIconSize
+};
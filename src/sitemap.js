@@ -0,0 +1,201 @@
+const axios = require('axios');
+const zlib = require('zlib');
+const cheerio = require('cheerio');
+const { parseRobotsTxt, fetchRobotsTxt, getRobotsPolicy } = require('./robots');
+const { isSafeUrl, isSameSite, normalizeUrl, retryAsync } = require('./utils');
+const { getProfileHeaders } = require('./request-profile');
+const { getProxyAgents } = require('./proxy');
+const { getHostScheduler } = require('./host-scheduler');
+
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024; // Sitemap protocol limit (uncompressed)
+
+class SitemapDiscovery {
+  constructor(options = {}) {
+    this.timeout = options.timeout || parseInt(process.env.DOWNLOAD_TIMEOUT) || 30000;
+    this.userAgent = options.userAgent || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+    this.maxSitemaps = options.maxSitemaps || 25;
+    this.maxUrls = options.maxUrls || 5000;
+    this.respectRobots = options.respectRobots === true;
+    this.requestProfile = options.requestProfile || null;
+    this.proxy = options.proxy || null;
+  }
+
+  async discover(siteUrl, progressCallback = null) {
+    const origin = new URL(siteUrl).origin;
+    const discovery = {
+      sitemaps: [],
+      pages: [],
+      media: [],
+      errors: []
+    };
+
+    if (progressCallback) progressCallback('Reading robots.txt...');
+
+    let sitemapUrls = [];
+    try {
+      const robots = parseRobotsTxt(await fetchRobotsTxt(origin, { timeout: this.timeout / 2, userAgent: this.userAgent, proxy: this.proxy }));
+      sitemapUrls = robots.sitemaps
+        .map(sitemapUrl => normalizeUrl(sitemapUrl, origin))
+        .filter(Boolean);
+    } catch (error) {
+      discovery.errors.push({ url: `${origin}/robots.txt`, error: error.message });
+    }
+
+    // Fall back to the conventional location when robots.txt lists nothing
+    if (sitemapUrls.length === 0) {
+      sitemapUrls.push(`${origin}/sitemap.xml`);
+    }
+
+    const queue = [...new Set(sitemapUrls)];
+    const visited = new Set();
+    const pages = new Set();
+    const media = new Map();
+
+    while (queue.length > 0 && visited.size < this.maxSitemaps && pages.size < this.maxUrls) {
+      const sitemapUrl = queue.shift();
+      if (visited.has(sitemapUrl) || !isSafeUrl(sitemapUrl)) {
+        continue;
+      }
+      visited.add(sitemapUrl);
+
+      if (progressCallback) progressCallback(`Reading sitemap ${visited.size}: ${sitemapUrl}`);
+
+      try {
+        const xml = await this.fetchSitemap(sitemapUrl);
+        const parsed = this.parseSitemap(xml, sitemapUrl);
+
+        discovery.sitemaps.push(sitemapUrl);
+        parsed.sitemaps.forEach(childUrl => {
+          if (!visited.has(childUrl)) {
+            queue.push(childUrl);
+          }
+        });
+
+        parsed.pages.forEach(pageUrl => {
+          // The sitemap protocol only allows URLs from the site's own host
+          if (pages.size < this.maxUrls && isSameSite(pageUrl, origin)) {
+            pages.add(pageUrl);
+          }
+        });
+
+        parsed.media.forEach(item => {
+          if (!media.has(item.url) && media.size < this.maxUrls) {
+            media.set(item.url, item);
+          }
+        });
+      } catch (error) {
+        discovery.errors.push({ url: sitemapUrl, error: error.message });
+      }
+    }
+
+    discovery.pages = Array.from(pages);
+    discovery.media = Array.from(media.values());
+
+    return discovery;
+  }
+
+  async fetchSitemap(sitemapUrl) {
+    if (this.respectRobots) {
+      await getRobotsPolicy().check(sitemapUrl, { proxy: this.proxy });
+    }
+
+    return retryAsync(
+      async () => {
+        if (this.respectRobots) {
+          await getRobotsPolicy().throttle(sitemapUrl, { proxy: this.proxy });
+        }
+
+        const response = await getHostScheduler().run(sitemapUrl, () => axios.get(sitemapUrl, {
+          timeout: this.timeout,
+          maxRedirects: 5,
+          responseType: 'arraybuffer',
+          maxContentLength: MAX_SITEMAP_BYTES,
+          ...getProxyAgents(this.proxy, sitemapUrl),
+          headers: {
+            'User-Agent': this.userAgent,
+            'Accept': 'application/xml,text/xml,application/x-gzip;q=0.9,*/*;q=0.8',
+            ...getProfileHeaders(this.requestProfile, sitemapUrl)
+          }
+        }));
+
+        let buffer = Buffer.from(response.data);
+
+        // .xml.gz files are served as gzip payloads rather than gzip-encoded responses
+        if (buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+          buffer = zlib.gunzipSync(buffer, { maxOutputLength: MAX_SITEMAP_BYTES });
+        }
+
+        return buffer.toString('utf8');
+      },
+      {
+        maxRetries: 2,
+        retryDelay: 500
+      }
+    );
+  }
+
+  parseSitemap(xml, sitemapUrl) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const parsed = {
+      sitemaps: [],
+      pages: [],
+      media: []
+    };
+
+    const resolve = (value) => {
+      const resolved = value ? normalizeUrl(value.trim(), sitemapUrl) : null;
+      return resolved && isSafeUrl(resolved) ? resolved : null;
+    };
+
+    findByLocalName($, $.root(), 'sitemap').forEach(element => {
+      const loc = resolve(childText($, element, 'loc'));
+      if (loc) parsed.sitemaps.push(loc);
+    });
+
+    findByLocalName($, $.root(), 'url').forEach(element => {
+      const pageUrl = resolve(childText($, element, 'loc'));
+      if (!pageUrl) return;
+
+      parsed.pages.push(pageUrl);
+
+      findByLocalName($, element, 'image').forEach(image => {
+        const imageUrl = resolve(childText($, image, 'loc'));
+        if (imageUrl) {
+          parsed.media.push({ url: imageUrl, type: 'image', foundOn: pageUrl });
+        }
+      });
+
+      findByLocalName($, element, 'video').forEach(video => {
+        const contentUrl = resolve(childText($, video, 'content_loc'));
+        const thumbnailUrl = resolve(childText($, video, 'thumbnail_loc'));
+
+        if (contentUrl) {
+          parsed.media.push({ url: contentUrl, type: 'video', foundOn: pageUrl });
+        }
+        if (thumbnailUrl) {
+          parsed.media.push({ url: thumbnailUrl, type: 'image', foundOn: pageUrl });
+        }
+      });
+    });
+
+    return parsed;
+  }
+}
+
+// Sitemap extensions are namespaced (image:image, video:content_loc), and the
+// prefix a site uses is not guaranteed, so elements are matched by local name
+function findByLocalName($, context, localName) {
+  return $(context).find('*').toArray().filter(element => getLocalName(element) === localName);
+}
+
+function childText($, element, localName) {
+  const child = $(element).children().toArray().find(node => getLocalName(node) === localName);
+  return child ? $(child).text() : null;
+}
+
+function getLocalName(element) {
+  const name = (element.name || '').toLowerCase();
+  return name.includes(':') ? name.split(':').pop() : name;
+}
+
+module.exports = SitemapDiscovery;
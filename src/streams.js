@@ -0,0 +1,391 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { normalizeUrl, isSafeUrl, retryAsync } = require('./utils');
+const { getProfileHeaders } = require('./request-profile');
+const { getProxyAgents } = require('./proxy');
+const { getHostScheduler } = require('./host-scheduler');
+
+const MAX_MANIFEST_BYTES = 5 * 1024 * 1024;
+const MAX_SEGMENTS = 20000;
+
+function parseAttributeList(text) {
+  const attributes = {};
+  const attrRegex = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+  let match;
+
+  while ((match = attrRegex.exec(text)) !== null) {
+    attributes[match[1]] = match[2].replace(/^"|"$/g, '');
+  }
+
+  return attributes;
+}
+
+function parseResolution(value) {
+  const match = /^(\d+)x(\d+)$/.exec(value || '');
+  return match ? { width: parseInt(match[1]), height: parseInt(match[2]) } : { width: null, height: null };
+}
+
+function parseHlsPlaylist(text, playlistUrl) {
+  const lines = (text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+  if (lines[0] !== '#EXTM3U') {
+    throw new Error('Invalid HLS playlist: missing #EXTM3U header');
+  }
+
+  const renditions = [];
+  const segments = [];
+  let initSegment = null;
+  let encrypted = false;
+  let live = true;
+  let pendingVariant = null;
+
+  lines.forEach(line => {
+    if (line.startsWith('#EXT-X-STREAM-INF:')) {
+      pendingVariant = parseAttributeList(line.substring('#EXT-X-STREAM-INF:'.length));
+    } else if (line.startsWith('#EXT-X-MAP:')) {
+      const attributes = parseAttributeList(line.substring('#EXT-X-MAP:'.length));
+      initSegment = attributes.URI ? normalizeUrl(attributes.URI, playlistUrl) : null;
+    } else if (line.startsWith('#EXT-X-KEY:')) {
+      const attributes = parseAttributeList(line.substring('#EXT-X-KEY:'.length));
+      encrypted = encrypted || (attributes.METHOD && attributes.METHOD !== 'NONE');
+    } else if (line === '#EXT-X-ENDLIST' || line.startsWith('#EXT-X-PLAYLIST-TYPE:VOD')) {
+      live = false;
+    } else if (!line.startsWith('#')) {
+      const resolved = normalizeUrl(line, playlistUrl);
+      if (!resolved) return;
+
+      if (pendingVariant) {
+        renditions.push({
+          url: resolved,
+          bandwidth: parseInt(pendingVariant.BANDWIDTH) || null,
+          ...parseResolution(pendingVariant.RESOLUTION),
+          codecs: pendingVariant.CODECS || null
+        });
+        pendingVariant = null;
+      } else {
+        segments.push(resolved);
+      }
+    }
+  });
+
+  if (renditions.length > 0) {
+    return { kind: 'master', renditions };
+  }
+
+  return { kind: 'media', segments, initSegment, encrypted, live };
+}
+
+function parseIsoDuration(value) {
+  const match = /^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(value || '');
+  if (!match) return null;
+
+  const [, days, hours, minutes, seconds] = match.map(part => parseFloat(part) || 0);
+  return days * 86400 + hours * 3600 + minutes * 60 + seconds;
+}
+
+function fillSegmentTemplate(template, values) {
+  return template.replace(/\$(RepresentationID|Number|Bandwidth|Time)(?:%0(\d+)d)?\$/g, (_, name, width) => {
+    const value = String(values[name]);
+    return width ? value.padStart(parseInt(width), '0') : value;
+  }).replace(/\$\$/g, '$');
+}
+
+function parseDashManifest(xml, manifestUrl) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const $mpd = $('MPD').first();
+
+  if ($mpd.length === 0) {
+    throw new Error('Invalid DASH manifest: missing <MPD> element');
+  }
+
+  const live = $mpd.attr('type') === 'dynamic';
+  const presentationDuration = parseIsoDuration($mpd.attr('mediaPresentationDuration'));
+  const renditions = [];
+
+  // BaseURL elements can appear on every level and resolve against their parent
+  const resolveBase = ($element, baseUrl) => {
+    const base = $element.children('BaseURL').first().text().trim();
+    return base ? normalizeUrl(base, baseUrl) : baseUrl;
+  };
+
+  const mpdBase = resolveBase($mpd, manifestUrl);
+
+  $mpd.children('Period').first().each((_, period) => {
+    const $period = $(period);
+    const periodBase = resolveBase($period, mpdBase);
+    const periodDuration = parseIsoDuration($period.attr('duration')) || presentationDuration;
+
+    $period.children('AdaptationSet').each((_, adaptationSet) => {
+      const $set = $(adaptationSet);
+      const setBase = resolveBase($set, periodBase);
+
+      $set.children('Representation').each((_, representation) => {
+        const $rep = $(representation);
+        const mimeType = $rep.attr('mimeType') || $set.attr('mimeType') || '';
+        const contentType = $set.attr('contentType') || mimeType.split('/')[0];
+
+        // Only video renditions are offered; separate audio tracks are out of scope
+        if (contentType && contentType !== 'video') return;
+
+        const repBase = resolveBase($rep, setBase);
+        const template = $rep.children('SegmentTemplate').first().length
+          ? $rep.children('SegmentTemplate').first()
+          : $set.children('SegmentTemplate').first();
+        const values = {
+          RepresentationID: $rep.attr('id'),
+          Bandwidth: $rep.attr('bandwidth')
+        };
+
+        let initSegment = null;
+        let segments = [];
+
+        if (template.length) {
+          const timescale = parseInt(template.attr('timescale')) || 1;
+          const startNumber = parseInt(template.attr('startNumber') || '1');
+          const media = template.attr('media');
+          const initialization = template.attr('initialization');
+
+          if (initialization) {
+            initSegment = normalizeUrl(fillSegmentTemplate(initialization, values), repBase);
+          }
+
+          const timeline = template.children('SegmentTimeline').children('S');
+          if (timeline.length && media) {
+            const presentationTimeOffset = parseInt(template.attr('presentationTimeOffset') || '0');
+            let time = 0;
+            let number = startNumber;
+
+            timeline.each((index, s) => {
+              const $s = $(s);
+              const duration = parseInt($s.attr('d'));
+              let repeat = parseInt($s.attr('r') || '0');
+              if ($s.attr('t') !== undefined) time = parseInt($s.attr('t'));
+
+              // A negative repeat runs until the next S@t or the end of the period;
+              // live manifests are rejected by resolve, so they are left alone here
+              if (repeat < 0 && !live) {
+                const nextTime = timeline.eq(index + 1).attr('t');
+                let end = null;
+                if (nextTime !== undefined) {
+                  end = parseInt(nextTime);
+                } else if (periodDuration) {
+                  end = presentationTimeOffset + periodDuration * timescale;
+                }
+                if (end === null || !(duration > 0)) {
+                  throw new Error('Unsupported DASH segment timeline: open-ended repeat without a known end');
+                }
+                repeat = Math.max(Math.ceil((end - time) / duration), 1) - 1;
+              }
+
+              // One past the cap is enough for getSegments to reject the stream
+              for (let i = 0; i <= repeat && segments.length <= MAX_SEGMENTS; i++) {
+                segments.push(normalizeUrl(fillSegmentTemplate(media, { ...values, Number: number, Time: time }), repBase));
+                time += duration;
+                number++;
+              }
+            });
+          } else if (media && template.attr('duration') && periodDuration) {
+            const segmentDuration = parseInt(template.attr('duration')) / timescale;
+            const count = Math.min(Math.ceil(periodDuration / segmentDuration), MAX_SEGMENTS + 1);
+
+            for (let i = 0; i < count; i++) {
+              segments.push(normalizeUrl(fillSegmentTemplate(media, { ...values, Number: startNumber + i, Time: '' }), repBase));
+            }
+          }
+        } else if ($rep.children('SegmentList').length) {
+          const $list = $rep.children('SegmentList').first();
+          const initialization = $list.children('Initialization').attr('sourceURL');
+          initSegment = initialization ? normalizeUrl(initialization, repBase) : null;
+          segments = $list.children('SegmentURL').toArray()
+            .map(segment => $(segment).attr('media'))
+            .filter(Boolean)
+            .map(media => normalizeUrl(media, repBase));
+        } else if (repBase !== setBase) {
+          // A single-file representation addressed by its own BaseURL
+          segments = [repBase];
+        }
+
+        renditions.push({
+          id: $rep.attr('id') || null,
+          bandwidth: parseInt($rep.attr('bandwidth')) || null,
+          width: parseInt($rep.attr('width') || $set.attr('width')) || null,
+          height: parseInt($rep.attr('height') || $set.attr('height')) || null,
+          codecs: $rep.attr('codecs') || $set.attr('codecs') || null,
+          mimeType: mimeType || null,
+          initSegment,
+          segments: segments.filter(Boolean)
+        });
+      });
+    });
+  });
+
+  return { live, renditions };
+}
+
+function getStreamProtocol(urlString, contentType = '') {
+  const type = contentType.toLowerCase();
+  let pathname = '';
+  try {
+    pathname = new URL(urlString).pathname.toLowerCase();
+  } catch {
+    return null;
+  }
+
+  if (pathname.endsWith('.m3u8') || type.includes('mpegurl')) return 'hls';
+  if (pathname.endsWith('.mpd') || type.includes('dash+xml')) return 'dash';
+  return null;
+}
+
+function summarizeRendition(rendition, index) {
+  return {
+    index,
+    width: rendition.width,
+    height: rendition.height,
+    bandwidth: rendition.bandwidth,
+    codecs: rendition.codecs
+  };
+}
+
+class StreamManifestResolver {
+  constructor(options = {}) {
+    this.timeout = options.timeout || parseInt(process.env.DOWNLOAD_TIMEOUT) || 30000;
+    this.userAgent = options.userAgent || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+    this.requestProfile = options.requestProfile || null;
+    this.proxy = options.proxy || null;
+  }
+
+  async fetchManifest(url) {
+    return retryAsync(
+      async () => {
+        const response = await getHostScheduler().run(url, () => axios.get(url, {
+          timeout: this.timeout,
+          maxRedirects: 5,
+          responseType: 'text',
+          maxContentLength: MAX_MANIFEST_BYTES,
+          ...getProxyAgents(this.proxy, url),
+          headers: { 'User-Agent': this.userAgent, ...getProfileHeaders(this.requestProfile, url) }
+        }));
+
+        return {
+          text: response.data,
+          url: (response.request && response.request.res && response.request.res.responseUrl) || url,
+          contentType: response.headers['content-type'] || ''
+        };
+      },
+      {
+        maxRetries: 2,
+        retryDelay: 500
+      }
+    );
+  }
+
+  // Returns the protocol and the renditions a manifest offers, best quality first
+  async resolve(url) {
+    const manifest = await this.fetchManifest(url);
+    const protocol = getStreamProtocol(manifest.url, manifest.contentType) || getStreamProtocol(url);
+
+    if (protocol === 'hls') {
+      const playlist = parseHlsPlaylist(manifest.text, manifest.url);
+
+      if (playlist.kind === 'media') {
+        // A media playlist is a single rendition of unknown resolution
+        return {
+          protocol,
+          renditions: [{ url: manifest.url, bandwidth: null, width: null, height: null, codecs: null }]
+        };
+      }
+
+      return { protocol, renditions: sortRenditions(playlist.renditions) };
+    }
+
+    if (protocol === 'dash') {
+      const dash = parseDashManifest(manifest.text, manifest.url);
+      if (dash.live) {
+        throw new Error('Live DASH streams are not supported');
+      }
+      return { protocol, renditions: sortRenditions(dash.renditions) };
+    }
+
+    throw new Error('Unrecognised stream manifest');
+  }
+
+  // Resolves the full list of segment URLs for one rendition
+  async getSegments(url, renditionIndex = 0) {
+    const { protocol, renditions } = await this.resolve(url);
+    const index = Math.min(Math.max(parseInt(renditionIndex) || 0, 0), renditions.length - 1);
+    const rendition = renditions[index];
+
+    if (!rendition) {
+      throw new Error('Stream manifest has no video renditions');
+    }
+
+    if (protocol === 'dash') {
+      if (rendition.segments.length === 0) {
+        throw new Error('Unsupported DASH segment addressing');
+      }
+
+      return checkSegments({
+        protocol,
+        rendition: summarizeRendition(rendition, index),
+        initSegment: rendition.initSegment,
+        segments: rendition.segments,
+        extension: (rendition.mimeType || '').includes('webm') ? '.webm' : '.mp4'
+      });
+    }
+
+    if (!isSafeUrl(rendition.url)) {
+      throw new Error('Stream manifest points at a private or invalid address');
+    }
+    const manifest = await this.fetchManifest(rendition.url);
+    const playlist = parseHlsPlaylist(manifest.text, manifest.url);
+
+    if (playlist.kind !== 'media') {
+      throw new Error('Nested HLS master playlists are not supported');
+    }
+    if (playlist.encrypted) {
+      throw new Error('Encrypted HLS streams are not supported');
+    }
+    if (playlist.live) {
+      throw new Error('Live HLS streams are not supported');
+    }
+    if (playlist.segments.length === 0) {
+      throw new Error('HLS playlist has no segments');
+    }
+
+    return checkSegments({
+      protocol,
+      rendition: summarizeRendition(rendition, index),
+      initSegment: playlist.initSegment,
+      segments: playlist.segments,
+      // fMP4 playlists declare an init segment; classic HLS uses MPEG-TS
+      extension: playlist.initSegment ? '.mp4' : '.ts'
+    });
+  }
+}
+
+// Segment URLs come from the manifest, which the page controls, so they get the same
+// checks as the job's own URL. A stream is never silently cut short.
+function checkSegments(stream) {
+  if (stream.segments.length > MAX_SEGMENTS) {
+    throw new Error(`Stream has more than ${MAX_SEGMENTS} segments`);
+  }
+  const parts = stream.initSegment ? [stream.initSegment, ...stream.segments] : stream.segments;
+  if (!parts.every(part => part && isSafeUrl(part))) {
+    throw new Error('Stream manifest points at a private or invalid address');
+  }
+  return stream;
+}
+
+function sortRenditions(renditions) {
+  return [...renditions].sort((a, b) =>
+    ((b.height || 0) - (a.height || 0)) || ((b.bandwidth || 0) - (a.bandwidth || 0))
+  );
+}
+
+module.exports = {
+  StreamManifestResolver,
+  parseHlsPlaylist,
+  parseDashManifest,
+  getStreamProtocol,
+  summarizeRendition
+};
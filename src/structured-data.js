@@ -0,0 +1,205 @@
+const { normalizeUrl, isSafeUrl, isVideoType } = require('./utils');
+const { detectEmbed } = require('./embeds');
+
+// Media declared through Open Graph, Twitter Cards or schema.org JSON-LD
+const STRUCTURED_MEDIA_TAG = 'social/structured';
+
+const OG_MEDIA_PROPERTIES = {
+  'og:image': 'image',
+  'og:video': 'video'
+};
+
+function extractStructuredMedia($, baseUrl) {
+  const found = new Map();
+
+  const addItem = (item) => {
+    const url = item.url ? normalizeUrl(String(item.url).trim(), baseUrl) : null;
+    // Player pages (og:video pointing at YouTube etc.) are reported as embeds instead
+    if (!url || !isSafeUrl(url) || found.has(url) || detectEmbed(url)) {
+      return;
+    }
+
+    found.set(url, {
+      url,
+      type: item.type,
+      width: parseDimension(item.width),
+      height: parseDimension(item.height),
+      source: item.source
+    });
+  };
+
+  extractOpenGraphMedia($).forEach(addItem);
+  extractTwitterCardMedia($).forEach(addItem);
+  extractJsonLdMedia($).forEach(addItem);
+
+  return Array.from(found.values());
+}
+
+function getMetaTags($) {
+  return $('meta').toArray()
+    .map(element => ({
+      key: ($(element).attr('property') || $(element).attr('name') || '').trim().toLowerCase(),
+      content: ($(element).attr('content') || '').trim()
+    }))
+    .filter(meta => meta.key && meta.content);
+}
+
+function extractOpenGraphMedia($) {
+  const items = [];
+  let current = null;
+
+  // Structured properties (og:image:width etc.) describe the og:image that precedes them
+  getMetaTags($).forEach(({ key, content }) => {
+    const [prefix, name, property] = key.split(':');
+    const type = OG_MEDIA_PROPERTIES[`${prefix}:${name}`];
+    if (!type) {
+      return;
+    }
+
+    if (!property) {
+      current = { type, url: content, source: 'open-graph' };
+      items.push(current);
+      return;
+    }
+
+    if (!current || current.type !== type) {
+      current = { type, source: 'open-graph' };
+      items.push(current);
+    }
+
+    switch (property) {
+      case 'url':
+        current.url = current.url || content;
+        break;
+      case 'secure_url':
+        current.secureUrl = content;
+        break;
+      case 'width':
+      case 'height':
+        current[property] = content;
+        break;
+      case 'type':
+        current.mimeType = content.toLowerCase();
+        break;
+      default:
+        break;
+    }
+  });
+
+  return items
+    // og:video often points at an HTML player page rather than a file
+    .filter(item => item.mimeType !== 'text/html' && item.mimeType !== 'application/x-shockwave-flash')
+    .map(item => ({ ...item, url: item.secureUrl || item.url }));
+}
+
+function extractTwitterCardMedia($) {
+  const items = [];
+  const meta = new Map();
+
+  getMetaTags($).forEach(({ key, content }) => {
+    if (key === 'twitter:image' || key === 'twitter:image:src') {
+      items.push({ type: 'image', url: content, source: 'twitter-card' });
+    } else if (!meta.has(key)) {
+      meta.set(key, content);
+    }
+  });
+
+  // twitter:player is an HTML page for an iframe; only a direct stream or video URL is downloadable
+  const playerUrl = meta.get('twitter:player:stream') ||
+    (isVideoType(meta.get('twitter:player') || '') ? meta.get('twitter:player') : null);
+
+  if (playerUrl) {
+    items.push({
+      type: 'video',
+      url: playerUrl,
+      width: meta.get('twitter:player:width'),
+      height: meta.get('twitter:player:height'),
+      source: 'twitter-card'
+    });
+  }
+
+  return items;
+}
+
+function extractJsonLdMedia($) {
+  const items = [];
+
+  $('script[type="application/ld+json"]').each((_, element) => {
+    let data;
+    try {
+      data = JSON.parse($(element).contents().text());
+    } catch {
+      // Invalid JSON-LD is common enough that it shouldn't stop extraction
+      return;
+    }
+
+    walkJsonLd(data, items, 0);
+  });
+
+  return items;
+}
+
+function walkJsonLd(node, items, depth) {
+  if (!node || typeof node !== 'object' || depth > 20) {
+    return;
+  }
+
+  if (Array.isArray(node)) {
+    node.forEach(child => walkJsonLd(child, items, depth + 1));
+    return;
+  }
+
+  const types = [].concat(node['@type'] || []).map(type => String(type).toLowerCase());
+
+  if (types.includes('imageobject')) {
+    items.push({
+      type: 'image',
+      url: firstUrl(node.contentUrl) || firstUrl(node.url),
+      width: node.width,
+      height: node.height,
+      source: 'json-ld'
+    });
+  }
+
+  if (types.includes('videoobject')) {
+    items.push({
+      type: 'video',
+      url: firstUrl(node.contentUrl),
+      width: node.width,
+      height: node.height,
+      source: 'json-ld'
+    });
+
+    [].concat(node.thumbnailUrl || []).forEach(thumbnailUrl => {
+      items.push({ type: 'image', url: firstUrl(thumbnailUrl), source: 'json-ld' });
+    });
+  }
+
+  Object.keys(node).forEach(key => {
+    if (typeof node[key] === 'object') {
+      walkJsonLd(node[key], items, depth + 1);
+    }
+  });
+}
+
+function firstUrl(value) {
+  if (Array.isArray(value)) {
+    return firstUrl(value[0]);
+  }
+  if (value && typeof value === 'object') {
+    return firstUrl(value['@id'] || value.url);
+  }
+  return typeof value === 'string' ? value : null;
+}
+
+function parseDimension(value) {
+  // schema.org allows QuantitativeValue objects as well as plain numbers
+  const raw = value && typeof value === 'object' ? value.value : value;
+  const parsed = parseInt(raw);
+  return parsed > 0 ? parsed : null;
+}
+
+module.exports = {
+  STRUCTURED_MEDIA_TAG,
+  extractStructuredMedia
+};
@@ -2,10 +2,31 @@ const url = require('url');
 const path = require('path');
 const crypto = require('crypto');
 const mime = require('mime-types');
+const cheerio = require('cheerio');
 
 const SUPPORTED_IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg', '.bmp', '.ico', '.tiff'];
 const SUPPORTED_VIDEO_EXTENSIONS = ['.mp4', '.webm', '.avi', '.mov', '.mkv', '.wmv', '.flv', '.m4v', '.3gp'];
-const SUPPORTED_EXTENSIONS = [...SUPPORTED_IMAGE_EXTENSIONS, ...SUPPORTED_VIDEO_EXTENSIONS];
+const SUPPORTED_AUDIO_EXTENSIONS = ['.mp3', '.ogg', '.oga', '.wav', '.flac', '.m4a', '.aac', '.opus'];
+const SUPPORTED_STREAM_EXTENSIONS = ['.m3u8', '.mpd'];
+// Fonts are opt-in, so they stay out of SUPPORTED_EXTENSIONS and the generic URL scans
+const SUPPORTED_FONT_EXTENSIONS = ['.woff', '.woff2', '.ttf', '.otf', '.eot'];
+const SUPPORTED_EXTENSIONS = [...SUPPORTED_IMAGE_EXTENSIONS, ...SUPPORTED_VIDEO_EXTENSIONS, ...SUPPORTED_AUDIO_EXTENSIONS, ...SUPPORTED_STREAM_EXTENSIONS];
+const MEDIA_TYPE_FOLDERS = {
+  image: 'images',
+  video: 'videos',
+  audio: 'audio',
+  icon: 'icons',
+  font: 'fonts'
+};
+const CRAWLABLE_PAGE_EXTENSIONS = ['.html', '.htm', '.xhtml', '.php', '.asp', '.aspx', '.jsp', '.cfm'];
+const VARIANT_SELECTIONS = ['largest', 'smallest', 'all'];
+const MAX_CRAWL_DEPTH = 5;
+const MAX_CRAWL_PAGES = 200;
+// User-supplied regexes run against every URL, so how many and how long they can be is capped
+const MAX_FILTER_RULES = 20;
+const MAX_FILTER_RULE_LENGTH = 200;
+// "." and "?" are ordinary URL characters, so they are allowed in URL patterns
+const URL_PATTERN_REGEX_SYNTAX = /[\\^$|()[\]{}+]/;
 
 function isValidUrl(urlString) {
   try {
@@ -121,6 +142,11 @@ function getFileExtension(urlString) {
 }
 
 function isSupportedMediaType(urlString) {
+  // data: URIs are decoded by inline-media rather than fetched
+  if (/^\s*data:/i.test(urlString)) {
+    return false;
+  }
+
   const ext = getFileExtension(urlString);
   if (ext && SUPPORTED_EXTENSIONS.includes(ext)) {
     return true;
@@ -129,9 +155,9 @@ function isSupportedMediaType(urlString) {
   // Also check for URLs that might be media files without extensions
   // or with query parameters that obscure the extension
   const mediaPatterns = [
-    /\.(jpg|jpeg|png|gif|webp|svg|bmp|ico|tiff|mp4|webm|avi|mov|mkv|wmv|flv|m4v|3gp)/i,
+    /\.(jpg|jpeg|png|gif|webp|svg|bmp|ico|tiff|mp4|webm|avi|mov|mkv|wmv|flv|m4v|3gp|m3u8|mpd|mp3|ogg|oga|wav|flac|m4a|aac|opus)/i,
     /(image|img|photo|picture|video|media|thumb|thumbnail|gallery)/i,
-    /\/storage.*\.(jpg|jpeg|png|gif|webp|svg|bmp|ico|tiff|mp4|webm|avi|mov|mkv|wmv|flv|m4v|3gp)/i
+    /\/storage.*\.(jpg|jpeg|png|gif|webp|svg|bmp|ico|tiff|mp4|webm|avi|mov|mkv|wmv|flv|m4v|3gp|mp3|ogg|oga|wav|flac|m4a|aac|opus)/i
   ];
   
   return mediaPatterns.some(pattern => pattern.test(urlString));
@@ -144,7 +170,34 @@ function isImageType(urlString) {
 
 function isVideoType(urlString) {
   const ext = getFileExtension(urlString);
-  return ext && SUPPORTED_VIDEO_EXTENSIONS.includes(ext);
+  return ext && (SUPPORTED_VIDEO_EXTENSIONS.includes(ext) || SUPPORTED_STREAM_EXTENSIONS.includes(ext));
+}
+
+function isStreamManifest(urlString) {
+  const ext = getFileExtension(urlString);
+  return Boolean(ext && SUPPORTED_STREAM_EXTENSIONS.includes(ext));
+}
+
+function isAudioType(urlString) {
+  const ext = getFileExtension(urlString);
+  return ext && SUPPORTED_AUDIO_EXTENSIONS.includes(ext);
+}
+
+function isFontType(urlString) {
+  const ext = getFileExtension(urlString);
+  return Boolean(ext && SUPPORTED_FONT_EXTENSIONS.includes(ext));
+}
+
+function getMediaType(urlString) {
+  if (isImageType(urlString)) return 'image';
+  if (isVideoType(urlString)) return 'video';
+  if (isAudioType(urlString)) return 'audio';
+  if (isFontType(urlString)) return 'font';
+  return null;
+}
+
+function getMediaFolder(type) {
+  return MEDIA_TYPE_FOLDERS[type] || `${type}s`;
 }
 
 function sanitizeFilename(filename) {
@@ -155,12 +208,19 @@ function sanitizeFilename(filename) {
     .substring(0, 255);
 }
 
-function generateUniqueFilename(originalUrl, existingFiles = []) {
+function generateUniqueFilename(originalUrl, existingFiles = [], extension = null) {
   try {
     const urlObj = new URL(originalUrl);
     let filename = path.basename(urlObj.pathname) || 'download';
     
-    if (!path.extname(filename)) {
+    if (extension) {
+      // The identified content wins over a missing or wrong extension in the URL
+      const currentExt = path.extname(filename);
+      const currentType = currentExt && mime.lookup(currentExt);
+      if (currentType !== mime.lookup(extension)) {
+        filename = (currentType ? path.basename(filename, currentExt) : filename) + extension;
+      }
+    } else if (!path.extname(filename)) {
       const mimeType = mime.lookup(originalUrl);
       if (mimeType) {
         const ext = mime.extension(mimeType);
@@ -191,22 +251,124 @@ function generateUniqueFilename(originalUrl, existingFiles = []) {
   }
 }
 
+const CSS_IMPORT_REGEX = /@import\s+(?:url\(\s*['"]?([^'")]+)['"]?\s*\)|(['"])([^'"]+)\2)[^;]*;?/i;
+
 function extractUrlsFromCss(cssText, baseUrl) {
   const urls = [];
+  // @import targets are stylesheets, not media (see extractImportUrlsFromCss)
+  const css = (cssText || '').replace(/\/\*[\s\S]*?\*\//g, '').replace(new RegExp(CSS_IMPORT_REGEX, 'gi'), '');
+  const candidates = [];
   const urlRegex = /url\s*\(\s*['"]?([^'")]+)['"]?\s*\)/gi;
   let match;
   
-  while ((match = urlRegex.exec(cssText)) !== null) {
-    const cssUrl = match[1];
-    const normalizedUrl = normalizeUrl(cssUrl, baseUrl);
-    if (normalizedUrl && isSupportedMediaType(normalizedUrl)) {
+  // Catches every url() in a declaration, including multi-layer background shorthands
+  while ((match = urlRegex.exec(css)) !== null) {
+    candidates.push(match[1]);
+  }
+
+  // image-set() also accepts bare strings as image candidates
+  extractImageSets(css).forEach(imageSet => {
+    const stringRegex = /(?:^|[\s,(])(['"])([^'"]+)\1/g;
+    const body = imageSet.replace(/url\s*\([^)]*\)/gi, '').replace(/type\s*\([^)]*\)/gi, '');
+    while ((match = stringRegex.exec(body)) !== null) {
+      candidates.push(match[2]);
+    }
+  });
+
+  candidates.forEach(cssUrl => {
+    const normalizedUrl = normalizeUrl(cssUrl.trim(), baseUrl);
+    if (normalizedUrl && isSupportedMediaType(normalizedUrl) && !urls.includes(normalizedUrl)) {
       urls.push(normalizedUrl);
     }
-  }
+  });
   
   return urls;
 }
 
+function extractImageSets(css) {
+  const imageSets = [];
+  const startRegex = /(?:-webkit-)?image-set\s*\(/gi;
+  let match;
+
+  while ((match = startRegex.exec(css)) !== null) {
+    // Find the matching close paren, since candidates contain url(...) and type(...)
+    let depth = 1;
+    let index = startRegex.lastIndex;
+    while (index < css.length && depth > 0) {
+      if (css[index] === '(') depth++;
+      if (css[index] === ')') depth--;
+      index++;
+    }
+    imageSets.push(css.substring(startRegex.lastIndex, index - 1));
+  }
+
+  return imageSets;
+}
+
+function extractImportUrlsFromCss(cssText, baseUrl) {
+  const urls = [];
+  const css = (cssText || '').replace(/\/\*[\s\S]*?\*\//g, '');
+  const importRegex = new RegExp(CSS_IMPORT_REGEX, 'gi');
+  let match;
+
+  while ((match = importRegex.exec(css)) !== null) {
+    const importUrl = normalizeUrl((match[1] || match[3]).trim(), baseUrl);
+    if (importUrl && !urls.includes(importUrl)) {
+      urls.push(importUrl);
+    }
+  }
+
+  return urls;
+}
+
+// Results keep the input order. With options.keyOf, at most options.perKeyLimit
+// items with the same key (e.g. the same host) run at once; other keys go first.
+function mapWithConcurrency(items, limit, fn, options = {}) {
+  const results = new Array(items.length);
+  const keys = items.map(item => (options.keyOf ? options.keyOf(item) : null));
+  const perKeyLimit = options.keyOf ? Math.max(options.perKeyLimit || 1, 1) : Infinity;
+  const maxRunning = Math.min(Math.max(limit, 1), items.length);
+  const pending = items.map((_, index) => index);
+  const activeByKey = new Map();
+  let running = 0;
+  let failed = false;
+
+  return new Promise((resolve, reject) => {
+    const startNext = () => {
+      if (failed) return;
+      if (pending.length === 0 && running === 0) {
+        resolve(results);
+        return;
+      }
+
+      while (running < maxRunning) {
+        const position = pending.findIndex(index => (activeByKey.get(keys[index]) || 0) < perKeyLimit);
+        if (position === -1) return;
+
+        const [index] = pending.splice(position, 1);
+        const key = keys[index];
+        activeByKey.set(key, (activeByKey.get(key) || 0) + 1);
+        running++;
+
+        Promise.resolve()
+          .then(() => fn(items[index], index))
+          .then(result => {
+            results[index] = result;
+            activeByKey.set(key, activeByKey.get(key) - 1);
+            running--;
+            startNext();
+          })
+          .catch(error => {
+            failed = true;
+            reject(error);
+          });
+      }
+    };
+
+    startNext();
+  });
+}
+
 function formatBytes(bytes) {
   if (bytes === 0) return '0 Bytes';
   const k = 1024;
@@ -237,18 +399,274 @@ function validateMediaFilters(filters = {}) {
   const validated = {
     includeImages: filters.includeImages !== false,
     includeVideos: filters.includeVideos !== false,
+    includeAudio: filters.includeAudio !== false,
+    includeIcons: filters.includeIcons !== false,
+    includeFonts: filters.includeFonts === true,
+    includeEmbeds: filters.includeEmbeds !== false,
+    variantSelection: VARIANT_SELECTIONS.includes(filters.variantSelection) ? filters.variantSelection : 'largest',
     minSizeBytes: Math.max(0, parseInt(filters.minSizeBytes) || 0),
-    maxSizeBytes: parseInt(filters.maxSizeBytes) || Infinity
+    maxSizeBytes: parseInt(filters.maxSizeBytes) || Infinity,
+    minWidth: Math.max(0, parseInt(filters.minWidth) || 0),
+    minHeight: Math.max(0, parseInt(filters.minHeight) || 0),
+    maxWidth: parseInt(filters.maxWidth) || Infinity,
+    maxHeight: parseInt(filters.maxHeight) || Infinity,
+    minAspectRatio: parseAspectRatio(filters.minAspectRatio) || 0,
+    maxAspectRatio: parseAspectRatio(filters.maxAspectRatio) || Infinity,
+    includeSelectors: parseSelectorRules(filters.includeSelectors, 'includeSelectors'),
+    excludeSelectors: parseSelectorRules(filters.excludeSelectors, 'excludeSelectors'),
+    includeUrlPatterns: parseUrlPatternRules(filters.includeUrlPatterns, 'includeUrlPatterns'),
+    excludeUrlPatterns: parseUrlPatternRules(filters.excludeUrlPatterns, 'excludeUrlPatterns'),
+    allowedExtensions: parseExtensionRules(filters.allowedExtensions, 'allowedExtensions'),
+    deniedExtensions: parseExtensionRules(filters.deniedExtensions, 'deniedExtensions'),
+    allowedContentTypes: parseContentTypeRules(filters.allowedContentTypes, 'allowedContentTypes')
   };
   
-  if (!validated.includeImages && !validated.includeVideos) {
+  // Clients that predate the audio, icon, font and embed flags turned both images and
+  // videos off to mean "no type filter", so that still gets everything
+  const legacyTypesOnly = ['includeAudio', 'includeIcons', 'includeFonts', 'includeEmbeds']
+    .every(key => filters[key] === undefined);
+  if (!validated.includeImages && !validated.includeVideos && (legacyTypesOnly || (!validated.includeAudio &&
+      !validated.includeIcons && !validated.includeFonts && !validated.includeEmbeds))) {
     validated.includeImages = true;
     validated.includeVideos = true;
+    validated.includeAudio = true;
+    validated.includeIcons = true;
+    validated.includeEmbeds = true;
   }
   
   return validated;
 }
 
+// Rule lists arrive as arrays from the API, or as one string from a form field
+function parseRuleList(value, name, separator) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+
+  const items = (Array.isArray(value) ? value : String(value).split(separator))
+    .map(item => (item instanceof UrlPattern ? item : String(item).trim()))
+    .filter(Boolean);
+
+  if (items.length > MAX_FILTER_RULES) {
+    throw new Error(`${name} accepts at most ${MAX_FILTER_RULES} rules`);
+  }
+  items.forEach(item => {
+    if (String(item).length > MAX_FILTER_RULE_LENGTH) {
+      throw new Error(`${name} rules must be at most ${MAX_FILTER_RULE_LENGTH} characters`);
+    }
+  });
+
+  return items;
+}
+
+// A string is a single selector list, since selectors contain commas themselves
+function parseSelectorRules(value, name) {
+  const selectors = parseRuleList(value, name, /\n/);
+  const $ = cheerio.load('');
+
+  selectors.forEach(selector => {
+    try {
+      $(selector);
+    } catch (error) {
+      throw new Error(`Invalid selector in ${name}: "${selector}" (${error.message})`);
+    }
+  });
+
+  return selectors;
+}
+
+// A URL rule is a case-insensitive substring in which "*" stands for any run of characters.
+// Regexes aren't supported, since a crafted one can backtrack for seconds on a single URL;
+// this matcher looks for each literal part in turn, so it stays linear.
+class UrlPattern {
+  constructor(source) {
+    this.source = source;
+    this.parts = source.toLowerCase().split('*').filter(Boolean);
+  }
+
+  test(value) {
+    const text = String(value).toLowerCase();
+    let position = 0;
+    for (const part of this.parts) {
+      const index = text.indexOf(part, position);
+      if (index === -1) {
+        return false;
+      }
+      position = index + part.length;
+    }
+    return true;
+  }
+
+  toJSON() {
+    return this.source;
+  }
+}
+
+// One pattern per line
+function parseUrlPatternRules(value, name) {
+  return parseRuleList(value, name, /\n/).map(pattern => {
+    if (pattern instanceof UrlPattern) {
+      return pattern;
+    }
+    if (!pattern.replace(/\*/g, '')) {
+      throw new Error(`Invalid pattern in ${name}: "${pattern}" matches every URL`);
+    }
+    // Regex syntax would silently match nothing as literal text
+    if (URL_PATTERN_REGEX_SYNTAX.test(pattern)) {
+      throw new Error(`Invalid pattern in ${name}: "${pattern}" looks like a regex; use literal text with * wildcards`);
+    }
+    return new UrlPattern(pattern);
+  });
+}
+
+// "jpg, .PNG webp" -> ['.jpg', '.png', '.webp']
+function parseExtensionRules(value, name) {
+  return parseRuleList(value, name, /[\s,]+/).map(extension => {
+    const normalized = `.${extension.toLowerCase().replace(/^\./, '')}`;
+    if (!/^\.[a-z0-9]+$/.test(normalized)) {
+      throw new Error(`Invalid extension in ${name}: "${extension}"`);
+    }
+    return normalized;
+  });
+}
+
+// "image/*, video/mp4" -> ['image/*', 'video/mp4']
+function parseContentTypeRules(value, name) {
+  return parseRuleList(value, name, /[\s,]+/).map(contentType => {
+    const normalized = contentType.toLowerCase();
+    if (!/^[a-z0-9][\w.+-]*\/(\*|[a-z0-9][\w.+-]*)$/.test(normalized)) {
+      throw new Error(`Invalid content type in ${name}: "${contentType}"`);
+    }
+    return normalized;
+  });
+}
+
+// URL patterns are checked before anything is fetched
+function matchesUrlRules(mediaUrl, filters) {
+  const includePatterns = filters.includeUrlPatterns || [];
+  const excludePatterns = filters.excludeUrlPatterns || [];
+
+  if (includePatterns.length > 0 && !includePatterns.some(pattern => pattern.test(mediaUrl))) {
+    return false;
+  }
+  return !excludePatterns.some(pattern => pattern.test(mediaUrl));
+}
+
+// Extension and content-type rules use what validation identified. Like the size and
+// dimension filters, they only drop media whose extension or content type is known.
+function matchesMediaRules(mediaInfo, filters) {
+  const extension = mediaInfo.extension || getFileExtension(mediaInfo.url);
+  const allowedExtensions = filters.allowedExtensions || [];
+  const deniedExtensions = filters.deniedExtensions || [];
+  const allowedContentTypes = filters.allowedContentTypes || [];
+
+  if (extension) {
+    // Extensions of the same format (.jpg and .jpeg) count as one
+    const isSameFormat = other => other === extension || (mime.lookup(other) && mime.lookup(other) === mime.lookup(extension));
+    if (allowedExtensions.length > 0 && !allowedExtensions.some(isSameFormat)) {
+      return false;
+    }
+    if (deniedExtensions.some(isSameFormat)) {
+      return false;
+    }
+  }
+
+  const contentType = (mediaInfo.contentType || '').split(';')[0].trim().toLowerCase();
+  if (contentType && allowedContentTypes.length > 0) {
+    return allowedContentTypes.some(allowed => allowed === contentType ||
+      (allowed.endsWith('/*') && contentType.startsWith(allowed.slice(0, -1))));
+  }
+
+  return true;
+}
+
+// Accepts a width/height ratio as a number (1.5) or as "16:9" / "16/9"
+function parseAspectRatio(value) {
+  const match = String(value === undefined || value === null ? '' : value).trim().match(/^(\d+(?:\.\d+)?)(?:\s*[:/]\s*(\d+(?:\.\d+)?))?$/);
+  if (!match) {
+    return null;
+  }
+
+  const ratio = match[2] !== undefined ? parseFloat(match[1]) / parseFloat(match[2]) : parseFloat(match[1]);
+  return ratio > 0 && isFinite(ratio) ? ratio : null;
+}
+
+// Like the byte-size filters, media whose dimensions are unknown is kept
+function matchesDimensionFilters(mediaInfo, filters) {
+  const { width, height } = mediaInfo;
+  if (!width || !height) {
+    return true;
+  }
+
+  if (width < (filters.minWidth || 0) || width > (filters.maxWidth || Infinity)) {
+    return false;
+  }
+  if (height < (filters.minHeight || 0) || height > (filters.maxHeight || Infinity)) {
+    return false;
+  }
+
+  const aspectRatio = width / height;
+  return aspectRatio >= (filters.minAspectRatio || 0) && aspectRatio <= (filters.maxAspectRatio || Infinity);
+}
+
+function isMediaTypeIncluded(type, filters) {
+  switch (type) {
+    case 'image':
+      return filters.includeImages;
+    case 'video':
+      return filters.includeVideos;
+    case 'audio':
+      return filters.includeAudio;
+    case 'icon':
+      return filters.includeIcons;
+    case 'font':
+      return filters.includeFonts;
+    case 'embed':
+      return filters.includeEmbeds;
+    default:
+      return true;
+  }
+}
+
+function validateCrawlOptions(options = {}) {
+  const maxDepth = parseInt(options.maxDepth);
+  const maxPages = parseInt(options.maxPages);
+
+  return {
+    enabled: options.enabled === true,
+    useSitemap: options.useSitemap === true,
+    maxDepth: Math.min(Math.max(isNaN(maxDepth) ? 1 : maxDepth, 0), MAX_CRAWL_DEPTH),
+    maxPages: Math.min(Math.max(isNaN(maxPages) ? 20 : maxPages, 1), MAX_CRAWL_PAGES)
+  };
+}
+
+function isSameOrigin(urlString, otherUrlString) {
+  try {
+    return new URL(urlString).origin === new URL(otherUrlString).origin;
+  } catch {
+    return false;
+  }
+}
+
+// Crawls and sitemaps treat example.com and www.example.com as one site
+function isSameSite(urlString, otherUrlString) {
+  try {
+    return new URL(urlString).hostname.replace(/^www\./, '') === new URL(otherUrlString).hostname.replace(/^www\./, '');
+  } catch {
+    return false;
+  }
+}
+
+function isCrawlablePageUrl(urlString) {
+  if (!isValidUrl(urlString)) {
+    return false;
+  }
+
+  // Links without an extension are usually pages; anything else must look like a document
+  const ext = getFileExtension(urlString);
+  return !ext || CRAWLABLE_PAGE_EXTENSIONS.includes(ext);
+}
+
 function getDomainFromUrl(urlString) {
   try {
     return new URL(urlString).hostname;
@@ -333,19 +751,39 @@ module.exports = {
   isSupportedMediaType,
   isImageType,
   isVideoType,
+  isAudioType,
+  isStreamManifest,
+  isFontType,
+  getMediaType,
+  getMediaFolder,
   sanitizeFilename,
   sanitizeJobId,
   isValidJobId,
   generateUniqueFilename,
   extractUrlsFromCss,
+  extractImportUrlsFromCss,
+  mapWithConcurrency,
   formatBytes,
   formatDuration,
   createJobId,
   validateMediaFilters,
+  isMediaTypeIncluded,
+  parseAspectRatio,
+  matchesDimensionFilters,
+  matchesUrlRules,
+  matchesMediaRules,
+  validateCrawlOptions,
+  isSameOrigin,
+  isSameSite,
+  isCrawlablePageUrl,
   getDomainFromUrl,
   delay,
   retryAsync,
   SUPPORTED_IMAGE_EXTENSIONS,
   SUPPORTED_VIDEO_EXTENSIONS,
+  SUPPORTED_AUDIO_EXTENSIONS,
+  SUPPORTED_STREAM_EXTENSIONS,
+  SUPPORTED_FONT_EXTENSIONS,
+  VARIANT_SELECTIONS,
   SUPPORTED_EXTENSIONS
 };
\ No newline at end of file
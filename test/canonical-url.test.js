@@ -0,0 +1,134 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { canonicalizeUrl, validateDedupeOptions } = require('../src/canonical-url');
+const MediaCollection = require('../src/media-collection');
+const MediaExtractor = require('../src/extractor');
+const DownloadManager = require('../src/downloader');
+
+console.log('Running canonical URL tests...\n');
+
+// Test validateDedupeOptions
+console.log('Testing validateDedupeOptions...');
+assert.deepStrictEqual(validateDedupeOptions(), {
+  canonicalize: true,
+  stripTrackingParams: true,
+  stripResizeParams: false,
+  stripParams: [],
+  keepParams: [],
+  contentHash: true,
+  similarImages: false,
+  similarityThreshold: 10
+}, 'Should only strip resize params and remove similar images when asked');
+const custom = validateDedupeOptions({ stripResizeParams: true, stripParams: [' Session ', 42, ''], keepParams: 'v' });
+assert.strictEqual(custom.stripResizeParams, true, 'Should turn on resize stripping');
+assert.deepStrictEqual(custom.stripParams, ['session'], 'Should trim and lowercase parameter names');
+assert.deepStrictEqual(custom.keepParams, [], 'Should ignore lists that are not arrays');
+assert.deepStrictEqual(validateDedupeOptions(null), validateDedupeOptions(), 'Should use the defaults for null');
+assert.throws(() => validateDedupeOptions('off'), /dedupe must be an object/, 'Should reject non-objects');
+assert.throws(() => validateDedupeOptions([]), /dedupe must be an object/, 'Should reject arrays');
+console.log('✓ validateDedupeOptions tests passed\n');
+
+// Test canonicalizeUrl
+console.log('Testing canonicalizeUrl...');
+const defaults = validateDedupeOptions();
+assert.strictEqual(canonicalizeUrl('https://CDN.Example.com:443/a.jpg?utm_source=x&utm_medium=y#top', defaults), 'https://cdn.example.com/a.jpg', 'Should drop tracking params, the fragment, the default port and lowercase the host');
+assert.strictEqual(canonicalizeUrl('https://example.com/a.jpg?w=300&id=5&fbclid=abc&h=200', custom), 'https://example.com/a.jpg?id=5', 'Should drop resize params when asked and keep the rest');
+assert.strictEqual(canonicalizeUrl('https://example.com/a.jpg?b=%2F2&a=1', defaults), 'https://example.com/a.jpg?b=%2F2&a=1', 'Should keep the order and encoding of other params');
+assert.strictEqual(canonicalizeUrl('https://example.com/a.jpg?w=300', defaults), 'https://example.com/a.jpg?w=300', 'Should keep resize params by default');
+assert.strictEqual(canonicalizeUrl('https://example.com/a.jpg?session=1&v=2', validateDedupeOptions({ stripParams: ['session', 'v'], keepParams: ['v'] })), 'https://example.com/a.jpg?v=2', 'Should strip custom params unless kept');
+assert.strictEqual(canonicalizeUrl('inline:abc.png', defaults), 'inline:abc.png', 'Should leave non-HTTP URLs alone');
+console.log('✓ canonicalizeUrl tests passed\n');
+
+// Test MediaCollection.canonicalize
+console.log('Testing MediaCollection.canonicalize...');
+const collection = new MediaCollection();
+collection.add('http://example.com/a.jpg?utm_source=news', { source: 'network' });
+collection.add('https://example.com/a.jpg?w=200', { source: 'element:img[src]' });
+collection.add('https://example.com/b.jpg', { source: 'element:img[src]' });
+collection.add('https://example.com/c.jpg?w=200&s=sig1', { source: 'element:img[src]' });
+collection.add('https://example.com/c.jpg?w=400&s=sig1', { source: 'network' });
+collection.add('https://example.com/d.jpg?utm_source=x', { source: 'element:img[src]' });
+collection.add('https://example.com/d.jpg', { source: 'element:img[src]' });
+const renamed = collection.canonicalize(url => canonicalizeUrl(url, custom), url => url.includes('w=400'));
+assert.deepStrictEqual(Array.from(collection).sort(), [
+  'https://example.com/a.jpg?w=200',
+  'https://example.com/b.jpg',
+  'https://example.com/c.jpg?w=400&s=sig1',
+  'https://example.com/d.jpg'
+], 'Should merge copies into one of the URLs found');
+assert.strictEqual(renamed.get('http://example.com/a.jpg?utm_source=news'), 'https://example.com/a.jpg?w=200', 'Should prefer https and report renamed URLs');
+assert.strictEqual(renamed.get('https://example.com/c.jpg?w=200&s=sig1'), 'https://example.com/c.jpg?w=400&s=sig1', 'Should prefer the preferred URLs');
+assert.strictEqual(renamed.get('https://example.com/d.jpg?utm_source=x'), 'https://example.com/d.jpg', 'Should prefer a URL found in canonical form');
+const merged = collection.annotate('https://example.com/a.jpg?w=200', {});
+assert.deepStrictEqual(merged.aliases, ['http://example.com/a.jpg?utm_source=news'], 'Should list every URL that pointed at the entry');
+assert.deepStrictEqual(merged.sources.sort(), ['element:img[src]', 'network'], 'Should merge the sources');
+assert.strictEqual(collection.annotate('https://example.com/b.jpg', {}).aliases, undefined, 'Should not add aliases to untouched entries');
+console.log('✓ MediaCollection.canonicalize tests passed\n');
+
+(async () => {
+  // Test duplicate counting inside MediaExtractor
+  console.log('Testing duplicate counting in MediaExtractor...');
+  const server = http.createServer((req, res) => {
+    if (req.url === '/') {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end('<img src="/photo.jpg?utm_source=feed"><img src="/photo.jpg?w=640"><img src="/photo.jpg"><img src="/other.jpg"><img src="/signed.jpg?w=640&s=abc">');
+    } else if (req.url.startsWith('/signed.jpg') && req.url !== '/signed.jpg?w=640&s=abc') {
+      // Like a signed CDN URL: any change to the query breaks the signature
+      res.writeHead(403);
+      res.end();
+    } else {
+      res.writeHead(200, { 'Content-Type': 'image/jpeg', 'Content-Length': '1000' });
+      res.end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const results = await new MediaExtractor({ respectRobots: false }).extractMedia(`${base}/`, {});
+    assert.deepStrictEqual(results.media.map(media => media.url).sort(), [`${base}/other.jpg`, `${base}/photo.jpg`, `${base}/photo.jpg?w=640`, `${base}/signed.jpg?w=640&s=abc`], 'Should validate each file once');
+    assert.strictEqual(results.stats.duplicatesRemoved, 1, 'Should count the merged URLs');
+
+    const resized = await new MediaExtractor({ respectRobots: false, dedupe: { stripResizeParams: true } }).extractMedia(`${base}/`, {});
+    assert.deepStrictEqual(resized.media.map(media => media.url).sort(), [`${base}/other.jpg`, `${base}/photo.jpg`, `${base}/signed.jpg?w=640&s=abc`], 'Should fetch the URLs as found');
+    assert.strictEqual(resized.stats.duplicatesRemoved, 2, 'Should merge resize variants when asked');
+
+    const raw = await new MediaExtractor({ respectRobots: false, dedupe: { canonicalize: false } }).extractMedia(`${base}/`, {});
+    assert.strictEqual(raw.media.length, 5, 'Should keep every URL with canonicalization off');
+    assert.strictEqual(raw.stats.duplicatesRemoved, 0, 'Should not count anything with canonicalization off');
+  } finally {
+    server.close();
+  }
+  console.log('✓ MediaExtractor duplicate counting tests passed\n');
+
+  // Test content-hash deduplication of downloads
+  console.log('Testing removeDuplicateFiles...');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dedupe-test-'));
+  const write = (name, content) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, content);
+    return { url: `https://example.com/${name}`, filename: name, filePath, size: content.length, aliases: [] };
+  };
+  const first = write('a.jpg', 'same bytes');
+  const second = write('b.jpg', 'other bytes');
+  const copy = write('c.jpg', 'same bytes');
+  copy.aliases = ['https://example.com/c.jpg?w=100'];
+
+  const downloads = await new DownloadManager().removeDuplicateFiles({ completed: [first, second, copy], duplicates: [] });
+  assert.deepStrictEqual(downloads.completed.map(d => d.filename), ['a.jpg', 'b.jpg'], 'Should keep the first copy of each file');
+  assert.deepStrictEqual(first.aliases, ['https://example.com/c.jpg', 'https://example.com/c.jpg?w=100'], 'Should move the duplicate URLs onto the kept file');
+  assert.deepStrictEqual(downloads.duplicates, [{ url: 'https://example.com/c.jpg', duplicateOf: 'https://example.com/a.jpg', filename: 'a.jpg' }], 'Should list the removed copies');
+  assert.strictEqual(downloads.duplicatesRemoved, 1, 'Should count the removed copies');
+  assert.strictEqual(first.sha256.length, 64, 'Should record the hash');
+  assert.strictEqual(fs.existsSync(copy.filePath), false, 'Should delete the duplicate file');
+  fs.rmSync(dir, { recursive: true });
+  console.log('✓ removeDuplicateFiles tests passed\n');
+
+  console.log('✅ All canonical URL tests passed!');
+})().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,57 @@
+const assert = require('assert');
+const cheerio = require('cheerio');
+const { detectEmbed, getFrameUrls, extractEmbeds, describeEmbed } = require('../src/embeds');
+
+console.log('Running embeds tests...\n');
+
+// Test detectEmbed
+console.log('Testing detectEmbed...');
+const youtube = detectEmbed('https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ?autoplay=1');
+assert.strictEqual(youtube.provider, 'youtube', 'Should recognise YouTube embeds');
+assert.strictEqual(youtube.videoId, 'dQw4w9WgXcQ', 'Should extract the YouTube video ID');
+assert.strictEqual(youtube.url, 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', 'Should give a canonical watch URL');
+assert.strictEqual(detectEmbed('https://youtu.be/dQw4w9WgXcQ').url, youtube.url, 'Should map short links to the same video');
+assert.strictEqual(detectEmbed('https://www.youtube.com/watch?list=x&v=dQw4w9WgXcQ').videoId, 'dQw4w9WgXcQ', 'Should read v= from watch URLs');
+
+const vimeo = detectEmbed('https://player.vimeo.com/video/76979871?h=abc');
+assert.deepStrictEqual([vimeo.provider, vimeo.videoId, vimeo.url], ['vimeo', '76979871', 'https://vimeo.com/76979871'], 'Should recognise Vimeo players');
+
+const wistia = detectEmbed('https://fast.wistia.net/embed/iframe/abc123xyz?videoFoam=true');
+assert.deepStrictEqual([wistia.provider, wistia.videoId], ['wistia', 'abc123xyz'], 'Should recognise Wistia players');
+
+assert.strictEqual(detectEmbed('https://www.dailymotion.com/embed/video/x7tgad0').provider, 'dailymotion', 'Should recognise Dailymotion players');
+assert.strictEqual(detectEmbed('https://example.com/embed/video.mp4'), null, 'Should ignore unknown hosts');
+assert.strictEqual(detectEmbed('https://www.youtube.com/channel/abc'), null, 'Should ignore non-video YouTube pages');
+console.log('✓ detectEmbed tests passed\n');
+
+// Test extractEmbeds
+console.log('Testing extractEmbeds...');
+const $ = cheerio.load(`
+  <head>
+    <meta property="og:video:secure_url" content="https://www.youtube.com/embed/dQw4w9WgXcQ">
+    <meta name="twitter:player" content="https://player.vimeo.com/video/76979871">
+  </head>
+  <body>
+    <iframe src="https://www.youtube.com/embed/dQw4w9WgXcQ"></iframe>
+    <iframe data-src="//fast.wistia.net/embed/iframe/abc123xyz"></iframe>
+    <iframe src="/widgets/gallery.html"></iframe>
+    <iframe src="about:blank"></iframe>
+    <embed src="https://www.dailymotion.com/embed/video/x7tgad0">
+  </body>
+`);
+const embeds = extractEmbeds($, 'https://example.com/post');
+assert.deepStrictEqual(embeds.map(embed => embed.provider), ['youtube', 'wistia', 'dailymotion', 'vimeo'], 'Should find each player once');
+assert.strictEqual(embeds[0].embedUrl, 'https://www.youtube.com/embed/dQw4w9WgXcQ', 'Should keep the embed URL that was found first');
+assert.ok(getFrameUrls($, 'https://example.com/post').includes('https://example.com/widgets/gallery.html'), 'Should resolve frame URLs');
+assert.ok(!getFrameUrls($, 'https://example.com/post').some(url => url.startsWith('about:')), 'Should skip about:blank frames');
+console.log('✓ extractEmbeds tests passed\n');
+
+// Test describeEmbed
+console.log('Testing describeEmbed...');
+const info = describeEmbed(youtube);
+assert.strictEqual(info.type, 'embed', 'Should report embeds as their own type');
+assert.strictEqual(info.embed.thumbnailUrl, 'https://i.ytimg.com/vi/dQw4w9WgXcQ/hqdefault.jpg', 'Should include a YouTube thumbnail');
+assert.strictEqual(describeEmbed(vimeo).embed.thumbnailUrl, null, 'Should not guess thumbnails for other providers');
+console.log('✓ describeEmbed tests passed\n');
+
+console.log('✅ All embeds tests passed!');
@@ -0,0 +1,41 @@
+const assert = require('assert');
+const { parseFontFaces } = require('../src/font-faces');
+
+console.log('Running font faces tests...\n');
+
+const css = `
+/* Brand typeface */
+@font-face {
+  font-family: 'Brand Sans';
+  font-weight: 700;
+  font-style: italic;
+  src: url('../fonts/brand.eot');
+  src: url(data:font/woff2;base64,d09GMgABAAAA) format('woff2'),
+       url("../fonts/brand.woff2") format("woff2"),
+       local('Brand Sans Bold'),
+       url(../fonts/brand.ttf);
+}
+@font-face { font-family: Icons; src: url(https://cdn.example.com/icons?v=3) format('woff'); }
+@font-face { src: url(/fonts/no-family.woff); }
+.hero { background: url(/img/hero.jpg); }
+`;
+
+// Test parseFontFaces
+console.log('Testing parseFontFaces...');
+const fonts = parseFontFaces(css, 'https://example.com/css/site.css');
+assert.deepStrictEqual(fonts.map(font => font.url), [
+  'https://example.com/fonts/brand.woff2',
+  'https://example.com/fonts/brand.ttf',
+  'https://cdn.example.com/icons?v=3'
+], 'Should collect downloadable src URLs and skip data: URIs, local() and unnamed faces');
+assert.strictEqual(fonts[0].family, 'Brand Sans', 'Should unquote the family name');
+assert.strictEqual(fonts[0].weight, '700', 'Should read font-weight');
+assert.strictEqual(fonts[0].style, 'italic', 'Should read font-style');
+assert.strictEqual(fonts[0].format, 'woff2', 'Should read the declared format');
+assert.strictEqual(fonts[1].format, 'truetype', 'Should infer the format from the extension');
+assert.strictEqual(fonts[2].weight, 'normal', 'Should default weight to normal');
+assert.strictEqual(fonts[2].format, 'woff', 'Should accept extensionless URLs with a declared format');
+assert.deepStrictEqual(parseFontFaces('', 'https://example.com/'), [], 'Should handle empty stylesheets');
+console.log('✓ parseFontFaces tests passed\n');
+
+console.log('✅ All font faces tests passed!');
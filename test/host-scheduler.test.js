@@ -0,0 +1,197 @@
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const EventEmitter = require('events');
+const axios = require('axios');
+const { HostScheduler, getHostScheduler, parseRetryAfter } = require('../src/host-scheduler');
+
+// The shared scheduler backs off for milliseconds here, not seconds
+getHostScheduler({ backoffDelay: 20, requestsPerSecond: 0 });
+const DownloadManager = require('../src/downloader');
+const BrowserMediaExtractor = require('../src/browser-extractor');
+const { RequestProfile } = require('../src/request-profile');
+
+console.log('Running host scheduler tests...\n');
+
+// Test Retry-After parsing
+console.log('Testing parseRetryAfter...');
+assert.strictEqual(parseRetryAfter('120'), 120000, 'Should read seconds');
+assert.strictEqual(parseRetryAfter('0.5'), 500, 'Should read fractional seconds');
+assert.strictEqual(parseRetryAfter(new Date(61000).toUTCString(), 1000), 60000, 'Should read HTTP dates');
+assert.strictEqual(parseRetryAfter(new Date(0).toUTCString(), 1000), 0, 'Should not wait for dates in the past');
+assert.strictEqual(parseRetryAfter('soon'), null, 'Should ignore invalid values');
+assert.strictEqual(parseRetryAfter(undefined), null, 'Should ignore missing values');
+console.log('✓ parseRetryAfter tests passed\n');
+
+(async () => {
+  // Test the concurrency cap
+  console.log('Testing per-host concurrency...');
+  const scheduler = new HostScheduler({ requestsPerSecond: 0, maxPerHost: 2 });
+  let active = 0;
+  let peak = 0;
+  const task = async () => {
+    active++;
+    peak = Math.max(peak, active);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    active--;
+  };
+  await Promise.all([
+    ...[1, 2, 3, 4, 5].map(() => scheduler.run('https://cdn.example.com/a.jpg', task)),
+    scheduler.run('https://other.example.com/a.jpg', task)
+  ]);
+  assert.strictEqual(peak, 3, 'Should run two requests per host, and other hosts alongside');
+  assert.strictEqual(scheduler.hosts.get('cdn.example.com').active, 0, 'Should release every slot');
+  assert.strictEqual(await scheduler.run('data:image/png;base64,AA==', async () => 'inline'), 'inline', 'Should not schedule non-HTTP URLs');
+  console.log('✓ per-host concurrency tests passed\n');
+
+  // Test the request rate
+  console.log('Testing per-host request rate...');
+  const paced = new HostScheduler({ requestsPerSecond: 20, maxPerHost: 10 });
+  const starts = [];
+  await Promise.all([1, 2, 3, 4].map(() => paced.run('https://cdn.example.com/a.jpg', async () => starts.push(Date.now()))));
+  assert.ok(starts[3] - starts[0] >= 140, 'Should space requests to one host');
+  const otherStart = Date.now();
+  await paced.run('https://other.example.com/a.jpg', async () => {});
+  assert.ok(Date.now() - otherStart < 40, 'Should not slow down other hosts');
+  console.log('✓ per-host request rate tests passed\n');
+
+  // Test 429 handling against a local server
+  console.log('Testing 429 backoff...');
+  const hits = [];
+  let limited = 0;
+  const server = http.createServer((req, res) => {
+    hits.push({ url: req.url, at: Date.now() });
+    if (req.url === '/limited.jpg' && limited++ < 1) {
+      res.writeHead(429, { 'Retry-After': '1' });
+      res.end();
+    } else if (req.url === '/always-limited.jpg') {
+      res.writeHead(429);
+      res.end();
+    } else if (req.url === '/busy.txt') {
+      res.writeHead(503);
+      res.end();
+    } else if (req.url === '/huge.jpg') {
+      // No Content-Length, so the size limit only trips while streaming
+      res.writeHead(200, { 'Content-Type': 'image/jpeg' });
+      res.write(Buffer.alloc(600));
+      res.end(Buffer.alloc(600));
+    } else {
+      res.writeHead(200, { 'Content-Type': 'image/jpeg', 'Content-Length': '4' });
+      res.end('data');
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const limiter = new HostScheduler({ requestsPerSecond: 0, maxRetries: 2, backoffDelay: 20 });
+
+  try {
+    const started = Date.now();
+    const [response, other] = await Promise.all([
+      limiter.run(`${base}/limited.jpg`, () => axios.get(`${base}/limited.jpg`)),
+      new Promise(resolve => setTimeout(resolve, 100)).then(() => limiter.run(`${base}/other.jpg`, () => axios.get(`${base}/other.jpg`)))
+    ]);
+    assert.strictEqual(response.status, 200, 'Should retry after a 429');
+    assert.ok(Date.now() - started >= 950, 'Should wait for Retry-After');
+    assert.ok(hits.find(hit => hit.url === '/other.jpg').at - started >= 950, 'Should pause the whole host');
+    assert.strictEqual(other.status, 200, 'Should resume the paused host');
+
+    hits.length = 0;
+    await assert.rejects(
+      limiter.run(`${base}/always-limited.jpg`, () => axios.get(`${base}/always-limited.jpg`)),
+      error => error.response && error.response.status === 429,
+      'Should give up after maxRetries'
+    );
+    assert.strictEqual(hits.length, 3, 'Should send the request and two retries');
+    assert.ok(hits[2].at - hits[1].at >= hits[1].at - hits[0].at, 'Should back off exponentially without Retry-After');
+
+    hits.length = 0;
+    const returned = await limiter.run(`${base}/always-limited.jpg`, () => axios.get(`${base}/always-limited.jpg`, { validateStatus: () => true }));
+    assert.strictEqual(returned.status, 429, 'Should return the last response when validateStatus accepts it');
+    assert.strictEqual(hits.length, 3, 'Should retry returned 429 responses too');
+
+    hits.length = 0;
+    await assert.rejects(limiter.run(`${base}/busy.txt`, () => axios.get(`${base}/busy.txt`)), /503/, 'Should not retry a 503 without Retry-After');
+    assert.strictEqual(hits.length, 1, 'Should send a plain 503 once');
+
+    // Downloads go through the shared scheduler
+    hits.length = 0;
+    limited = 0;
+    const download = await new DownloadManager().downloadFile(`${base}/limited.jpg`, 'scheduler-test');
+    assert.strictEqual(hits.length, 2, 'Should retry rate-limited downloads');
+    assert.strictEqual(fs.readFileSync(download.filePath, 'utf8'), 'data', 'Should save the retried download');
+    fs.rmSync(download.filePath, { force: true });
+
+    await assert.rejects(
+      new DownloadManager({ maxFileSize: 1000 }).downloadFile(`${base}/huge.jpg`, 'scheduler-test'),
+      /File too large/,
+      'Should fail downloads that grow past the size limit'
+    );
+    assert.strictEqual(getHostScheduler().getStats().busyHosts.length, 0, 'Should leave no host busy');
+  } finally {
+    server.close();
+  }
+  console.log('✓ 429 backoff tests passed\n');
+
+  // Test the browser extractor's scheduling with a stand-in for a Puppeteer page
+  console.log('Testing browser page scheduling...');
+  const createPage = () => {
+    const page = new EventEmitter();
+    page.interception = [];
+    page.setRequestInterception = async (value) => { page.interception.push(value); };
+    return page;
+  };
+  const createRequest = (url) => ({
+    url: () => url,
+    headers: () => ({ accept: '*/*' }),
+    isInterceptResolutionHandled: () => false,
+    continue: async (overrides) => { createRequest.continued.push({ url, overrides }); }
+  });
+  createRequest.continued = [];
+
+  const browserExtractor = new BrowserMediaExtractor({ timeout: 1000 });
+  const page = createPage();
+  const gotos = [];
+  page.goto = async (url, options) => {
+    gotos.push(Date.now());
+    if (gotos.length === 1) {
+      // The page answers its own navigation with a 429, so the retry has to wait
+      page.emit('response', { url: () => url, status: () => 429, headers: () => ({ 'retry-after': '0.3' }) });
+      throw new Error('Navigation timeout');
+    }
+    assert.strictEqual(options.waitUntil, 'domcontentloaded', 'Should fall back to a lighter navigation');
+  };
+
+  const removeScheduling = await browserExtractor.scheduleRequests(page);
+  assert.deepStrictEqual(page.interception, [], 'Should leave request interception and the cache alone without auth');
+  await browserExtractor.loadPage(page, 'https://browser.test/');
+  assert.strictEqual(gotos.length, 2, 'Should retry the navigation');
+  assert.ok(gotos[1] - gotos[0] >= 290, 'Should wait out the backoff a page response triggered');
+
+  page.emit('response', { url: () => 'https://browser.test/a.jpg', status: () => 429, headers: () => ({ 'retry-after': '0.2' }) });
+  assert.ok(getHostScheduler().getStats().busyHosts.some(host => host.host === 'browser.test'), 'Should pause the host for other requests');
+  await removeScheduling();
+  assert.strictEqual(page.listenerCount('response'), 0, 'Should remove its listeners');
+
+  const authExtractor = new BrowserMediaExtractor({
+    requestProfile: new RequestProfile({ auth: { type: 'bearer', token: 'secret' } }, 'https://app.test/')
+  });
+  const authPage = createPage();
+  const removeAuth = await authExtractor.scheduleRequests(authPage);
+  assert.deepStrictEqual(authPage.interception, [true], 'Should intercept requests to add auth');
+  const started = Date.now();
+  authPage.emit('request', createRequest('https://browser.test/paused.jpg'));
+  authPage.emit('request', createRequest('https://app.test/photo.jpg'));
+  assert.ok(Date.now() - started < 50, 'Should not hold subresources back');
+  assert.deepStrictEqual(createRequest.continued.map(request => request.url), ['https://browser.test/paused.jpg', 'https://app.test/photo.jpg'], 'Should continue every request');
+  assert.strictEqual(createRequest.continued[0].overrides, undefined, 'Should not send auth to other hosts');
+  assert.strictEqual(createRequest.continued[1].overrides.headers.authorization, 'Bearer secret', 'Should send auth to the credential domain');
+  await removeAuth();
+  assert.deepStrictEqual(authPage.interception, [true, false], 'Should turn interception off again');
+  assert.strictEqual(authPage.listenerCount('request'), 0, 'Should remove the request listener');
+  console.log('✓ browser page scheduling tests passed\n');
+
+  console.log('✅ All host scheduler tests passed!');
+})().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
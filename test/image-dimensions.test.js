@@ -0,0 +1,52 @@
+const assert = require('assert');
+const { readImageDimensions } = require('../src/image-dimensions');
+
+console.log('Running image dimensions tests...\n');
+
+const bytes = (...parts) => Buffer.concat(parts.map(part => typeof part === 'string' ? Buffer.from(part, 'latin1') : Buffer.from(part)));
+const uint16BE = value => [value >> 8, value & 0xff];
+const uint16LE = value => [value & 0xff, value >> 8];
+const uint24LE = value => [value & 0xff, (value >> 8) & 0xff, value >> 16];
+
+// Test raster formats
+console.log('Testing raster formats...');
+const png = bytes([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d], 'IHDR', [0, 0, 0x07, 0x80, 0, 0, 0x04, 0x38], [8, 6, 0, 0, 0]);
+assert.deepStrictEqual(readImageDimensions(png), { width: 1920, height: 1080 }, 'Should read PNG IHDR');
+
+assert.deepStrictEqual(readImageDimensions(bytes('GIF89a', uint16LE(1), uint16LE(1), [0xf0, 0, 0])), { width: 1, height: 1 }, 'Should read GIF screen size');
+
+// JFIF and EXIF segments come before the progressive frame header
+const jpeg = bytes(
+  [0xff, 0xd8],
+  [0xff, 0xe0], uint16BE(16), 'JFIF', [0, 1, 1, 0, 0, 1, 0, 1, 0, 0],
+  [0xff, 0xe1], uint16BE(8), 'Exif', [0, 0],
+  [0xff, 0xc4], uint16BE(4), [0, 0],
+  [0xff, 0xc2], uint16BE(17), [8], uint16BE(480), uint16BE(640), [3, 1, 0x22, 0]
+);
+assert.deepStrictEqual(readImageDimensions(jpeg), { width: 640, height: 480 }, 'Should find the JPEG frame header past APPn and DHT segments');
+assert.strictEqual(readImageDimensions(jpeg.subarray(0, 30)), null, 'Should give up on a JPEG cut off before the frame header');
+console.log('✓ raster format tests passed\n');
+
+// Test WebP
+console.log('Testing WebP...');
+const webp = (chunk, payload) => bytes('RIFF', [0, 0, 0, 0], 'WEBP', chunk, [0, 0, 0, 0], payload);
+assert.deepStrictEqual(readImageDimensions(webp('VP8 ', bytes([0, 0, 0, 0x9d, 0x01, 0x2a], uint16LE(800), uint16LE(600), [0, 0]))), { width: 800, height: 600 }, 'Should read lossy WebP');
+
+const losslessBits = (1023 - 1) | ((511 - 1) << 14);
+assert.deepStrictEqual(readImageDimensions(webp('VP8L', bytes([0x2f], [losslessBits & 0xff, (losslessBits >> 8) & 0xff, (losslessBits >> 16) & 0xff, losslessBits >>> 24], [0, 0, 0, 0, 0]))), { width: 1023, height: 511 }, 'Should read lossless WebP');
+
+assert.deepStrictEqual(readImageDimensions(webp('VP8X', bytes([0x10, 0, 0, 0], uint24LE(4095), uint24LE(2047), [0, 0]))), { width: 4096, height: 2048 }, 'Should read extended WebP');
+console.log('✓ WebP tests passed\n');
+
+// Test SVG
+console.log('Testing SVG...');
+const svg = markup => Buffer.from(`<?xml version="1.0"?>\n${markup}<path d="M0 0"/></svg>`);
+assert.deepStrictEqual(readImageDimensions(svg('<svg xmlns="http://www.w3.org/2000/svg" width="120px" height="60">')), { width: 120, height: 60 }, 'Should read width and height attributes');
+assert.deepStrictEqual(readImageDimensions(svg('<svg viewBox="0 0 24 24">')), { width: 24, height: 24 }, 'Should fall back to the viewBox');
+assert.deepStrictEqual(readImageDimensions(svg('<svg width="300" viewBox="0,0,100,50">')), { width: 300, height: 150 }, 'Should scale a single dimension by the viewBox');
+assert.strictEqual(readImageDimensions(svg('<svg width="100%" height="100%">')), null, 'Should ignore relative lengths');
+console.log('✓ SVG tests passed\n');
+
+assert.strictEqual(readImageDimensions(Buffer.from('not an image at all')), null, 'Should return null for unknown data');
+
+console.log('✅ All image dimensions tests passed!');
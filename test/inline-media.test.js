@@ -0,0 +1,91 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cheerio = require('cheerio');
+const {
+  isInlineUrl,
+  getInlineFilePath,
+  parseDataUri,
+  decodeDataUri,
+  extractDataUrisFromCss,
+  extractInlineAssets,
+  describeInlineAsset,
+  saveInlineAsset
+} = require('../src/inline-media');
+
+console.log('Running inline media tests...\n');
+
+const PNG_DATA_URI = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+const SVG_DATA_URI = 'data:image/svg+xml,%3Csvg xmlns=%22http://www.w3.org/2000/svg%22%3E%3Ccircle r=%221%22/%3E%3C/svg%3E';
+
+// Test parseDataUri
+console.log('Testing parseDataUri...');
+const png = parseDataUri(PNG_DATA_URI);
+assert.strictEqual(png.mimeType, 'image/png', 'Should read the MIME type');
+assert.strictEqual(png.buffer.slice(1, 4).toString(), 'PNG', 'Should decode base64 data');
+const svg = parseDataUri(SVG_DATA_URI);
+assert.ok(svg.buffer.toString().startsWith('<svg'), 'Should percent-decode non-base64 data');
+assert.strictEqual(parseDataUri('https://example.com/a.png'), null, 'Should reject non-data URIs');
+console.log('✓ parseDataUri tests passed\n');
+
+// Test decodeDataUri
+console.log('Testing decodeDataUri...');
+const asset = decodeDataUri(PNG_DATA_URI);
+assert.ok(/^inline:[a-f0-9]{16}\.png$/.test(asset.url), 'Should name the asset by content hash');
+assert.strictEqual(asset.type, 'image', 'Should type the asset from its MIME type');
+assert.strictEqual(decodeDataUri(PNG_DATA_URI).url, asset.url, 'Should give identical content the same URL');
+assert.strictEqual(decodeDataUri('data:text/plain,hello'), null, 'Should ignore non-media data URIs');
+assert.strictEqual(decodeDataUri(SVG_DATA_URI).url.endsWith('.svg'), true, 'Should use .svg for SVG data URIs');
+console.log('✓ decodeDataUri tests passed\n');
+
+// Test extractDataUrisFromCss
+console.log('Testing extractDataUrisFromCss...');
+const cssAssets = extractDataUrisFromCss(`
+  .a { background: url("${SVG_DATA_URI}"); }
+  .b { background-image: url(${PNG_DATA_URI}); }
+  .c { background: url(/real.png); }
+`);
+assert.strictEqual(cssAssets.length, 2, 'Should decode quoted and unquoted data URIs only');
+console.log('✓ extractDataUrisFromCss tests passed\n');
+
+// Test extractInlineAssets
+console.log('Testing extractInlineAssets...');
+const $ = cheerio.load(`
+  <img src="${PNG_DATA_URI}">
+  <img src="/photo.jpg" srcset="${SVG_DATA_URI} 1x">
+  <svg viewBox="0 0 10 10"><path d="M0 0L10 10"/><svg><rect width="1" height="1"/></svg></svg>
+  <svg><use href="#sprite-icon"></use></svg>
+`);
+const assets = extractInlineAssets($);
+assert.strictEqual(assets.length, 3, 'Should find data URIs and standalone inline SVGs');
+const svgAsset = assets.find(item => item.tag === 'inline/svg');
+const svgText = svgAsset.buffer.toString();
+assert.ok(svgText.includes('xmlns="http://www.w3.org/2000/svg"'), 'Should add the SVG namespace');
+assert.ok(svgText.includes('<rect'), 'Should keep nested SVGs inside their parent');
+console.log('✓ extractInlineAssets tests passed\n');
+
+// Test inline file paths and saving
+console.log('Testing inline asset storage...');
+assert.strictEqual(isInlineUrl(asset.url), true, 'Should recognise inline URLs');
+assert.strictEqual(isInlineUrl('https://example.com/a.png'), false, 'Should not treat HTTP URLs as inline');
+assert.strictEqual(getInlineFilePath('inline:../../server.js'), null, 'Should reject paths outside the inline folder');
+assert.strictEqual(getInlineFilePath('../0123456789abcdef.png'), null, 'Should reject traversal in filenames');
+
+const info = describeInlineAsset(asset);
+assert.strictEqual(info.size, png.buffer.length, 'Should report the decoded size');
+assert.deepStrictEqual(info.inline, { source: 'data-uri', filename: asset.url.substring('inline:'.length) }, 'Should describe the inline source');
+assert.deepStrictEqual([describeInlineAsset(svgAsset).width, describeInlineAsset(svgAsset).height], [10, 10], 'Should measure inline SVGs from their viewBox');
+
+const inlineDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'inline-test-')), 'inline');
+try {
+  const filePath = saveInlineAsset(asset, inlineDir);
+  assert.strictEqual(path.dirname(filePath), inlineDir, 'Should write into the given folder');
+  assert.deepStrictEqual(fs.readFileSync(filePath), png.buffer, 'Should write the decoded bytes');
+  assert.strictEqual(saveInlineAsset(asset, inlineDir), filePath, 'Should reuse the file for identical content');
+} finally {
+  fs.rmSync(path.dirname(inlineDir), { recursive: true });
+}
+console.log('✓ inline asset storage tests passed\n');
+
+console.log('✅ All inline media tests passed!');
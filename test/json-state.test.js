@@ -0,0 +1,56 @@
+const assert = require('assert');
+const cheerio = require('cheerio');
+const { extractJsonStateUrls, extractStringLiterals } = require('../src/json-state');
+
+console.log('Running JSON state tests...\n');
+
+// Test extractStringLiterals
+console.log('Testing extractStringLiterals...');
+assert.deepStrictEqual(
+  extractStringLiterals(`a("https:\\u002F\\u002Fcdn.example.com\\u002Fa.jpg", '\\/b\\/c.png', "x")`),
+  ['https://cdn.example.com/a.jpg', '/b/c.png'],
+  'Should decode unicode and slash escapes in both quote styles'
+);
+assert.deepStrictEqual(extractStringLiterals(`f("\\x2Fmedia\\x2Fd.gif")`), ['/media/d.gif'], 'Should decode \\x escapes');
+console.log('✓ extractStringLiterals tests passed\n');
+
+// Test extractJsonStateUrls
+console.log('Testing extractJsonStateUrls...');
+const nextData = JSON.stringify({
+  props: {
+    pageProps: {
+      gallery: [{ src: 'https://cdn.example.com/photos/1.jpg' }, { src: '/photos/2.webp' }],
+      serialized: JSON.stringify({ hero: { video: '/media/intro.mp4' } }),
+      route: '/photos',
+      caption: 'sunset over the bay.jpg'
+    }
+  }
+}).replace(/\//g, '\\/');
+
+const $ = cheerio.load(`
+  <script id="__NEXT_DATA__" type="application/json">${nextData}</script>
+  <script type="application/json">{"audio": "\\u002Fpodcast\\u002Fep1.mp3"}</script>
+  <script>window.__NUXT__=(function(a){return {items:[{image:a},{image:'\\/uploads\\/3.png'}]}}("https:\\u002F\\u002Fcdn.example.com\\u002F4.gif"));</script>
+  <script>var unrelated = "/not-state.jpg";</script>
+  <script src="/app.js"></script>
+`);
+const urls = extractJsonStateUrls($, 'https://example.com/gallery/');
+assert.deepStrictEqual(urls.slice().sort(), [
+  'https://cdn.example.com/4.gif',
+  'https://cdn.example.com/photos/1.jpg',
+  'https://example.com/media/intro.mp4',
+  'https://example.com/photos/2.webp',
+  'https://example.com/podcast/ep1.mp3',
+  'https://example.com/uploads/3.png'
+], 'Should find media URLs in JSON payloads, nested JSON strings and state scripts');
+assert.ok(!urls.includes('https://example.com/not-state.jpg'), 'Should ignore scripts that do not assign framework state');
+assert.ok(!urls.includes('https://example.com/photos'), 'Should ignore route paths without a media extension');
+
+const broken = cheerio.load('<script type="application/json">{"src": "/img/ok.png", broken</script>');
+assert.deepStrictEqual(extractJsonStateUrls(broken, 'https://example.com/'), ['https://example.com/img/ok.png'], 'Should fall back to string literals for invalid JSON');
+
+const unsafe = cheerio.load('<script type="application/json">{"src": "http://127.0.0.1/secret.png"}</script>');
+assert.deepStrictEqual(extractJsonStateUrls(unsafe, 'https://example.com/'), [], 'Should drop private network URLs');
+console.log('✓ extractJsonStateUrls tests passed\n');
+
+console.log('✅ All JSON state tests passed!');
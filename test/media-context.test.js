@@ -0,0 +1,76 @@
+const assert = require('assert');
+const cheerio = require('cheerio');
+const { extractMediaContexts, getCssPath } = require('../src/media-context');
+const MediaCollection = require('../src/media-collection');
+
+console.log('Running media context tests...\n');
+
+const $ = cheerio.load(`
+  <main id="content">
+    <article class="post featured">
+      <figure>
+        <a href="/gallery/sunset">
+          <img src="/images/sunset.jpg" alt="  Sunset over
+            the bay " title="Sunset" srcset="/images/sunset-2x.jpg 2x">
+        </a>
+        <figcaption>Taken from <em>the pier</em>.</figcaption>
+      </figure>
+      <picture>
+        <source srcset="/images/hero.webp" type="image/webp">
+        <img src="/images/hero.jpg" alt="Hero image">
+      </picture>
+      <video poster="/images/poster.jpg" title="Launch video">
+        <source src="/videos/launch.mp4">
+      </video>
+      <div class="banner" style="background-image: url('/images/banner.png')"></div>
+      <img src="/images/sunset.jpg">
+      <a href="javascript:void(0)"><img src="/images/icon.png" alt=""></a>
+    </article>
+  </main>
+`);
+
+// Test extractMediaContexts
+console.log('Testing extractMediaContexts...');
+const contexts = extractMediaContexts($, 'https://example.com/blog/post');
+
+assert.deepStrictEqual(contexts.get('https://example.com/images/sunset.jpg'), {
+  alt: 'Sunset over the bay',
+  title: 'Sunset',
+  caption: 'Taken from the pier.',
+  linkHref: 'https://example.com/gallery/sunset',
+  selector: 'article.post > figure > a > img'
+}, 'Should collect alt, title, caption, link and selector');
+assert.strictEqual(contexts.get('https://example.com/images/sunset-2x.jpg').alt, 'Sunset over the bay', 'Should give srcset candidates the element context');
+
+const heroSource = contexts.get('https://example.com/images/hero.webp');
+assert.strictEqual(heroSource.alt, 'Hero image', 'Should borrow alt from the <img> of a <picture>');
+assert.strictEqual(heroSource.selector, 'main#content > article.post > picture > source', 'Should point at the <source> element');
+
+assert.strictEqual(contexts.get('https://example.com/videos/launch.mp4').title, 'Launch video', 'Should borrow the title of the parent <video>');
+assert.strictEqual(contexts.get('https://example.com/images/poster.jpg').title, 'Launch video', 'Should describe video posters');
+assert.strictEqual(contexts.get('https://example.com/images/banner.png').selector, 'main#content > article.post > div.banner', 'Should describe CSS background elements');
+
+const icon = contexts.get('https://example.com/images/icon.png');
+assert.strictEqual(icon.alt, null, 'Should treat empty alt text as missing');
+assert.strictEqual(icon.linkHref, null, 'Should ignore javascript: links');
+console.log('✓ extractMediaContexts tests passed\n');
+
+// Test getCssPath depth
+console.log('Testing getCssPath...');
+const $deep = cheerio.load('<div><section><ul><li><span><img src="/a.png"></span></li></ul></section></div>');
+assert.strictEqual(getCssPath($deep, $deep('img')[0]), 'ul > li > span > img', 'Should keep the path short');
+console.log('✓ getCssPath tests passed\n');
+
+// Test context on MediaCollection
+console.log('Testing media collection context...');
+const collection = new MediaCollection();
+collection.add('https://example.com/a.png', { context: { alt: null, caption: 'First', selector: 'img' } });
+collection.add('https://example.com/a.png', { context: { alt: 'Later alt', caption: 'Second', selector: 'div > img' } });
+const annotated = collection.annotate('https://example.com/a.png', { url: 'https://example.com/a.png' });
+assert.deepStrictEqual(annotated.context, { alt: 'Later alt', caption: 'First', selector: 'img' }, 'Should fill missing context fields without overwriting');
+
+const merged = new MediaCollection().merge(collection, { foundOn: 'https://example.com/' });
+assert.strictEqual(merged.get('https://example.com/a.png').context.alt, 'Later alt', 'Should keep context when merging pages');
+console.log('✓ media collection context tests passed\n');
+
+console.log('✅ All media context tests passed!');
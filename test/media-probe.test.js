@@ -0,0 +1,114 @@
+const assert = require('assert');
+const http = require('http');
+const {
+  PROBE_BYTES,
+  isGenericContentType,
+  classifyContentType,
+  detectSignature,
+  identifyMedia
+} = require('../src/media-probe');
+const { generateUniqueFilename } = require('../src/utils');
+
+console.log('Running media probe tests...\n');
+
+const bytes = (...parts) => Buffer.concat(parts.map(part => typeof part === 'string' ? Buffer.from(part, 'latin1') : Buffer.from(part)));
+const ftyp = (...brands) => bytes([0, 0, 0, 12 + brands.length * 4], 'ftyp', brands[0], [0, 0, 0, 0], ...brands.slice(1));
+
+const JPEG = bytes([0xff, 0xd8, 0xff, 0xe0, 0, 0x10], 'JFIF');
+const PNG = bytes([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d], 'IHDR', [0, 0, 0x03, 0x20, 0, 0, 0x02, 0x58]);
+const GIF = bytes('GIF89a', [1, 0, 1, 0]);
+const WEBM = bytes([0x1a, 0x45, 0xdf, 0xa3, 0x9f, 0x42, 0x82, 0x84], 'webm');
+
+// Test detectSignature
+console.log('Testing detectSignature...');
+const detect = buffer => {
+  const detected = detectSignature(buffer);
+  return detected && [detected.type, detected.contentType, detected.extension];
+};
+assert.deepStrictEqual(detect(JPEG), ['image', 'image/jpeg', '.jpg'], 'Should detect JPEG');
+assert.deepStrictEqual(detect(PNG), ['image', 'image/png', '.png'], 'Should detect PNG');
+assert.deepStrictEqual(detect(GIF), ['image', 'image/gif', '.gif'], 'Should detect GIF');
+assert.deepStrictEqual(detect(bytes('RIFF', [0x24, 0, 0, 0], 'WEBPVP8 ')), ['image', 'image/webp', '.webp'], 'Should detect WebP');
+assert.deepStrictEqual(detect(ftyp('avif', 'mif1', 'miaf')), ['image', 'image/avif', '.avif'], 'Should detect AVIF');
+assert.deepStrictEqual(detect(ftyp('mif1', 'avif')), ['image', 'image/avif', '.avif'], 'Should detect AVIF from compatible brands');
+assert.deepStrictEqual(detect(ftyp('heic', 'mif1')), ['image', 'image/heic', '.heic'], 'Should detect HEIC stills');
+assert.deepStrictEqual(detect(ftyp('isom', 'iso2', 'mp41')), ['video', 'video/mp4', '.mp4'], 'Should detect MP4');
+assert.deepStrictEqual(detect(ftyp('M4A ', 'isom')), ['audio', 'audio/mp4', '.m4a'], 'Should detect M4A audio');
+assert.deepStrictEqual(detect(WEBM), ['video', 'video/webm', '.webm'], 'Should detect WebM');
+assert.deepStrictEqual(detect(bytes([0x1a, 0x45, 0xdf, 0xa3], 'matroska')), ['video', 'video/x-matroska', '.mkv'], 'Should tell Matroska from WebM');
+assert.deepStrictEqual(detect(bytes('<?xml version="1.0"?>\n<!-- Generator -->\n<svg xmlns="http://www.w3.org/2000/svg">')), ['image', 'image/svg+xml', '.svg'], 'Should detect SVG markup');
+assert.strictEqual(detectSignature(bytes('<!DOCTYPE html><html>')), null, 'Should not classify HTML');
+assert.strictEqual(detectSignature(Buffer.alloc(0)), null, 'Should handle empty input');
+console.log('✓ detectSignature tests passed\n');
+
+// Test classifyContentType
+console.log('Testing classifyContentType...');
+assert.deepStrictEqual(classifyContentType('image/jpeg; charset=binary'), { type: 'image', contentType: 'image/jpeg', extension: '.jpg' }, 'Should classify images');
+assert.strictEqual(classifyContentType('video/quicktime').extension, '.mov', 'Should prefer familiar extensions');
+assert.strictEqual(classifyContentType('font/woff2').type, 'font', 'Should classify fonts');
+assert.strictEqual(classifyContentType('text/html'), null, 'Should not classify pages');
+assert.strictEqual(classifyContentType('application/octet-stream'), null, 'Should not classify generic types');
+assert.strictEqual(isGenericContentType(undefined), true, 'Should treat a missing header as generic');
+assert.strictEqual(isGenericContentType('binary/octet-stream'), true, 'Should treat octet-stream as generic');
+assert.strictEqual(isGenericContentType('text/html'), false, 'Should not treat HTML as generic');
+console.log('✓ classifyContentType tests passed\n');
+
+// Test generateUniqueFilename with an identified extension
+console.log('Testing generateUniqueFilename extensions...');
+assert.strictEqual(generateUniqueFilename('https://cdn.example.com/media/12345?w=800', [], '.webp'), '12345.webp', 'Should add the real extension');
+assert.strictEqual(generateUniqueFilename('https://cdn.example.com/photo.jpg', [], '.webp'), 'photo.webp', 'Should replace a wrong extension');
+assert.strictEqual(generateUniqueFilename('https://cdn.example.com/photo.jpeg', [], '.jpg'), 'photo.jpeg', 'Should keep an equivalent extension');
+assert.strictEqual(generateUniqueFilename('https://cdn.example.com/photo.v2', [], '.png'), 'photo.v2.png', 'Should keep unknown suffixes');
+console.log('✓ generateUniqueFilename extension tests passed\n');
+
+(async () => {
+  // Test identifyMedia against a server that mislabels its files
+  console.log('Testing identifyMedia...');
+  const ranges = [];
+  const server = http.createServer((req, res) => {
+    ranges.push(req.headers.range);
+    if (req.url === '/media/123') {
+      res.writeHead(206, { 'Content-Type': 'application/octet-stream', 'Content-Range': 'bytes 0-63/48213' });
+      res.end(Buffer.concat([PNG, Buffer.alloc(50)]));
+    } else if (req.url === '/spacer.gif') {
+      res.writeHead(200, { 'Content-Type': 'image/gif' });
+      res.end(GIF);
+    } else if (req.url === '/clip') {
+      // Ignores the Range header and sends the whole file
+      res.writeHead(200, { 'Content-Length': WEBM.length + 4096 });
+      res.end(Buffer.concat([WEBM, Buffer.alloc(4096)]));
+    } else {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('not media');
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const png = await identifyMedia(`${base}/media/123`, 'application/octet-stream');
+    assert.deepStrictEqual(png, { type: 'image', contentType: 'image/png', extension: '.png', size: 48213, width: 800, height: 600 }, 'Should sniff generic responses and measure images');
+    assert.strictEqual(ranges[0], `bytes=0-${PROBE_BYTES - 1}`, 'Should only ask for the first bytes');
+
+    const gif = await identifyMedia(`${base}/spacer.gif`, 'image/gif');
+    assert.deepStrictEqual([gif.width, gif.height], [1, 1], 'Should measure images with a declared type');
+
+    const webm = await identifyMedia(`${base}/clip`, null);
+    assert.strictEqual(webm.type, 'video', 'Should sniff when the header is missing');
+    assert.strictEqual(webm.size, WEBM.length + 4096, 'Should take the size from a full response');
+
+    assert.strictEqual(await identifyMedia(`${base}/text`, 'text/plain'), null, 'Should give up on unknown content');
+    assert.strictEqual(await identifyMedia(`${base}/page`, 'text/html'), null, 'Should not sniff specific non-media types');
+    assert.strictEqual((await identifyMedia(`${base}/clip.mp4`, 'video/mp4')).type, 'video', 'Should trust declared video types');
+    assert.strictEqual(ranges.length, 4, 'Should only fetch generic responses and images');
+    assert.strictEqual(await identifyMedia('http://127.0.0.1:1/missing', null), null, 'Should swallow sniffing errors');
+  } finally {
+    server.close();
+  }
+  console.log('✓ identifyMedia tests passed\n');
+
+  console.log('✅ All media probe tests passed!');
+})().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,99 @@
+const assert = require('assert');
+const cheerio = require('cheerio');
+const EventEmitter = require('events');
+const MediaExtractor = require('../src/extractor');
+const BrowserMediaExtractor = require('../src/browser-extractor');
+const MediaCollection = require('../src/media-collection');
+const { validateMediaFilters } = require('../src/utils');
+
+console.log('Running media source tests...\n');
+
+const extractor = new MediaExtractor();
+const filters = validateMediaFilters({});
+const baseUrl = 'https://example.com/page';
+
+// Test sources recorded by the static extractor
+console.log('Testing extractor sources...');
+const html = `
+  <img src="/images/a.jpg" data-src="/images/b.jpg">
+  <div style="background-image: url('/images/bg.png')"></div>
+  <style>.hero { background: url('/images/hero.png'); }</style>
+  <script>var later = "https://example.com/images/a.jpg";</script>
+`;
+const $ = cheerio.load(html);
+const mediaUrls = new MediaCollection();
+extractor.extractFromHtmlElements($, baseUrl, mediaUrls, filters);
+extractor.parseCss($('style').html(), baseUrl, mediaUrls, filters, 'style-tag');
+extractor.parseCss('.logo { background: url(logo.svg); }', 'https://cdn.example.com/site.css', mediaUrls, filters);
+extractor.extractFromHtmlContent($('script').html(), baseUrl, mediaUrls, filters);
+
+const sourcesOf = (url) => Array.from(mediaUrls.get(url).sources);
+assert.deepStrictEqual(sourcesOf('https://example.com/images/a.jpg'), ['element:img[src]', 'html-scan'], 'Should record every step that found a URL');
+assert.deepStrictEqual(sourcesOf('https://example.com/images/b.jpg'), ['element:img[data-src]'], 'Should name the attribute');
+assert.ok(sourcesOf('https://example.com/images/bg.png').includes('inline-style'), 'Should record inline styles');
+assert.deepStrictEqual(sourcesOf('https://example.com/images/hero.png'), ['style-tag'], 'Should record <style> tags');
+assert.deepStrictEqual(sourcesOf('https://cdn.example.com/logo.svg'), ['stylesheet:https://cdn.example.com/site.css'], 'Should record the stylesheet URL');
+console.log('✓ extractor source tests passed\n');
+
+// Test sources on MediaCollection
+console.log('Testing media collection sources...');
+const collection = new MediaCollection();
+collection.add('https://example.com/a.png', { source: 'network' });
+collection.add('https://example.com/a.png', { source: 'element:img[src]' });
+collection.add('https://example.com/a.png', { source: 'network' });
+collection.add('https://example.com/b.png');
+
+const annotated = collection.annotate('https://example.com/a.png', { url: 'https://example.com/a.png' });
+assert.deepStrictEqual(annotated.sources, ['network', 'element:img[src]'], 'Should list each source once');
+assert.strictEqual(collection.annotate('https://example.com/b.png', {}).sources, undefined, 'Should leave sources out when none were recorded');
+
+const merged = new MediaCollection().merge(collection, { source: 'frame:https://example.com/frame' });
+assert.deepStrictEqual(Array.from(merged.get('https://example.com/a.png').sources), ['frame:https://example.com/frame', 'network', 'element:img[src]'], 'Should keep sources when merging');
+console.log('✓ media collection source tests passed\n');
+
+// Test countSources
+console.log('Testing countSources...');
+const counts = {};
+MediaCollection.countSources(counts, ['element:img[src]', 'element:img[data-src]', 'network']);
+MediaCollection.countSources(counts, ['stylesheet:https://example.com/a.css']);
+MediaCollection.countSources(counts);
+assert.deepStrictEqual(counts, { element: 1, network: 1, stylesheet: 1 }, 'Should count each kind once per item');
+console.log('✓ countSources tests passed\n');
+
+(async () => {
+  // Test the per-job stylesheet cache
+  console.log('Testing the stylesheet cache...');
+  const cached = new MediaExtractor({ maxCachedStylesheets: 2 });
+  const requested = [];
+  cached.requestCss = async (cssUrl) => {
+    requested.push(cssUrl);
+    return '';
+  };
+  await cached.fetchCss('https://example.com/a.css');
+  await cached.fetchCss('https://example.com/b.css');
+  await cached.fetchCss('https://example.com/a.css');
+  assert.deepStrictEqual(requested, ['https://example.com/a.css', 'https://example.com/b.css'], 'Should fetch each stylesheet once');
+  await cached.fetchCss('https://example.com/c.css');
+  assert.deepStrictEqual(Array.from(cached.stylesheetCache.keys()), ['https://example.com/b.css', 'https://example.com/c.css'], 'Should drop the oldest stylesheet past the cap');
+  await cached.extractMedia('not-a-url');
+  assert.strictEqual(cached.stylesheetCache.size, 0, 'Should empty the cache when the job ends');
+  console.log('✓ stylesheet cache tests passed\n');
+
+  // Test that a browser job takes its listeners off the pooled page
+  console.log('Testing browser page listeners...');
+  const page = new EventEmitter();
+  page.goto = async () => {
+    throw new Error('Navigation failed');
+  };
+  const browserExtractor = new BrowserMediaExtractor();
+  browserExtractor.browserPool = { acquirePage: async () => page, releasePage: async () => {} };
+  const browserResults = await browserExtractor.extractMedia('https://example.com/');
+  assert.strictEqual(browserResults.errors[0].error, 'Navigation failed', 'Should report the failed job');
+  assert.strictEqual(page.listenerCount('response'), 0, 'Should remove its response listeners before releasing the page');
+  console.log('✓ browser page listener tests passed\n');
+
+  console.log('✅ All media source tests passed!');
+})().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,131 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+const { GifWriter } = require('omggif');
+const { decodeImage, computeDHash, hashImageFiles, hammingDistance, clusterByHash } = require('../src/perceptual-hash');
+const { validateDedupeOptions } = require('../src/canonical-url');
+const DownloadManager = require('../src/downloader');
+
+console.log('Running perceptual hash tests...\n');
+
+// A diagonal gradient with a dark block, drawn at any size
+function drawImage(width, height, invert = false) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let value = Math.round(255 * ((x / width + y / height) / 2));
+      if (x > width * 0.6 && y < height * 0.4) {
+        value = 20;
+      }
+      if (invert) {
+        value = 255 - value;
+      }
+      const offset = (y * width + x) * 4;
+      data[offset] = data[offset + 1] = data[offset + 2] = value;
+      data[offset + 3] = 255;
+    }
+  }
+  return { width, height, data };
+}
+
+function encodePng(image) {
+  const png = new PNG({ width: image.width, height: image.height });
+  image.data.copy(png.data);
+  return PNG.sync.write(png);
+}
+
+function encodeJpeg(image) {
+  return jpeg.encode(image, 80).data;
+}
+
+function encodeGif(image) {
+  const palette = Array.from({ length: 256 }, (_, i) => (i << 16) | (i << 8) | i);
+  const pixels = Array.from({ length: image.width * image.height }, (_, i) => image.data[i * 4]);
+  const buffer = Buffer.alloc(image.width * image.height * 2 + 2048);
+  const writer = new GifWriter(buffer, image.width, image.height, { palette });
+  writer.addFrame(0, 0, image.width, image.height, pixels);
+  return buffer.subarray(0, writer.end());
+}
+
+// Test decodeImage
+console.log('Testing decodeImage...');
+const large = encodePng(drawImage(320, 160));
+const small = encodeJpeg(drawImage(120, 60));
+const gif = encodeGif(drawImage(80, 40));
+const other = encodePng(drawImage(320, 160, true));
+
+assert.deepStrictEqual([decodeImage(large).width, decodeImage(large).height], [320, 160], 'Should decode PNG');
+assert.deepStrictEqual([decodeImage(small).width, decodeImage(small).height], [120, 60], 'Should decode JPEG');
+assert.deepStrictEqual([decodeImage(gif).width, decodeImage(gif).height], [80, 40], 'Should decode the first GIF frame');
+assert.strictEqual(decodeImage(Buffer.from('<svg width="10" height="10"></svg>')), null, 'Should skip formats without a decoder');
+console.log('✓ decodeImage tests passed\n');
+
+// Test computeDHash
+console.log('Testing computeDHash...');
+const largeHash = computeDHash(decodeImage(large));
+assert.match(largeHash, /^[0-9a-f]{16}$/, 'Should return 16 hex digits');
+assert.ok(hammingDistance(largeHash, computeDHash(decodeImage(small))) <= 4, 'Should give resized JPEG copies a close hash');
+assert.ok(hammingDistance(largeHash, computeDHash(decodeImage(gif))) <= 4, 'Should give GIF copies a close hash');
+assert.ok(hammingDistance(largeHash, computeDHash(decodeImage(other))) > 20, 'Should give different images distant hashes');
+assert.strictEqual(computeDHash({ width: 4, height: 4, data: Buffer.alloc(64, 255) }), null, 'Should not hash flat images');
+assert.strictEqual(hammingDistance('00000000000000ff', '000000000000000f'), 4, 'Should count differing bits');
+console.log('✓ computeDHash tests passed\n');
+
+// Test clusterByHash
+console.log('Testing clusterByHash...');
+const items = [
+  { dHash: '0000000000000000', width: 100, height: 50 },
+  { dHash: 'ffffffffffffffff', width: 100, height: 50 },
+  { dHash: '0000000000000003', width: 200, height: 100 },
+  { dHash: '000000000000000f', width: 100, height: 100 },
+  { dHash: null, width: 100, height: 50 }
+];
+assert.deepStrictEqual(clusterByHash(items, 10), [[0, 2]], 'Should cluster close hashes with matching aspect ratios');
+assert.deepStrictEqual(clusterByHash(items, 0), [], 'Should respect the threshold');
+console.log('✓ clusterByHash tests passed\n');
+
+// Test dedupe options
+console.log('Testing similarity options...');
+assert.strictEqual(validateDedupeOptions().similarImages, false, 'Should only remove similar images when asked');
+assert.strictEqual(validateDedupeOptions().similarityThreshold, 10, 'Should default the threshold');
+assert.strictEqual(validateDedupeOptions({ similarityThreshold: 99 }).similarityThreshold, 32, 'Should cap the threshold');
+assert.strictEqual(validateDedupeOptions({ similarImages: true }).similarImages, true, 'Should turn clustering on');
+console.log('✓ similarity option tests passed\n');
+
+(async () => {
+  // Test removeSimilarImages
+  console.log('Testing removeSimilarImages...');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'similar-test-'));
+  const write = (name, content, type = 'image') => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, content);
+    return { downloadId: name, url: `https://example.com/${name}`, filename: name, filePath, size: content.length, type };
+  };
+  const thumb = write('thumb.jpg', small);
+  const original = write('original.png', large);
+  const unrelated = write('other.png', other);
+  const icon = write('icon.svg', Buffer.from('<svg width="10" height="10"></svg>'));
+
+  const hashes = await hashImageFiles([thumb.filePath, icon.filePath, path.join(dir, 'missing.png')]);
+  assert.deepStrictEqual(hashes[0], { width: 120, height: 60, dHash: computeDHash(decodeImage(small)) }, 'Should hash files in the worker like in-process');
+  assert.deepStrictEqual(hashes.slice(1), [null, null], 'Should return null for files it can not decode');
+
+  const results = await new DownloadManager().removeSimilarImages({ completed: [thumb, original, unrelated, icon], similarClusters: [] }, 10);
+  assert.deepStrictEqual(results.completed.map(d => d.filename), ['original.png', 'other.png', 'icon.svg'], 'Should keep the largest image of each cluster');
+  assert.strictEqual(results.similarRemoved, 1, 'Should count the removed images');
+  assert.strictEqual(results.similarClusters.length, 1, 'Should report one cluster');
+  assert.strictEqual(results.similarClusters[0].kept, original.url, 'Should report the kept image');
+  assert.deepStrictEqual(results.similarClusters[0].members.map(member => member.url), [thumb.url, original.url], 'Should list every member');
+  assert.strictEqual(fs.existsSync(thumb.filePath), false, 'Should delete the smaller copies');
+  assert.strictEqual(icon.dHash, undefined, 'Should leave images it can not decode alone');
+  fs.rmSync(dir, { recursive: true });
+  console.log('✓ removeSimilarImages tests passed\n');
+
+  console.log('✅ All perceptual hash tests passed!');
+})().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
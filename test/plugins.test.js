@@ -0,0 +1,147 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const cheerio = require('cheerio');
+const { PluginRegistry, matchesHostPattern } = require('../src/plugins');
+const MediaExtractor = require('../src/extractor');
+
+console.log('Running plugin tests...\n');
+
+// Test matchesHostPattern
+console.log('Testing matchesHostPattern...');
+assert.strictEqual(matchesHostPattern('example.com', 'example.com'), true, 'Should match exact hosts');
+assert.strictEqual(matchesHostPattern('example.com', 'www.example.com'), false, 'Should not match subdomains of exact hosts');
+assert.strictEqual(matchesHostPattern('*.example.com', 'img.cdn.example.com'), true, 'Should match subdomains with a wildcard');
+assert.strictEqual(matchesHostPattern('*.example.com', 'example.com'), true, 'Should match the bare domain with a wildcard');
+assert.strictEqual(matchesHostPattern('*.example.com', 'badexample.com'), false, 'Should not match lookalike domains');
+assert.strictEqual(matchesHostPattern('*', 'anything.test'), true, 'Should match every host with *');
+assert.strictEqual(matchesHostPattern(/^i\d\.wp\.com$/, 'i2.wp.com'), true, 'Should test RegExp patterns');
+console.log('✓ matchesHostPattern tests passed\n');
+
+// Test loading and registration
+console.log('Testing plugin loading...');
+const pluginDir = fs.mkdtempSync(path.join(os.tmpdir(), 'plugins-test-'));
+fs.writeFileSync(path.join(pluginDir, 'b-second.js'), `module.exports = { name: 'second', hosts: ['*.example.com'], rewriteUrl: url => url.replace('-thumb', '') };`);
+fs.writeFileSync(path.join(pluginDir, 'a-first.js'), `module.exports = { name: 'first', hosts: ['cdn.example.com'], rewriteUrl: url => url.replace('/small/', '/large/') };`);
+fs.writeFileSync(path.join(pluginDir, 'notes.txt'), 'not a plugin');
+
+const registry = new PluginRegistry({ pluginDir }).load();
+assert.deepStrictEqual(registry.plugins.map(plugin => plugin.name), ['first', 'second'], 'Should load .js files in name order');
+assert.deepStrictEqual(registry.getPlugins('https://www.example.com/').map(plugin => plugin.name), ['second'], 'Should select plugins by host');
+assert.deepStrictEqual(new PluginRegistry({ pluginDir: path.join(pluginDir, 'missing') }).load().plugins, [], 'Should allow a missing plugin directory');
+
+assert.throws(() => registry.register({ name: 'second', hosts: ['*'], rewriteUrl: url => url }), /already registered/, 'Should reject duplicate names');
+assert.throws(() => registry.register({ name: 'nohosts', rewriteUrl: url => url }), /hosts array/, 'Should require hosts');
+assert.throws(() => registry.register({ name: 'nohooks', hosts: ['*'] }), /at least one of/, 'Should require a hook');
+fs.rmSync(pluginDir, { recursive: true });
+console.log('✓ plugin loading tests passed\n');
+
+// Test rewriteUrl
+console.log('Testing rewriteUrl...');
+assert.strictEqual(registry.rewriteUrl('https://cdn.example.com/small/a-thumb.jpg', 'https://www.example.com/'), 'https://cdn.example.com/large/a.jpg', 'Should chain matching plugins');
+assert.strictEqual(registry.rewriteUrl('https://other.test/small/a-thumb.jpg', 'https://www.example.com/'), 'https://other.test/small/a.jpg', 'Should match plugins by page host too');
+assert.strictEqual(registry.rewriteUrl('https://other.test/a-thumb.jpg', 'https://other.test/'), 'https://other.test/a-thumb.jpg', 'Should leave unmatched URLs alone');
+
+const errors = [];
+const failing = new PluginRegistry()
+  .register({ name: 'broken', hosts: ['*'], rewriteUrl: () => { throw new Error('boom'); } })
+  .register({ name: 'junk', hosts: ['*'], rewriteUrl: url => (url.includes('/junk/') ? null : url) });
+assert.strictEqual(failing.rewriteUrl('https://example.com/a.jpg', null, errors), 'https://example.com/a.jpg', 'Should keep the URL when a hook fails');
+assert.deepStrictEqual(errors, [{ url: 'https://example.com/a.jpg', error: 'Plugin broken: boom' }], 'Should report failing hooks');
+assert.strictEqual(failing.rewriteUrl('https://example.com/junk/a.jpg'), null, 'Should drop URLs a hook returns null for');
+console.log('✓ rewriteUrl tests passed\n');
+
+// Test the shipped example plugins
+console.log('Testing example plugins...');
+assert.deepStrictEqual(new PluginRegistry({ pluginDir: path.join(__dirname, '..', 'plugins') }).load().plugins, [], 'Should not load the examples by default');
+const shipped = new PluginRegistry({ pluginDir: path.join(__dirname, '..', 'plugins', 'examples') }).load();
+assert.strictEqual(
+  shipped.rewriteUrl('https://upload.wikimedia.org/wikipedia/commons/thumb/a/ab/Sunset_%28bay%29.jpg/220px-Sunset_%28bay%29.jpg', 'https://en.wikipedia.org/wiki/Sunset'),
+  'https://upload.wikimedia.org/wikipedia/commons/a/ab/Sunset_%28bay%29.jpg',
+  'Should rewrite Wikimedia thumbnails to originals'
+);
+assert.strictEqual(shipped.rewriteUrl('https://www.facebook.com/tr?id=1&ev=PageView', 'https://example.com/'), null, 'Should drop tracking pixels');
+assert.strictEqual(shipped.rewriteUrl('https://example.com/images/spacer.gif', 'https://example.com/'), null, 'Should drop spacer images');
+assert.strictEqual(shipped.rewriteUrl('https://example.com/images/photo.gif', 'https://example.com/'), 'https://example.com/images/photo.gif', 'Should keep other images');
+
+const pixelResults = {
+  url: 'https://example.com/',
+  errors: [],
+  media: [
+    { url: 'https://example.com/p.png', type: 'image', width: 1, height: 1, sources: ['element:img[src]'] },
+    { url: 'https://example.com/a.png', type: 'image', width: 640, height: 480, sources: ['element:img[src]'] }
+  ],
+  stats: { images: 2, sources: { element: 2 } }
+};
+(async () => {
+  await shipped.processResults(pixelResults, { pageUrl: 'https://example.com/' });
+  assert.deepStrictEqual(pixelResults.media.map(media => media.url), ['https://example.com/a.png'], 'Should remove 1×1 images');
+  assert.deepStrictEqual(pixelResults.stats, { images: 1, sources: { element: 1 } }, 'Should keep the stats in step');
+
+  const $ = cheerio.load('<a href="/wiki/File:Sunset_(bay).jpg">Sunset</a><a href="/wiki/File:Sunset_(bay).jpg#top">again</a><a href="/wiki/File:Broken_%E0%A4%A.jpg">broken</a>');
+  const requested = [];
+  const found = await shipped.discover({
+    pageUrl: 'https://en.wikipedia.org/wiki/Sunset',
+    $,
+    request: async (url) => {
+      requested.push(new URL(url));
+      return { data: { query: { pages: [{ title: 'File:Sunset (bay).jpg', imageinfo: [{ url: 'https://upload.wikimedia.org/wikipedia/commons/a/ab/Sunset_(bay).jpg' }] }] } } };
+    }
+  });
+  assert.strictEqual(requested.length, 1, 'Should batch the file lookups');
+  assert.strictEqual(requested[0].searchParams.get('titles'), 'File:Sunset (bay).jpg', 'Should look up each linked file once');
+  assert.deepStrictEqual(found, [{ url: 'https://upload.wikimedia.org/wikipedia/commons/a/ab/Sunset_(bay).jpg', type: null, source: 'plugin:wikimedia' }], 'Should return the original file URLs');
+  console.log('✓ example plugin tests passed\n');
+
+  // Test the hooks inside MediaExtractor
+  console.log('Testing plugins in MediaExtractor...');
+  const server = http.createServer((req, res) => {
+    if (req.url === '/gallery') {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end('<div id="gallery" data-id="7"></div><img src="/thumbs/one.jpg"><img src="/ads/banner.jpg">');
+    } else if (req.url === '/api/galleries/7') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ photos: ['/media/2001', '/media/2002'] }));
+    } else {
+      res.writeHead(200, { 'Content-Type': 'image/jpeg', 'Content-Length': '1000' });
+      res.end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const plugins = new PluginRegistry().register({
+      name: 'gallery',
+      hosts: ['127.0.0.1'],
+      async discover({ pageUrl, $: page, request }) {
+        const response = await request(new URL(`/api/galleries/${page('#gallery').attr('data-id')}`, pageUrl).toString());
+        return response.data.photos.map(url => ({ url, type: 'image' }));
+      },
+      rewriteUrl: url => (url.includes('/ads/') ? null : url.replace('/thumbs/', '/originals/')),
+      processResults(results) {
+        results.media.forEach(media => { media.gallery = '7'; });
+      }
+    });
+
+    const extractor = new MediaExtractor({ plugins, respectRobots: false });
+    const results = await extractor.extractMedia(`${base}/gallery`, {});
+    const urls = results.media.map(media => media.url).sort();
+
+    assert.deepStrictEqual(urls, [`${base}/media/2001`, `${base}/media/2002`, `${base}/originals/one.jpg`], 'Should add discovered media, rewrite and drop URLs');
+    assert.ok(results.media.find(media => media.url === `${base}/media/2001`).sources.includes('plugin:gallery'), 'Should record the plugin as a source');
+    assert.ok(results.media.find(media => media.url === `${base}/originals/one.jpg`).sources.includes('element:img[src]'), 'Should keep the details of rewritten URLs');
+    assert.ok(results.media.every(media => media.gallery === '7'), 'Should let plugins post-process the results');
+    assert.deepStrictEqual(results.errors, [], 'Should not report errors');
+  } finally {
+    server.close();
+  }
+  console.log('✓ MediaExtractor plugin tests passed\n');
+
+  console.log('✅ All plugin tests passed!');
+})().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
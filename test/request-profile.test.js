@@ -0,0 +1,108 @@
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const { RequestProfile, validateRequestProfile, getProfileHeaders, redactSecrets } = require('../src/request-profile');
+const MediaExtractor = require('../src/extractor');
+const DownloadManager = require('../src/downloader');
+
+console.log('Running request profile tests...\n');
+
+// Test validation
+console.log('Testing validateRequestProfile...');
+assert.strictEqual(validateRequestProfile(undefined, 'https://example.com/'), null, 'Should allow jobs without a profile');
+assert.throws(() => validateRequestProfile('cookies', 'https://example.com/'), /must be an object/, 'Should reject non-objects');
+assert.throws(() => validateRequestProfile({ headers: { 'Bad Header': 'x' } }), /Invalid header name/, 'Should reject invalid header names');
+assert.throws(() => validateRequestProfile({ headers: { Referer: 'a\r\nX-Injected: 1' } }), /Invalid value/, 'Should reject header injection');
+assert.throws(() => validateRequestProfile({ headers: { Cookie: 'a=1' } }), /cookies or auth fields/, 'Should keep credentials out of the plain headers');
+assert.throws(() => validateRequestProfile({ cookies: 'novalue; =x' }), /Invalid cookie/, 'Should reject malformed cookies');
+assert.throws(() => validateRequestProfile({ auth: { type: 'digest' } }), /basic" or "bearer/, 'Should reject unknown auth types');
+assert.throws(() => validateRequestProfile({ auth: { type: 'basic', username: 'a:b', password: 'x' } }), /username/, 'Should reject usernames with a colon');
+assert.throws(() => validateRequestProfile({ auth: { type: 'bearer' } }), /token/, 'Should require a bearer token');
+console.log('✓ validateRequestProfile tests passed\n');
+
+// Test header scoping
+console.log('Testing getHeaders...');
+const profile = new RequestProfile({
+  headers: { Referer: 'https://www.example.com/', 'X-Api-Key': 'key-1234' },
+  cookies: 'session=abc123; consent=1',
+  auth: { type: 'basic', username: 'me', password: 'hunter22' }
+}, 'https://www.example.com/gallery');
+assert.strictEqual(profile.domain, 'example.com', 'Should scope credentials to the target site');
+assert.deepStrictEqual(profile.getHeaders('https://img.example.com/a.jpg'), {
+  Referer: 'https://www.example.com/',
+  'X-Api-Key': 'key-1234',
+  Cookie: 'session=abc123; consent=1',
+  Authorization: `Basic ${Buffer.from('me:hunter22').toString('base64')}`
+}, 'Should send cookies and auth to the site and its subdomains');
+assert.deepStrictEqual(profile.getHeaders('https://cdn.other.com/a.jpg'), {
+  Referer: 'https://www.example.com/',
+  'X-Api-Key': 'key-1234'
+}, 'Should only send the plain headers to other hosts');
+assert.deepStrictEqual(profile.getHeaders('https://badexample.com/a.jpg').Cookie, undefined, 'Should not match lookalike domains');
+
+const bearer = validateRequestProfile({ auth: { type: 'bearer', token: 'tok-5678' }, domain: 'api.example.org' }, 'https://example.com/');
+assert.strictEqual(bearer.getHeaders('https://api.example.org/media/1').Authorization, 'Bearer tok-5678', 'Should use an explicit domain');
+assert.strictEqual(bearer.getHeaders('https://example.com/').Authorization, undefined, 'Should not send auth outside an explicit domain');
+assert.deepStrictEqual(getProfileHeaders(null, 'https://example.com/'), {}, 'Should add nothing without a profile');
+console.log('✓ getHeaders tests passed\n');
+
+// Test redaction
+console.log('Testing redaction...');
+const serialized = JSON.stringify({ requestProfile: profile });
+['abc123', 'hunter22', 'key-1234'].forEach(secret => {
+  assert.ok(!serialized.includes(secret), `Should not serialize ${secret}`);
+});
+assert.deepStrictEqual(JSON.parse(serialized).requestProfile.auth, { type: 'basic', username: 'me', password: '[redacted]' }, 'Should keep the non-secret fields');
+assert.strictEqual(profile.redact('HTTP 401 for session abc123 with hunter22'), 'HTTP 401 for session [redacted] with [redacted]', 'Should mask secrets in messages');
+assert.deepStrictEqual(redactSecrets({ message: 'failed', config: { headers: { Authorization: 'Bearer x', Accept: '*/*' } } }), {
+  message: 'failed',
+  config: { headers: { Authorization: '[redacted]', Accept: '*/*' } }
+}, 'Should mask credential fields in log entries');
+console.log('✓ redaction tests passed\n');
+
+(async () => {
+  // Test the profile on real requests
+  console.log('Testing request profiles on requests...');
+  const seen = [];
+  const server = http.createServer((req, res) => {
+    seen.push({ url: req.url, referer: req.headers.referer, cookie: req.headers.cookie, authorization: req.headers.authorization });
+    if (req.url === '/') {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end('<link rel="stylesheet" href="/site.css"><img src="/photo.jpg">');
+    } else if (req.url === '/site.css') {
+      res.writeHead(200, { 'Content-Type': 'text/css' });
+      res.end('body { background: url(/bg.jpg); }');
+    } else {
+      res.writeHead(200, { 'Content-Type': 'image/jpeg', 'Content-Length': '4' });
+      res.end('data');
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const jobProfile = validateRequestProfile({ headers: { Referer: `${base}/login` }, cookies: 'session=abc123' }, `${base}/`);
+
+  try {
+    const results = await new MediaExtractor({ respectRobots: false, requestProfile: jobProfile }).extractMedia(`${base}/`, {});
+    assert.strictEqual(results.media.length, 2, 'Should extract the media');
+    ['/', '/site.css', '/photo.jpg', '/bg.jpg'].forEach(path => {
+      const request = seen.find(entry => entry.url === path);
+      assert.ok(request, `Should request ${path}`);
+      assert.strictEqual(request.referer, `${base}/login`, `Should send the headers with ${path}`);
+      assert.strictEqual(request.cookie, 'session=abc123', `Should send the cookies with ${path}`);
+    });
+
+    seen.length = 0;
+    const downloadManager = new DownloadManager();
+    const download = await downloadManager.downloadFile(`${base}/photo.jpg`, 'profile-test', null, { requestProfile: jobProfile });
+    assert.strictEqual(seen[0].cookie, 'session=abc123', 'Should send the cookies with downloads');
+    fs.rmSync(download.filePath, { force: true });
+  } finally {
+    server.close();
+  }
+  console.log('✓ request profile request tests passed\n');
+
+  console.log('✅ All request profile tests passed!');
+})().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,78 @@
+const assert = require('assert');
+const cheerio = require('cheerio');
+const { parseSrcset, extractVariantGroups } = require('../src/responsive-images');
+const MediaCollection = require('../src/media-collection');
+
+console.log('Running responsive images tests...\n');
+
+// Test parseSrcset
+console.log('Testing parseSrcset...');
+assert.deepStrictEqual(parseSrcset('small.jpg 480w, large.jpg 1080w'), [
+  { url: 'small.jpg', width: 480, density: null },
+  { url: 'large.jpg', width: 1080, density: null }
+], 'Should parse width descriptors');
+assert.deepStrictEqual(parseSrcset('logo.png, logo@2x.png 2x'), [
+  { url: 'logo.png', width: null, density: null },
+  { url: 'logo@2x.png', width: null, density: 2 }
+], 'Should parse density descriptors and bare URLs');
+assert.deepStrictEqual(parseSrcset('https://cdn.example.com/w_400,h_300/a.jpg 400w').map(candidate => candidate.url), [
+  'https://cdn.example.com/w_400,h_300/a.jpg'
+], 'Should keep commas inside URLs');
+assert.deepStrictEqual(parseSrcset(''), [], 'Should handle empty srcset');
+console.log('✓ parseSrcset tests passed\n');
+
+// Test extractVariantGroups
+console.log('Testing extractVariantGroups...');
+const $ = cheerio.load(`
+  <img src="/hero-400.jpg" srcset="/hero-400.jpg 400w, /hero-800.jpg 800w, /hero-1600.jpg 1600w">
+  <picture>
+    <source type="image/webp" srcset="/card.webp 1x, /card@2x.webp 2x">
+    <img src="/card.jpg" srcset="/card@2x.jpg 2x">
+  </picture>
+  <img src="/plain.png">
+`);
+const groups = extractVariantGroups($, 'https://example.com/');
+assert.strictEqual(groups.length, 2, 'Should build one group per responsive image');
+assert.strictEqual(groups[0].length, 4, 'Should group every <picture> source with its <img>');
+assert.ok(groups[1].some(candidate => candidate.url === 'https://example.com/hero-1600.jpg' && candidate.width === 1600), 'Should resolve URLs and keep descriptors');
+console.log('✓ extractVariantGroups tests passed\n');
+
+// Test MediaCollection variant selection
+console.log('Testing variant selection...');
+const buildCollection = () => {
+  const collection = new MediaCollection();
+  groups.forEach(group => collection.addVariants(group));
+  collection.add('https://example.com/plain.png');
+  return collection;
+};
+
+const largest = buildCollection();
+largest.selectVariants('largest');
+assert.deepStrictEqual(Array.from(largest).sort(), [
+  'https://example.com/card@2x.webp',
+  'https://example.com/hero-1600.jpg',
+  'https://example.com/plain.png'
+], 'Should keep only the largest variant of each group');
+
+const smallest = buildCollection();
+smallest.selectVariants('smallest');
+assert.ok(smallest.has('https://example.com/hero-400.jpg'), 'Should keep the smallest variant');
+assert.ok(!smallest.has('https://example.com/hero-1600.jpg'), 'Should drop larger variants');
+
+const all = buildCollection();
+assert.deepStrictEqual(all.selectVariants('all'), [], 'Should keep every variant');
+const mediaInfo = all.annotate('https://example.com/hero-800.jpg', {});
+assert.strictEqual(mediaInfo.variants.length, 3, 'Should list the group variants on each entry');
+assert.strictEqual(mediaInfo.variants[0].url, 'https://example.com/hero-1600.jpg', 'Should list variants largest first');
+assert.strictEqual(all.annotate('https://example.com/hero-400.jpg', {}).variantGroup, mediaInfo.variantGroup, 'Should share a group id');
+assert.strictEqual(all.annotate('https://example.com/plain.png', {}).variants, undefined, 'Should not give plain images variants');
+
+const merged = new MediaCollection();
+const pageOne = new MediaCollection().addVariants([{ url: 'https://example.com/a-1x.jpg', density: 1 }, { url: 'https://example.com/a-2x.jpg', density: 2 }]);
+const pageTwo = new MediaCollection().addVariants([{ url: 'https://example.com/a-2x.jpg', density: 2 }, { url: 'https://example.com/a-3x.jpg', density: 3 }]);
+merged.merge(pageOne, { foundOn: 'https://example.com/one' }).merge(pageTwo, { foundOn: 'https://example.com/two' });
+merged.selectVariants('largest');
+assert.deepStrictEqual(Array.from(merged), ['https://example.com/a-3x.jpg'], 'Should join groups that share a variant across pages');
+console.log('✓ variant selection tests passed\n');
+
+console.log('✅ All responsive images tests passed!');
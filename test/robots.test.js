@@ -0,0 +1,147 @@
+const assert = require('assert');
+const http = require('http');
+const { validateProxyOptions } = require('../src/proxy');
+const {
+  RobotsPolicy,
+  parseRobotsTxt,
+  findRobotsGroup,
+  isPathAllowed
+} = require('../src/robots');
+
+console.log('Running robots tests...\n');
+
+const robotsTxt = [
+  '# Example robots.txt',
+  'User-agent: Googlebot',
+  'User-agent: Site-Asset-Downloader',
+  'Disallow: /private/',
+  'Allow: /private/press/',
+  'Disallow: /*.pdf$',
+  'Crawl-delay: 2.5',
+  '',
+  'User-agent: *',
+  'Disallow: /',
+  '',
+  'Sitemap: https://example.com/sitemap_index.xml'
+].join('\n');
+
+// Test parseRobotsTxt
+console.log('Testing parseRobotsTxt...');
+const robots = parseRobotsTxt(robotsTxt);
+assert.strictEqual(robots.groups.length, 2, 'Should parse two groups');
+assert.deepStrictEqual(robots.groups[0].userAgents, ['googlebot', 'site-asset-downloader'], 'Should merge consecutive user-agent lines');
+assert.strictEqual(robots.groups[0].rules.length, 3, 'Should parse allow and disallow rules');
+assert.strictEqual(robots.groups[0].crawlDelay, 2.5, 'Should parse fractional Crawl-delay');
+assert.deepStrictEqual(robots.sitemaps, ['https://example.com/sitemap_index.xml'], 'Should collect Sitemap entries');
+assert.deepStrictEqual(parseRobotsTxt('').groups, [], 'Should handle empty robots.txt');
+console.log('✓ parseRobotsTxt tests passed\n');
+
+// Test findRobotsGroup
+console.log('Testing findRobotsGroup...');
+assert.strictEqual(findRobotsGroup(robots, 'site-asset-downloader'), robots.groups[0], 'Should match specific user agent');
+assert.strictEqual(findRobotsGroup(robots, 'other-bot'), robots.groups[1], 'Should fall back to wildcard group');
+assert.strictEqual(findRobotsGroup(parseRobotsTxt('User-agent: foo\nDisallow: /'), 'bar'), null, 'Should return null without a match');
+console.log('✓ findRobotsGroup tests passed\n');
+
+// Test isPathAllowed
+console.log('Testing isPathAllowed...');
+const group = robots.groups[0];
+assert.strictEqual(isPathAllowed(group, '/gallery/photo.jpg'), true, 'Should allow unmatched paths');
+assert.strictEqual(isPathAllowed(group, '/private/photo.jpg'), false, 'Should block disallowed paths');
+assert.strictEqual(isPathAllowed(group, '/private/press/logo.png'), true, 'Should let longer Allow rule win');
+assert.strictEqual(isPathAllowed(group, '/docs/file.pdf'), false, 'Should support wildcards and end anchors');
+assert.strictEqual(isPathAllowed(group, '/docs/file.pdf?x=1'), true, 'Should respect end anchor');
+assert.strictEqual(isPathAllowed(robots.groups[1], '/anything'), false, 'Should block everything for Disallow: /');
+assert.strictEqual(isPathAllowed(robots.groups[1], '/robots.txt'), true, 'Should always allow robots.txt');
+assert.strictEqual(isPathAllowed(parseRobotsTxt('User-agent: *\nDisallow:').groups[0], '/a'), true, 'Should treat empty Disallow as allow all');
+assert.strictEqual(isPathAllowed(null, '/a'), true, 'Should allow when no group applies');
+
+const rules = (...paths) => ({ rules: paths.map(path => ({ type: 'disallow', path })) });
+assert.strictEqual(isPathAllowed(rules('/$'), '/'), false, 'Should match an anchored root');
+assert.strictEqual(isPathAllowed(rules('/$'), '/a'), true, 'Should not match past an end anchor');
+assert.strictEqual(isPathAllowed(rules('/a*b$'), '/axxb'), false, 'Should match a wildcard before an end anchor');
+assert.strictEqual(isPathAllowed(rules('/a*b$'), '/axbc'), true, 'Should require the anchored part at the end');
+assert.strictEqual(isPathAllowed(rules('/a*ab$'), '/ab'), true, 'Should not let the anchored part overlap the earlier ones');
+assert.strictEqual(isPathAllowed(rules('/*x*y'), '/ayxzy'), false, 'Should find the literal parts in order');
+const hostile = '/*a*a*a*a*a*a*a*a*a*a*a*a*b';
+const started = Date.now();
+assert.strictEqual(isPathAllowed(rules(hostile), `/${'a'.repeat(100000)}`), true, 'Should not match a path without the last part');
+assert.ok(Date.now() - started < 500, 'Should match hostile patterns in linear time');
+console.log('✓ isPathAllowed tests passed\n');
+
+(async () => {
+  // Test RobotsPolicy caching
+  console.log('Testing RobotsPolicy caching...');
+  let failing = true;
+  let fetches = 0;
+  const server = http.createServer((req, res) => {
+    fetches++;
+    if (failing) {
+      res.writeHead(500);
+      res.end();
+    } else {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('User-agent: *\nDisallow: /private/');
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const policy = new RobotsPolicy({ failureTtl: 50 });
+    await assert.rejects(policy.check(`${base}/photo.jpg`), /could not be fetched/, 'Should disallow everything while robots.txt fails');
+
+    failing = false;
+    await assert.rejects(policy.check(`${base}/photo.jpg`), /could not be fetched/, 'Should cache the failure for a short while');
+    await new Promise(resolve => setTimeout(resolve, 60));
+    await policy.check(`${base}/photo.jpg`);
+    assert.strictEqual(fetches, 2, 'Should fetch robots.txt again once the failure expires');
+
+    failing = true;
+    await new Promise(resolve => setTimeout(resolve, 60));
+    await assert.rejects(policy.check(`${base}/private/photo.jpg`), /is disallowed/, 'Should keep a real response for the full cache time');
+    assert.strictEqual(fetches, 2, 'Should not refetch a cached response');
+  } finally {
+    server.close();
+  }
+
+  const limitedServer = http.createServer((req, res) => {
+    res.writeHead(429, { 'Retry-After': '0' });
+    res.end();
+  });
+  await new Promise(resolve => limitedServer.listen(0, '127.0.0.1', resolve));
+  try {
+    const policy = new RobotsPolicy();
+    await assert.rejects(policy.check(`http://127.0.0.1:${limitedServer.address().port}/photo.jpg`), /could not be fetched/, 'Should treat a rate-limited robots.txt as unavailable');
+  } finally {
+    limitedServer.close();
+  }
+  console.log('✓ RobotsPolicy caching tests passed\n');
+
+  // Test that a job's proxy carries its robots.txt requests
+  console.log('Testing RobotsPolicy with a job proxy...');
+  const proxied = [];
+  const proxyServer = http.createServer((req, res) => {
+    proxied.push(req.url);
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('User-agent: *\nDisallow: /via-proxy/');
+  });
+  await new Promise(resolve => proxyServer.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const proxy = validateProxyOptions({ urls: [`http://127.0.0.1:${proxyServer.address().port}`] }, ['127.0.0.1']);
+    const policy = new RobotsPolicy();
+    await assert.rejects(policy.enforce('http://robots.invalid/via-proxy/a.jpg', { proxy }), /is disallowed/, 'Should read the rules fetched through the proxy');
+    await policy.check('http://robots.invalid/gallery/a.jpg', { proxy });
+    assert.deepStrictEqual(proxied, ['http://robots.invalid/robots.txt'], 'Should fetch robots.txt through the proxy once');
+    assert.strictEqual(policy.cache.has('http://robots.invalid'), false, 'Should keep proxied rules out of the shared cache');
+  } finally {
+    proxyServer.close();
+  }
+  console.log('✓ RobotsPolicy proxy tests passed\n');
+
+  console.log('✅ All robots tests passed!');
+})().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,73 @@
+const assert = require('assert');
+const cheerio = require('cheerio');
+const { getSelectorScope, getElementUrls } = require('../src/selector-scope');
+const MediaExtractor = require('../src/extractor');
+const MediaCollection = require('../src/media-collection');
+const { validateMediaFilters } = require('../src/utils');
+
+console.log('Running selector scope tests...\n');
+
+const baseUrl = 'https://example.com/blog/post';
+const $ = cheerio.load(`
+  <header><img src="/logo.png"><img class="avatar" src="/avatars/me.jpg"></header>
+  <main>
+    <article>
+      <img src="/uploads/photo.jpg" srcset="/uploads/photo-2x.jpg 2x">
+      <div style="background-image: url('/uploads/bg.jpg')"></div>
+      <div class="ad"><img src="/ads/banner.gif"></div>
+      <iframe src="https://www.youtube.com/embed/abc123"></iframe>
+    </article>
+    <aside><img src="/uploads/sidebar.jpg"></aside>
+  </main>
+  <footer><img src="/logo.png"></footer>
+`);
+const url = path => new URL(path, baseUrl).href;
+
+// Test getElementUrls
+console.log('Testing getElementUrls...');
+const articleImage = $('article img').first()[0];
+assert.deepStrictEqual(getElementUrls(articleImage, baseUrl), [url('/uploads/photo.jpg'), url('/uploads/photo-2x.jpg')], 'Should read src and srcset');
+assert.deepStrictEqual(getElementUrls($('article div').first()[0], baseUrl), [url('/uploads/bg.jpg')], 'Should read inline style url()s');
+assert.deepStrictEqual(getElementUrls($('.ad')[0], baseUrl), [], 'Should skip class lists');
+console.log('✓ getElementUrls tests passed\n');
+
+// Test include scopes
+console.log('Testing include scopes...');
+assert.strictEqual(getSelectorScope($, baseUrl, validateMediaFilters({})), null, 'Should not scope without selector rules');
+
+const inArticle = getSelectorScope($, baseUrl, validateMediaFilters({ includeSelectors: 'main article', excludeSelectors: '.ad' }));
+assert.strictEqual(inArticle(url('/uploads/photo.jpg')), true, 'Should keep media inside the scope');
+assert.strictEqual(inArticle(url('/uploads/photo-2x.jpg')), true, 'Should keep srcset candidates inside the scope');
+assert.strictEqual(inArticle(url('/uploads/bg.jpg')), true, 'Should keep CSS backgrounds inside the scope');
+assert.strictEqual(inArticle(url('/uploads/sidebar.jpg')), false, 'Should drop media outside the scope');
+assert.strictEqual(inArticle(url('/ads/banner.gif')), false, 'Should drop excluded media inside the scope');
+assert.strictEqual(inArticle(url('/uploads/from-stylesheet.jpg')), false, 'Should drop media not found on an element');
+assert.strictEqual(inArticle('https://www.youtube.com/watch?v=abc123', 'https://www.youtube.com/embed/abc123'), true, 'Should check the embed URL of players');
+console.log('✓ include scope tests passed\n');
+
+// Test exclude scopes
+console.log('Testing exclude scopes...');
+const notInHeader = getSelectorScope($, baseUrl, validateMediaFilters({ excludeSelectors: ['header', '.ad'] }));
+assert.strictEqual(notInHeader(url('/avatars/me.jpg')), false, 'Should drop media inside an excluded element');
+assert.strictEqual(notInHeader(url('/logo.png')), true, 'Should keep media also used outside the excluded elements');
+assert.strictEqual(notInHeader(url('/uploads/sidebar.jpg')), true, 'Should keep other media');
+assert.strictEqual(notInHeader(url('/uploads/from-stylesheet.jpg')), true, 'Should keep media not found on an element');
+console.log('✓ exclude scope tests passed\n');
+
+// Test the scope inside MediaExtractor
+console.log('Testing selector scopes in MediaExtractor...');
+const extractor = new MediaExtractor();
+const filters = validateMediaFilters({ includeSelectors: 'article' });
+const mediaUrls = new MediaCollection();
+extractor.extractFromHtmlElements($, baseUrl, mediaUrls, filters);
+mediaUrls.add(url('/uploads/from-stylesheet.jpg'), { source: `stylesheet:${url('/site.css')}` });
+extractor.applySelectorScope($, baseUrl, mediaUrls, filters);
+assert.deepStrictEqual(Array.from(mediaUrls).sort(), [
+  url('/ads/banner.gif'),
+  url('/uploads/bg.jpg'),
+  url('/uploads/photo-2x.jpg'),
+  url('/uploads/photo.jpg')
+], 'Should only keep media used inside the scope');
+console.log('✓ MediaExtractor selector scope tests passed\n');
+
+console.log('✅ All selector scope tests passed!');
@@ -0,0 +1,62 @@
+const assert = require('assert');
+const cheerio = require('cheerio');
+const {
+  extractIconLinks,
+  parseWebManifest,
+  parseIconSizes,
+  getLargestIconSize
+} = require('../src/site-icons');
+
+console.log('Running site icons tests...\n');
+
+// Test extractIconLinks
+console.log('Testing extractIconLinks...');
+const $ = cheerio.load(`<html><head>
+  <link rel="shortcut icon" href="/favicon.ico" sizes="16x16 32x32">
+  <link rel="apple-touch-icon-precomposed" href="/apple.png" sizes="180x180">
+  <link rel="mask-icon" href="/safari-pinned-tab.svg" color="#5bbad5">
+  <link rel="stylesheet" href="/icons.css">
+  <meta name="msapplication-TileImage" content="/mstile-144x144.png">
+  <link rel="manifest" href="/site.webmanifest">
+</head></html>`);
+const { icons, manifestUrl } = extractIconLinks($, 'https://example.com/about/');
+assert.deepStrictEqual(icons.map(icon => icon.url), [
+  'https://example.com/favicon.ico',
+  'https://example.com/apple.png',
+  'https://example.com/safari-pinned-tab.svg',
+  'https://example.com/mstile-144x144.png'
+], 'Should collect icon links and the tile image');
+assert.deepStrictEqual(icons.map(icon => icon.rel), ['icon', 'apple-touch-icon-precomposed', 'mask-icon', 'msapplication-TileImage'], 'Should record where each icon came from');
+assert.deepStrictEqual(icons[0].sizes, ['16x16', '32x32'], 'Should parse declared sizes');
+assert.strictEqual(manifestUrl, 'https://example.com/site.webmanifest', 'Should resolve the manifest link');
+console.log('✓ extractIconLinks tests passed\n');
+
+// Test parseWebManifest
+console.log('Testing parseWebManifest...');
+const manifestIcons = parseWebManifest(JSON.stringify({
+  name: 'Example',
+  icons: [
+    { src: 'icons/192.png', sizes: '192x192', type: 'image/png' },
+    { src: '/icons/512.png', sizes: '512x512', purpose: 'maskable' },
+    { sizes: '64x64' }
+  ],
+  shortcuts: [{ name: 'New', icons: [{ src: '/icons/new.png', sizes: '96x96' }] }]
+}), 'https://example.com/static/site.webmanifest');
+assert.deepStrictEqual(manifestIcons.map(icon => icon.url), [
+  'https://example.com/static/icons/192.png',
+  'https://example.com/icons/512.png',
+  'https://example.com/icons/new.png'
+], 'Should resolve icons relative to the manifest and skip entries without src');
+assert.strictEqual(manifestIcons[1].purpose, 'maskable', 'Should keep the icon purpose');
+assert.throws(() => parseWebManifest('not json', 'https://example.com/manifest.json'), 'Should reject invalid manifests');
+console.log('✓ parseWebManifest tests passed\n');
+
+// Test icon sizes
+console.log('Testing icon sizes...');
+assert.deepStrictEqual(parseIconSizes('any 48X48 bogus'), ['any', '48x48'], 'Should normalise and validate sizes');
+assert.deepStrictEqual(parseIconSizes(undefined), [], 'Should handle missing sizes');
+assert.deepStrictEqual(getLargestIconSize(['16x16', '180x180', 'any']), { width: 180, height: 180 }, 'Should pick the largest size');
+assert.strictEqual(getLargestIconSize(['any']), null, 'Should return null without pixel sizes');
+console.log('✓ icon sizes tests passed\n');
+
+console.log('✅ All site icons tests passed!');
@@ -0,0 +1,138 @@
+const assert = require('assert');
+const http = require('http');
+const zlib = require('zlib');
+const cheerio = require('cheerio');
+const SitemapDiscovery = require('../src/sitemap');
+const MediaExtractor = require('../src/extractor');
+const MediaCollection = require('../src/media-collection');
+
+console.log('Running sitemap tests...\n');
+
+const urlset = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"
+        xmlns:image="http://www.google.com/schemas/sitemap-image/1.1"
+        xmlns:vid="http://www.google.com/schemas/sitemap-video/1.1">
+  <url>
+    <loc>https://example.com/gallery</loc>
+    <image:image><image:loc>/images/one.jpg</image:loc></image:image>
+    <image:image><image:loc>http://127.0.0.1/private.jpg</image:loc></image:image>
+  </url>
+  <url>
+    <loc> https://example.com/watch </loc>
+    <vid:video>
+      <vid:thumbnail_loc>https://cdn.example.com/thumb.jpg</vid:thumbnail_loc>
+      <vid:content_loc>https://cdn.example.com/clip.mp4</vid:content_loc>
+    </vid:video>
+  </url>
+  <url><loc>javascript:alert(1)</loc></url>
+</urlset>`;
+
+const sitemapIndex = `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sitemap><loc>https://example.com/sitemap-pages.xml</loc></sitemap>
+  <sitemap><loc>/sitemap-media.xml.gz</loc></sitemap>
+</sitemapindex>`;
+
+// Test parseSitemap
+console.log('Testing parseSitemap...');
+const discovery = new SitemapDiscovery();
+const parsed = discovery.parseSitemap(urlset, 'https://example.com/sitemap.xml');
+assert.deepStrictEqual(parsed.pages, ['https://example.com/gallery', 'https://example.com/watch'], 'Should trim locations and skip unsafe ones');
+assert.deepStrictEqual(parsed.media, [
+  { url: 'https://example.com/images/one.jpg', type: 'image', foundOn: 'https://example.com/gallery' },
+  { url: 'https://cdn.example.com/clip.mp4', type: 'video', foundOn: 'https://example.com/watch' },
+  { url: 'https://cdn.example.com/thumb.jpg', type: 'image', foundOn: 'https://example.com/watch' }
+], 'Should read image and video extensions whatever their prefix');
+assert.deepStrictEqual(parsed.sitemaps, [], 'Should not find sitemaps in a urlset');
+
+const index = discovery.parseSitemap(sitemapIndex, 'https://example.com/sitemap.xml');
+assert.deepStrictEqual(index.sitemaps, ['https://example.com/sitemap-pages.xml', 'https://example.com/sitemap-media.xml.gz'], 'Should resolve sitemap index entries');
+assert.deepStrictEqual(index.pages, [], 'Should not report index entries as pages');
+console.log('✓ parseSitemap tests passed\n');
+
+(async () => {
+  // Test fetchSitemap
+  console.log('Testing fetchSitemap...');
+  const server = http.createServer((req, res) => {
+    if (req.url === '/sitemap.xml') {
+      res.writeHead(200, { 'Content-Type': 'application/xml' });
+      res.end(urlset);
+    } else if (req.url === '/sitemap.xml.gz') {
+      res.writeHead(200, { 'Content-Type': 'application/x-gzip' });
+      res.end(zlib.gzipSync(urlset));
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    assert.strictEqual(await discovery.fetchSitemap(`${base}/sitemap.xml`), urlset, 'Should fetch plain sitemaps');
+    assert.strictEqual(await discovery.fetchSitemap(`${base}/sitemap.xml.gz`), urlset, 'Should detect and gunzip gzipped sitemaps');
+    await assert.rejects(discovery.fetchSitemap(`${base}/missing.xml`), /404/, 'Should reject missing sitemaps');
+  } finally {
+    server.close();
+  }
+  console.log('✓ fetchSitemap tests passed\n');
+
+  // Test discover, with robots.txt unreachable so it falls back to /sitemap.xml
+  console.log('Testing discover...');
+  const site = new SitemapDiscovery({ timeout: 2000 });
+  const fetched = [];
+  const sitemaps = {
+    'https://example.invalid/sitemap.xml': sitemapIndex.replace(/example\.com/g, 'example.invalid'),
+    'https://example.invalid/sitemap-pages.xml': `<urlset>
+      <url><loc>https://example.invalid/</loc></url>
+      <url><loc>https://www.example.invalid/about</loc></url>
+      <url><loc>https://other.invalid/elsewhere</loc></url>
+    </urlset>`,
+    'https://example.invalid/sitemap-media.xml.gz': urlset.replace(/example\.com/g, 'example.invalid')
+      .replace('</urlset>', '<sitemap><loc>https://example.invalid/sitemap.xml</loc></sitemap></urlset>')
+  };
+  site.fetchSitemap = async (sitemapUrl) => {
+    fetched.push(sitemapUrl);
+    if (!sitemaps[sitemapUrl]) {
+      throw new Error('HTTP 404');
+    }
+    return sitemaps[sitemapUrl];
+  };
+
+  const found = await site.discover('https://example.invalid/start');
+  assert.deepStrictEqual(fetched, [
+    'https://example.invalid/sitemap.xml',
+    'https://example.invalid/sitemap-pages.xml',
+    'https://example.invalid/sitemap-media.xml.gz'
+  ], 'Should walk the sitemap index once');
+  assert.deepStrictEqual(found.sitemaps, fetched, 'Should list the sitemaps read');
+  assert.deepStrictEqual(found.pages, [
+    'https://example.invalid/',
+    'https://www.example.invalid/about',
+    'https://example.invalid/gallery',
+    'https://example.invalid/watch'
+  ], 'Should keep pages on the same site, with or without www.');
+  assert.strictEqual(found.media.length, 3, 'Should collect sitemap media');
+  assert.ok(found.errors.some(error => error.url === 'https://example.invalid/robots.txt'), 'Should report the robots.txt failure');
+  console.log('✓ discover tests passed\n');
+
+  // Test that the crawl keeps the sitemap pages discover accepted
+  console.log('Testing sitemap pages in crawlMedia...');
+  const extractor = new MediaExtractor({ respectRobots: false });
+  extractor.sitemapDiscovery = { discover: async () => found };
+  extractor.extractPageMedia = async (pageUrl) => ({
+    baseUrl: pageUrl,
+    mediaUrls: new MediaCollection(),
+    errors: [],
+    $: cheerio.load('')
+  });
+
+  const results = await extractor.crawlMedia('https://example.invalid/start', {}, { enabled: true, useSitemap: true, maxDepth: 0 });
+  assert.deepStrictEqual(results.pages, ['https://example.invalid/start', ...found.pages], 'Should crawl every sitemap page');
+  console.log('✓ sitemap pages in crawlMedia tests passed\n');
+
+  console.log('✅ All sitemap tests passed!');
+})().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,158 @@
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const { Writable } = require('stream');
+const {
+  StreamManifestResolver,
+  parseHlsPlaylist,
+  parseDashManifest,
+  getStreamProtocol
+} = require('../src/streams');
+const DownloadManager = require('../src/downloader');
+
+console.log('Running streams tests...\n');
+
+// Test parseHlsPlaylist
+console.log('Testing parseHlsPlaylist...');
+const master = parseHlsPlaylist([
+  '#EXTM3U',
+  '#EXT-X-STREAM-INF:BANDWIDTH=800000,RESOLUTION=640x360,CODECS="avc1.4d401e,mp4a.40.2"',
+  'low/index.m3u8',
+  '#EXT-X-STREAM-INF:BANDWIDTH=2000000,RESOLUTION=1280x720',
+  'https://cdn.example.com/high/index.m3u8'
+].join('\n'), 'https://example.com/video/master.m3u8');
+assert.strictEqual(master.kind, 'master', 'Should detect master playlists');
+assert.strictEqual(master.renditions.length, 2, 'Should parse every variant');
+assert.strictEqual(master.renditions[0].url, 'https://example.com/video/low/index.m3u8', 'Should resolve relative variant URLs');
+assert.strictEqual(master.renditions[0].width, 640, 'Should parse resolution width');
+assert.strictEqual(master.renditions[0].height, 360, 'Should parse resolution height');
+assert.strictEqual(master.renditions[0].codecs, 'avc1.4d401e,mp4a.40.2', 'Should keep quoted codecs intact');
+assert.strictEqual(master.renditions[1].bandwidth, 2000000, 'Should parse bandwidth');
+
+const media = parseHlsPlaylist([
+  '#EXTM3U',
+  '#EXT-X-TARGETDURATION:4',
+  '#EXTINF:4,',
+  'seg0.ts',
+  '#EXTINF:4,',
+  'seg1.ts',
+  '#EXT-X-ENDLIST'
+].join('\n'), 'https://example.com/video/low/index.m3u8');
+assert.strictEqual(media.kind, 'media', 'Should detect media playlists');
+assert.deepStrictEqual(media.segments, [
+  'https://example.com/video/low/seg0.ts',
+  'https://example.com/video/low/seg1.ts'
+], 'Should resolve segment URLs in order');
+assert.strictEqual(media.live, false, 'Should treat ENDLIST playlists as VOD');
+assert.strictEqual(media.encrypted, false, 'Should not flag unencrypted playlists');
+assert.strictEqual(parseHlsPlaylist('#EXTM3U\n#EXT-X-KEY:METHOD=AES-128,URI="k"\nseg0.ts', 'https://example.com/a.m3u8').encrypted, true, 'Should flag encrypted playlists');
+assert.throws(() => parseHlsPlaylist('<html></html>', 'https://example.com/a.m3u8'), /EXTM3U/, 'Should reject non-playlists');
+console.log('✓ parseHlsPlaylist tests passed\n');
+
+// Test parseDashManifest
+console.log('Testing parseDashManifest...');
+const dash = parseDashManifest(`<?xml version="1.0"?>
+<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" type="static" mediaPresentationDuration="PT8S">
+  <Period>
+    <AdaptationSet mimeType="video/mp4">
+      <SegmentTemplate timescale="1000" duration="4000" initialization="init-$RepresentationID$.mp4" media="seg-$RepresentationID$-$Number%03d$.m4s" startNumber="1"/>
+      <Representation id="v1" bandwidth="500000" width="640" height="360"/>
+      <Representation id="v2" bandwidth="1500000" width="1280" height="720"/>
+    </AdaptationSet>
+    <AdaptationSet mimeType="audio/mp4">
+      <Representation id="a1" bandwidth="64000"/>
+    </AdaptationSet>
+  </Period>
+</MPD>`, 'https://example.com/video/manifest.mpd');
+assert.strictEqual(dash.live, false, 'Should treat static manifests as VOD');
+assert.strictEqual(dash.renditions.length, 2, 'Should only list video representations');
+const hd = dash.renditions.find(rendition => rendition.height === 720);
+assert.strictEqual(hd.initSegment, 'https://example.com/video/init-v2.mp4', 'Should fill the initialization template');
+assert.deepStrictEqual(hd.segments, [
+  'https://example.com/video/seg-v2-001.m4s',
+  'https://example.com/video/seg-v2-002.m4s'
+], 'Should expand numbered segments from the duration');
+
+const timelineManifest = (timeline, duration = 'PT10S') => `<MPD type="static"${duration ? ` mediaPresentationDuration="${duration}"` : ''}>
+  <Period>
+    <AdaptationSet contentType="video">
+      <SegmentTemplate timescale="10" media="t-$Time$.m4s">
+        <SegmentTimeline>${timeline}</SegmentTimeline>
+      </SegmentTemplate>
+      <Representation id="v1" bandwidth="500000"/>
+    </AdaptationSet>
+  </Period>
+</MPD>`;
+const timelineSegments = (timeline, duration) => parseDashManifest(timelineManifest(timeline, duration), 'https://example.com/manifest.mpd')
+  .renditions[0].segments.map(segment => segment.split('/').pop());
+assert.deepStrictEqual(timelineSegments('<S t="0" d="20" r="-1"/><S t="60" d="40"/>'),
+  ['t-0.m4s', 't-20.m4s', 't-40.m4s', 't-60.m4s'], 'Should repeat an open-ended S until the next S@t');
+assert.deepStrictEqual(timelineSegments('<S t="0" d="30" r="-1"/>'),
+  ['t-0.m4s', 't-30.m4s', 't-60.m4s', 't-90.m4s'], 'Should repeat an open-ended S until the end of the period');
+assert.throws(() => timelineSegments('<S t="0" d="30" r="-1"/>', null), /open-ended repeat/, 'Should reject an open-ended S with no known end');
+console.log('✓ parseDashManifest tests passed\n');
+
+// Test getStreamProtocol
+console.log('Testing getStreamProtocol...');
+assert.strictEqual(getStreamProtocol('https://example.com/a/master.m3u8?token=1'), 'hls', 'Should detect HLS by extension');
+assert.strictEqual(getStreamProtocol('https://example.com/manifest.mpd'), 'dash', 'Should detect DASH by extension');
+assert.strictEqual(getStreamProtocol('https://example.com/play', 'application/vnd.apple.mpegurl'), 'hls', 'Should detect HLS by content type');
+assert.strictEqual(getStreamProtocol('https://example.com/play', 'application/dash+xml'), 'dash', 'Should detect DASH by content type');
+assert.strictEqual(getStreamProtocol('https://example.com/clip.mp4', 'video/mp4'), null, 'Should ignore progressive video');
+console.log('✓ getStreamProtocol tests passed\n');
+
+// A resolver that serves manifests from memory
+function createResolver(manifests) {
+  const resolver = new StreamManifestResolver();
+  resolver.fetchManifest = async (url) => ({ text: manifests[url], url, contentType: '' });
+  return resolver;
+}
+
+function mediaPlaylist(segmentUrls) {
+  return ['#EXTM3U', '#EXT-X-TARGETDURATION:4', ...segmentUrls.flatMap(url => ['#EXTINF:4,', url]), '#EXT-X-ENDLIST'].join('\n');
+}
+
+(async () => {
+  console.log('Testing getSegments...');
+  const segments = await createResolver({
+    'https://example.com/v.m3u8': mediaPlaylist(['a.ts', 'b.ts'])
+  }).getSegments('https://example.com/v.m3u8');
+  assert.deepStrictEqual(segments.segments, ['https://example.com/a.ts', 'https://example.com/b.ts'], 'Should list the segments');
+
+  await assert.rejects(createResolver({
+    'https://example.com/v.m3u8': mediaPlaylist(['a.ts', 'http://169.254.169.254/latest/meta-data'])
+  }).getSegments('https://example.com/v.m3u8'), /private or invalid address/, 'Should reject segments on internal hosts');
+  await assert.rejects(createResolver({
+    'https://example.com/master.m3u8': '#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=1000\nhttp://127.0.0.1:8080/v.m3u8'
+  }).getSegments('https://example.com/master.m3u8'), /private or invalid address/, 'Should reject renditions on internal hosts');
+  await assert.rejects(createResolver({
+    'https://example.com/v.m3u8': mediaPlaylist(Array.from({ length: 20001 }, (_, i) => `${i}.ts`))
+  }).getSegments('https://example.com/v.m3u8'), /more than 20000 segments/, 'Should reject streams over the segment cap instead of truncating them');
+  console.log('✓ getSegments tests passed\n');
+
+  console.log('Testing stream download write errors...');
+  const server = http.createServer((req, res) => res.end(Buffer.alloc(64 * 1024)));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const downloadManager = new DownloadManager();
+  downloadManager.streamResolver = {
+    getSegments: async () => ({ protocol: 'hls', rendition: null, initSegment: null, segments: [`${base}/a.ts`, `${base}/b.ts`], extension: '.ts' })
+  };
+  const createWriteStream = fs.createWriteStream;
+  fs.createWriteStream = () => new Writable({
+    highWaterMark: 1,
+    write: (chunk, encoding, callback) => setImmediate(() => callback(Object.assign(new Error('ENOSPC: no space left on device'), { code: 'ENOSPC' })))
+  });
+  try {
+    await assert.rejects(downloadManager.downloadStream(`${base}/v.m3u8`, 'stream-test', null), /ENOSPC/, 'Should fail the download when a write fails');
+  } finally {
+    fs.createWriteStream = createWriteStream;
+    server.close();
+  }
+  console.log('✓ stream download write error tests passed\n');
+
+  console.log('✅ All streams tests passed!');
+})().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
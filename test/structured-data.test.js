@@ -0,0 +1,59 @@
+const assert = require('assert');
+const cheerio = require('cheerio');
+const { extractStructuredMedia } = require('../src/structured-data');
+
+console.log('Running structured data tests...\n');
+
+const html = `<html><head>
+  <meta property="og:image" content="/img/hero.jpg">
+  <meta property="og:image:secure_url" content="https://cdn.example.com/img/hero.jpg">
+  <meta property="og:image:width" content="1200">
+  <meta property="og:image:height" content="630">
+  <meta property="og:video" content="https://www.youtube.com/embed/abc">
+  <meta property="og:video:type" content="text/html">
+  <meta name="twitter:image" content="/img/card">
+  <meta name="twitter:player" content="https://player.example.com/abc">
+  <meta name="twitter:player:stream" content="/video/stream.mp4">
+  <script type="application/ld+json">
+    {"@context": "https://schema.org", "@graph": [
+      {"@type": "Article", "image": {"@type": "ImageObject", "url": "/img/article.png", "width": {"@type": "QuantitativeValue", "value": 800}, "height": 600}},
+      {"@type": "VideoObject", "contentUrl": "/video/clip.mp4", "embedUrl": "https://player.example.com/clip", "thumbnailUrl": ["/img/thumb.jpg"]}
+    ]}
+  </script>
+  <script type="application/ld+json">{ not valid json</script>
+</head><body></body></html>`;
+
+const media = extractStructuredMedia(cheerio.load(html), 'https://example.com/blog/post');
+const byUrl = new Map(media.map(item => [item.url, item]));
+
+// Test Open Graph
+console.log('Testing Open Graph tags...');
+const hero = byUrl.get('https://cdn.example.com/img/hero.jpg');
+assert.ok(hero, 'Should prefer og:image:secure_url');
+assert.strictEqual(hero.type, 'image', 'Should type og:image as image');
+assert.strictEqual(hero.width, 1200, 'Should read og:image:width');
+assert.strictEqual(hero.height, 630, 'Should read og:image:height');
+assert.ok(!byUrl.has('https://www.youtube.com/embed/abc'), 'Should skip HTML player pages in og:video');
+
+const untypedPlayer = extractStructuredMedia(cheerio.load('<meta property="og:video" content="https://player.vimeo.com/video/76979871">'), 'https://example.com/');
+assert.strictEqual(untypedPlayer.length, 0, 'Should leave known players to embed detection even without og:video:type');
+console.log('✓ Open Graph tests passed\n');
+
+// Test Twitter Cards
+console.log('Testing Twitter Card tags...');
+assert.strictEqual(byUrl.get('https://example.com/img/card').type, 'image', 'Should read extensionless twitter:image');
+assert.strictEqual(byUrl.get('https://example.com/video/stream.mp4').type, 'video', 'Should read twitter:player:stream');
+assert.ok(!byUrl.has('https://player.example.com/abc'), 'Should skip the twitter:player page');
+console.log('✓ Twitter Card tests passed\n');
+
+// Test JSON-LD
+console.log('Testing JSON-LD...');
+const article = byUrl.get('https://example.com/img/article.png');
+assert.ok(article, 'Should find nested ImageObject entries');
+assert.strictEqual(article.width, 800, 'Should read QuantitativeValue dimensions');
+assert.strictEqual(byUrl.get('https://example.com/video/clip.mp4').type, 'video', 'Should read VideoObject contentUrl');
+assert.strictEqual(byUrl.get('https://example.com/img/thumb.jpg').type, 'image', 'Should read VideoObject thumbnails');
+assert.ok(!byUrl.has('https://player.example.com/clip'), 'Should skip VideoObject embedUrl');
+console.log('✓ JSON-LD tests passed\n');
+
+console.log('✅ All structured data tests passed!');
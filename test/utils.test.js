@@ -7,7 +7,23 @@ const {
   isValidJobId,
   sanitizeFilename,
   formatBytes,
-  validateMediaFilters
+  validateMediaFilters,
+  isMediaTypeIncluded,
+  parseAspectRatio,
+  matchesDimensionFilters,
+  validateCrawlOptions,
+  isAudioType,
+  isFontType,
+  getMediaType,
+  getMediaFolder,
+  isSameOrigin,
+  isSameSite,
+  isCrawlablePageUrl,
+  extractUrlsFromCss,
+  extractImportUrlsFromCss,
+  mapWithConcurrency,
+  matchesUrlRules,
+  matchesMediaRules
 } = require('../src/utils');
 
 console.log('Running utils tests...\n');
@@ -91,10 +107,236 @@ assert.strictEqual(filters2.includeVideos, true, 'Should keep videos true');
 const filters3 = validateMediaFilters({ includeImages: false, includeVideos: false });
 assert.strictEqual(filters3.includeImages, true, 'Should force at least one type');
 assert.strictEqual(filters3.includeVideos, true, 'Should force at least one type');
+assert.strictEqual(filters3.includeAudio, true, 'Should keep the legacy fallback to every type');
+
+const allOff = validateMediaFilters({ includeImages: false, includeVideos: false, includeAudio: false, includeIcons: false, includeEmbeds: false });
+assert.strictEqual(allOff.includeImages, true, 'Should force at least one type');
+assert.strictEqual(allOff.includeVideos, true, 'Should force at least one type');
+assert.strictEqual(allOff.includeAudio, true, 'Should force at least one type');
+assert.strictEqual(allOff.includeIcons, true, 'Should force at least one type');
+assert.strictEqual(allOff.includeEmbeds, true, 'Should force at least one type');
+
+assert.strictEqual(filters1.includeEmbeds, true, 'Should default embeds to true');
+assert.strictEqual(isMediaTypeIncluded('embed', validateMediaFilters({ includeEmbeds: false })), false, 'Should respect includeEmbeds setting');
+
+const filters6 = validateMediaFilters({ includeImages: false, includeVideos: false, includeAudio: false });
+assert.strictEqual(filters6.includeIcons, true, 'Should default icons to true');
+assert.strictEqual(filters6.includeImages, false, 'Should allow icon-only extraction');
+
+const filters5 = validateMediaFilters({ includeImages: false, includeVideos: false, includeIcons: false, includeEmbeds: false });
+assert.strictEqual(filters5.includeAudio, true, 'Should default audio to true');
+assert.strictEqual(filters5.includeImages, false, 'Should allow audio-only extraction');
+
+assert.strictEqual(filters1.variantSelection, 'largest', 'Should default to the largest responsive variant');
+assert.strictEqual(validateMediaFilters({ variantSelection: 'all' }).variantSelection, 'all', 'Should accept all variants');
+assert.strictEqual(validateMediaFilters({ variantSelection: 'huge' }).variantSelection, 'largest', 'Should reject unknown variant selections');
 
 const filters4 = validateMediaFilters({ minSizeBytes: '5000', maxSizeBytes: '1000000' });
 assert.strictEqual(filters4.minSizeBytes, 5000, 'Should parse minSizeBytes');
 assert.strictEqual(filters4.maxSizeBytes, 1000000, 'Should parse maxSizeBytes');
 console.log('✓ validateMediaFilters tests passed\n');
 
-console.log('✅ All utils tests passed!');
+// Test dimension filters
+console.log('Testing dimension filters...');
+const dimensionFilters = validateMediaFilters({ minWidth: '300', maxHeight: 2000, minAspectRatio: '1:1', maxAspectRatio: '16/9' });
+assert.strictEqual(dimensionFilters.minWidth, 300, 'Should parse minWidth');
+assert.strictEqual(dimensionFilters.maxWidth, Infinity, 'Should default maxWidth to unbounded');
+assert.strictEqual(dimensionFilters.minAspectRatio, 1, 'Should parse ratio strings');
+assert.strictEqual(parseAspectRatio('1.5'), 1.5, 'Should parse decimal ratios');
+assert.strictEqual(parseAspectRatio('4:0'), null, 'Should reject a zero height');
+assert.strictEqual(parseAspectRatio('wide'), null, 'Should reject non-numeric ratios');
+assert.strictEqual(matchesDimensionFilters({ width: 1200, height: 800 }, dimensionFilters), true, 'Should keep images inside the bounds');
+assert.strictEqual(matchesDimensionFilters({ width: 1, height: 1 }, dimensionFilters), false, 'Should drop spacer images');
+assert.strictEqual(matchesDimensionFilters({ width: 400, height: 1200 }, dimensionFilters), false, 'Should drop portrait images below the minimum ratio');
+assert.strictEqual(matchesDimensionFilters({ width: 3000, height: 1000 }, dimensionFilters), false, 'Should drop panoramas above the maximum ratio');
+assert.strictEqual(matchesDimensionFilters({ size: 100 }, dimensionFilters), true, 'Should keep media with unknown dimensions');
+console.log('✓ dimension filter tests passed\n');
+
+// Test include and exclude rules
+console.log('Testing include and exclude rules...');
+const ruleFilters = validateMediaFilters({
+  includeSelectors: 'main article',
+  excludeSelectors: ['header', '.ad'],
+  includeUrlPatterns: '/uploads/\ncdn.example.com/*.jpg',
+  excludeUrlPatterns: ['avatar'],
+  allowedExtensions: 'jpg, .PNG webp',
+  deniedExtensions: ['gif'],
+  allowedContentTypes: 'image/*, video/mp4'
+});
+assert.deepStrictEqual(ruleFilters.includeSelectors, ['main article'], 'Should keep a selector list whole');
+assert.deepStrictEqual(ruleFilters.excludeSelectors, ['header', '.ad'], 'Should accept selector arrays');
+assert.strictEqual(ruleFilters.includeUrlPatterns.length, 2, 'Should read one URL pattern per line');
+assert.deepStrictEqual(ruleFilters.allowedExtensions, ['.jpg', '.png', '.webp'], 'Should normalize extensions');
+assert.deepStrictEqual(validateMediaFilters({}).includeUrlPatterns, [], 'Should default to no rules');
+
+assert.strictEqual(matchesUrlRules('https://example.com/uploads/a.jpg', ruleFilters), true, 'Should keep URLs matching an include pattern');
+assert.strictEqual(matchesUrlRules('https://CDN.example.com/a.jpg', ruleFilters), true, 'Should match URL patterns case-insensitively');
+assert.strictEqual(matchesUrlRules('https://example.com/static/a.jpg', ruleFilters), false, 'Should drop URLs matching no include pattern');
+assert.strictEqual(matchesUrlRules('https://example.com/uploads/avatar.jpg', ruleFilters), false, 'Should drop URLs matching an exclude pattern');
+assert.strictEqual(matchesUrlRules('https://cdn.example.com/a.png', ruleFilters), false, 'Should match the parts around a wildcard in order');
+assert.strictEqual(JSON.stringify(ruleFilters.excludeUrlPatterns), '["avatar"]', 'Should serialize URL patterns as written');
+assert.strictEqual(validateMediaFilters(ruleFilters).includeUrlPatterns[1], ruleFilters.includeUrlPatterns[1], 'Should accept filters that were already validated');
+const patternStart = Date.now();
+assert.strictEqual(matchesUrlRules(`https://example.com/${'a'.repeat(5000)}`, validateMediaFilters({ excludeUrlPatterns: '*a*a*a*a*a*a*a*a*b' })), true, 'Should not match without the last part');
+assert.ok(Date.now() - patternStart < 100, 'Should match URL patterns in linear time');
+assert.strictEqual(matchesUrlRules('https://example.com/a.jpg?w=200', validateMediaFilters({ includeUrlPatterns: '.jpg?w=' })), true, 'Should treat . and ? as URL characters');
+
+assert.strictEqual(matchesMediaRules({ url: 'https://example.com/a.jpeg', contentType: 'image/jpeg' }, ruleFilters), true, 'Should treat .jpeg as .jpg');
+assert.strictEqual(matchesMediaRules({ url: 'https://example.com/a.bmp' }, ruleFilters), false, 'Should drop extensions outside the allow list');
+assert.strictEqual(matchesMediaRules({ url: 'https://example.com/media/1', extension: '.gif' }, validateMediaFilters({ deniedExtensions: 'gif' })), false, 'Should use the identified extension');
+assert.strictEqual(matchesMediaRules({ url: 'https://example.com/media/1', contentType: 'video/webm' }, ruleFilters), false, 'Should drop content types outside the allow list');
+assert.strictEqual(matchesMediaRules({ url: 'https://example.com/media/1', contentType: 'image/avif; q=1' }, ruleFilters), true, 'Should match content type wildcards');
+assert.strictEqual(matchesMediaRules({ url: 'https://example.com/media/1' }, ruleFilters), true, 'Should keep media whose extension and type are unknown');
+
+assert.throws(() => validateMediaFilters({ excludeSelectors: 'div[' }), /Invalid selector in excludeSelectors/, 'Should reject invalid selectors');
+assert.throws(() => validateMediaFilters({ includeUrlPatterns: ['**'] }), /Invalid pattern in includeUrlPatterns/, 'Should reject patterns that match everything');
+assert.throws(() => validateMediaFilters({ includeUrlPatterns: '\\.(jpg|png)$' }), /looks like a regex/, 'Should reject regex syntax');
+assert.throws(() => validateMediaFilters({ excludeUrlPatterns: '(a+)+b' }), /looks like a regex/, 'Should reject regex groups and quantifiers');
+assert.throws(() => validateMediaFilters({ allowedExtensions: 'j*g' }), /Invalid extension/, 'Should reject invalid extensions');
+assert.throws(() => validateMediaFilters({ allowedContentTypes: 'image' }), /Invalid content type/, 'Should reject invalid content types');
+assert.throws(() => validateMediaFilters({ excludeUrlPatterns: new Array(21).fill('a') }), /at most 20 rules/, 'Should cap the number of rules');
+console.log('✓ include and exclude rule tests passed\n');
+
+// Test audio media type
+console.log('Testing audio media type...');
+['mp3', 'ogg', 'wav', 'flac', 'm4a'].forEach(ext => {
+  assert.ok(isAudioType(`https://example.com/track.${ext}`), `Should detect .${ext} as audio`);
+  assert.strictEqual(getMediaType(`https://example.com/track.${ext}?v=2`), 'audio', `Should type .${ext} as audio`);
+});
+assert.ok(!isAudioType('https://example.com/clip.mp4'), 'Should not detect video as audio');
+assert.strictEqual(getMediaType('https://example.com/photo.jpg'), 'image', 'Should type images');
+assert.strictEqual(getMediaType('https://example.com/clip.webm'), 'video', 'Should type videos');
+assert.strictEqual(getMediaType('https://example.com/media/12345'), null, 'Should not guess extensionless URLs');
+assert.strictEqual(getMediaFolder('audio'), 'audio', 'Should store audio under audio/');
+assert.strictEqual(getMediaFolder('image'), 'images', 'Should store images under images/');
+console.log('✓ audio media type tests passed\n');
+
+// Test font media type
+console.log('Testing font media type...');
+['woff', 'woff2', 'ttf', 'otf', 'eot'].forEach(ext => {
+  assert.ok(isFontType(`https://example.com/fonts/brand.${ext}`), `Should detect .${ext} as font`);
+});
+assert.strictEqual(getMediaType('https://example.com/fonts/brand.woff2?v=1'), 'font', 'Should type fonts');
+assert.strictEqual(getMediaFolder('font'), 'fonts', 'Should store fonts under fonts/');
+assert.strictEqual(validateMediaFilters({}).includeFonts, false, 'Should keep fonts opt-in');
+const fontFilters = validateMediaFilters({ includeImages: false, includeVideos: false, includeAudio: false, includeIcons: false, includeFonts: true });
+assert.strictEqual(fontFilters.includeFonts, true, 'Should allow font-only extraction');
+assert.strictEqual(fontFilters.includeImages, false, 'Should not force other types with fonts selected');
+console.log('✓ font media type tests passed\n');
+
+// Test validateCrawlOptions
+console.log('Testing validateCrawlOptions...');
+const crawl1 = validateCrawlOptions({});
+assert.strictEqual(crawl1.enabled, false, 'Should default crawl to disabled');
+assert.strictEqual(crawl1.maxDepth, 1, 'Should default maxDepth to 1');
+assert.strictEqual(crawl1.maxPages, 20, 'Should default maxPages to 20');
+assert.strictEqual(crawl1.useSitemap, false, 'Should default useSitemap to false');
+
+const crawl2 = validateCrawlOptions({ enabled: true, maxDepth: '3', maxPages: '50' });
+assert.strictEqual(crawl2.enabled, true, 'Should respect enabled setting');
+assert.strictEqual(crawl2.maxDepth, 3, 'Should parse maxDepth');
+assert.strictEqual(crawl2.maxPages, 50, 'Should parse maxPages');
+assert.strictEqual(validateCrawlOptions({ useSitemap: true }).useSitemap, true, 'Should respect useSitemap setting');
+
+const crawl3 = validateCrawlOptions({ maxDepth: 99, maxPages: 0 });
+assert.strictEqual(crawl3.maxDepth, 5, 'Should cap maxDepth');
+assert.strictEqual(crawl3.maxPages, 1, 'Should visit at least one page');
+console.log('✓ validateCrawlOptions tests passed\n');
+
+// Test isSameOrigin
+console.log('Testing isSameOrigin...');
+assert.strictEqual(isSameOrigin('https://example.com/a', 'https://example.com/b?c=1'), true, 'Should match same origin');
+assert.strictEqual(isSameOrigin('https://example.com/a', 'http://example.com/a'), false, 'Should compare protocol');
+assert.strictEqual(isSameOrigin('https://shop.example.com/', 'https://example.com/'), false, 'Should compare host');
+assert.strictEqual(isSameOrigin('not-a-url', 'https://example.com/'), false, 'Should reject invalid URL');
+console.log('✓ isSameOrigin tests passed\n');
+
+// Test isSameSite
+console.log('Testing isSameSite...');
+assert.strictEqual(isSameSite('https://www.example.com/a', 'https://example.com/'), true, 'Should ignore a leading www.');
+assert.strictEqual(isSameSite('http://example.com/a', 'https://example.com/'), true, 'Should ignore the protocol');
+assert.strictEqual(isSameSite('https://shop.example.com/', 'https://example.com/'), false, 'Should compare other subdomains');
+assert.strictEqual(isSameSite('not-a-url', 'https://example.com/'), false, 'Should reject invalid URL');
+console.log('✓ isSameSite tests passed\n');
+
+// Test isCrawlablePageUrl
+console.log('Testing isCrawlablePageUrl...');
+assert.strictEqual(isCrawlablePageUrl('https://example.com/products'), true, 'Should accept extensionless page');
+assert.strictEqual(isCrawlablePageUrl('https://example.com/catalog/page.html'), true, 'Should accept HTML page');
+assert.strictEqual(isCrawlablePageUrl('https://example.com/photo.jpg'), false, 'Should skip media files');
+assert.strictEqual(isCrawlablePageUrl('https://example.com/brochure.pdf'), false, 'Should skip documents');
+assert.strictEqual(isCrawlablePageUrl('ftp://example.com/'), false, 'Should skip non-HTTP links');
+console.log('✓ isCrawlablePageUrl tests passed\n');
+
+// Test CSS URL extraction
+console.log('Testing CSS URL extraction...');
+const css = `
+  @import url("theme.css") screen;
+  @import '/media/print.css';
+  /* .old { background: url(/old.png); } */
+  .hero { background: url(/img/hero.png) no-repeat, linear-gradient(#fff, #000), url('pattern.jpg'); }
+  .logo { background-image: -webkit-image-set('logo.png' 1x, "logo@2x.png" 2x); }
+  .card { background-image: image-set(url(card.webp) type("image/webp") 1x, 'card.jpg' type('image/jpeg') 1x); }
+`;
+assert.deepStrictEqual(extractUrlsFromCss(css, 'https://example.com/css/site.css'), [
+  'https://example.com/img/hero.png',
+  'https://example.com/css/pattern.jpg',
+  'https://example.com/css/card.webp',
+  'https://example.com/css/logo.png',
+  'https://example.com/css/logo@2x.png',
+  'https://example.com/css/card.jpg'
+], 'Should read multi-layer backgrounds and image-set candidates');
+assert.deepStrictEqual(extractImportUrlsFromCss(css, 'https://example.com/css/site.css'), [
+  'https://example.com/css/theme.css',
+  'https://example.com/media/print.css'
+], 'Should resolve @import targets');
+assert.deepStrictEqual(extractUrlsFromCss('.a { background: url(data:image/png;base64,iVBORw0KGgo=); }', 'https://example.com/'), [],
+  'Should leave data: URIs to the inline media decoder');
+console.log('✓ CSS URL extraction tests passed\n');
+
+// Test mapWithConcurrency
+console.log('Testing mapWithConcurrency...');
+(async () => {
+  let running = 0;
+  let peak = 0;
+  const doubled = await mapWithConcurrency([30, 10, 20, 5], 2, async (value) => {
+    running++;
+    peak = Math.max(peak, running);
+    await new Promise(resolve => setTimeout(resolve, value));
+    running--;
+    return value * 2;
+  });
+  assert.deepStrictEqual(doubled, [60, 20, 40, 10], 'Should keep results in input order');
+  assert.strictEqual(peak, 2, 'Should never exceed the concurrency limit');
+  assert.deepStrictEqual(await mapWithConcurrency([], 3, async () => 1), [], 'Should handle empty input');
+
+  const activeByHost = new Map();
+  const peakByHost = new Map();
+  const urls = ['a.com/1', 'a.com/2', 'a.com/3', 'b.com/1', 'a.com/4', 'b.com/2'];
+  const hosts = await mapWithConcurrency(urls, 4, async (url) => {
+    const host = url.split('/')[0];
+    activeByHost.set(host, (activeByHost.get(host) || 0) + 1);
+    peakByHost.set(host, Math.max(peakByHost.get(host) || 0, activeByHost.get(host)));
+    await new Promise(resolve => setTimeout(resolve, 5));
+    activeByHost.set(host, activeByHost.get(host) - 1);
+    return host;
+  }, { keyOf: url => url.split('/')[0], perKeyLimit: 2 });
+  assert.deepStrictEqual(hosts, ['a.com', 'a.com', 'a.com', 'b.com', 'a.com', 'b.com'], 'Should keep input order with per-key limits');
+  assert.strictEqual(peakByHost.get('a.com'), 2, 'Should never exceed the per-key limit');
+  assert.strictEqual(peakByHost.get('b.com'), 2, 'Should let other keys use the free slots');
+
+  await assert.rejects(
+    mapWithConcurrency([1, 2, 3], 2, async (value) => {
+      if (value === 2) throw new Error('boom');
+      return value;
+    }),
+    /boom/,
+    'Should reject when a call fails'
+  );
+  console.log('✓ mapWithConcurrency tests passed\n');
+
+  console.log('✅ All utils tests passed!');
+})().catch(error => {
+  console.error(error);
+  process.exit(1);
+});